@@ -0,0 +1,243 @@
+const documentService = require('../services/documentService');
+const workflowService = require('../services/workflowService');
+const accessService = require('../services/accessService');
+const auditService = require('../services/auditService');
+const applicationService = require('../services/applicationService');
+const signatureService = require('../services/signatureService');
+const openapiService = require('../services/openapiService');
+const events = require('../services/events');
+const {
+  VALID_TYPES,
+  toSlug,
+  validateFormData,
+  getDisplayNameForFile
+} = require('../services/formTypes');
+const { sendApiError } = require('../middleware/apiAuth');
+
+const DEFAULT_PAGE_SIZE = 50;
+
+const sendServerError = (res, error, action) => {
+  console.error(`API error ${action}:`, error);
+  sendApiError(res, 500, 'internal_error', 'Something went wrong');
+};
+
+/**
+ * JSON bodies may carry numbers or booleans; validateFormData expects the
+ * strings an HTML form would post. Returns field errors for nested values.
+ * @param {Object} input
+ * @returns {{ formData: Object, errors: Object }}
+ */
+function normalizeInput(input) {
+  const formData = {};
+  const errors = {};
+
+  Object.entries(input).forEach(([key, value]) => {
+    if (value === null || value === undefined) {
+      formData[key] = '';
+    } else if (['string', 'number', 'boolean'].includes(typeof value)) {
+      formData[key] = String(value);
+    } else {
+      errors[key] = 'Must be a string or number';
+    }
+  });
+
+  return { formData, errors };
+}
+
+// Single-application responses carry the signature images as data URIs
+const serializeWithSignatures = async (application) => applicationService.serializeApplication(
+  { ...application, data: await signatureService.expandSignatures(toSlug(application.type), application.data) },
+  { includeSignatures: true }
+);
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Load an application the API user may see, or send 404
+const loadApplication = async (req, res) => {
+  const application = await applicationService.findApplication(req.params.id);
+  if (!application || !accessService.canView(req.user, application)) {
+    sendApiError(res, 404, 'not_found', 'Application not found');
+    return null;
+  }
+  return application;
+};
+
+// OpenAPI document (public, no key needed)
+exports.openapi = (req, res) => {
+  res.json(openapiService.buildDocument());
+};
+
+// GET /api/v1/applications
+exports.list = async (req, res) => {
+  try {
+    const { type, status, sort, dir } = req.query;
+
+    if (type && !VALID_TYPES.includes(type)) {
+      return sendApiError(res, 400, 'bad_request', `type must be one of: ${VALID_TYPES.join(', ')}`);
+    }
+    if (status && !workflowService.isValidStatus(status)) {
+      return sendApiError(res, 400, 'bad_request', `status must be one of: ${Object.values(workflowService.STATUSES).join(', ')}`);
+    }
+    if (sort && !applicationService.SORT_KEYS.includes(sort)) {
+      return sendApiError(res, 400, 'bad_request', `sort must be one of: ${applicationService.SORT_KEYS.join(', ')}`);
+    }
+
+    const filters = applicationService.pickListFilters(type, req.query);
+
+    const result = await applicationService.listApplications({
+      type,
+      user: req.user,
+      filters,
+      sort,
+      dir: dir === 'asc' ? 'asc' : 'desc',
+      page: req.query.page,
+      pageSize: req.query.pageSize || DEFAULT_PAGE_SIZE
+    });
+
+    res.json({
+      data: result.applications.map(application => applicationService.serializeApplication(application)),
+      meta: {
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        totalPages: result.totalPages
+      }
+    });
+  } catch (error) {
+    sendServerError(res, error, 'listing applications');
+  }
+};
+
+// GET /api/v1/applications/:id
+exports.get = async (req, res) => {
+  try {
+    const application = await loadApplication(req, res);
+    if (!application) return;
+
+    res.json({ data: await serializeWithSignatures(application) });
+  } catch (error) {
+    sendServerError(res, error, 'loading application');
+  }
+};
+
+// POST /api/v1/applications  { type, data, strict, sourceApplicationId }
+exports.create = async (req, res) => {
+  try {
+    const { type, data, strict, sourceApplicationId } = req.body || {};
+
+    if (!VALID_TYPES.includes(type)) {
+      return sendApiError(res, 422, 'validation_failed', 'Validation failed', {
+        type: `Must be one of: ${VALID_TYPES.join(', ')}`
+      });
+    }
+    if (!isPlainObject(data)) {
+      return sendApiError(res, 400, 'bad_request', 'data must be an object');
+    }
+
+    const { formData, errors: inputErrors } = normalizeInput(data);
+    if (Object.keys(inputErrors).length > 0) {
+      return sendApiError(res, 422, 'validation_failed', 'Validation failed', inputErrors);
+    }
+
+    const { errors, warnings, application } = await applicationService.createApplication({
+      type,
+      formData,
+      sourceApplicationId,
+      user: req.user,
+      actor: auditService.getActor(req),
+      strict: strict === true
+    });
+
+    if (Object.keys(errors).length > 0) {
+      return sendApiError(res, 422, 'validation_failed', 'Validation failed', errors);
+    }
+
+    res.status(201)
+      .location(`/api/v1/applications/${application.id}`)
+      .json({ data: await serializeWithSignatures(application), warnings });
+  } catch (error) {
+    sendServerError(res, error, 'creating application');
+  }
+};
+
+// PATCH /api/v1/applications/:id  { data, strict } — fields are merged onto the stored data
+exports.update = async (req, res) => {
+  try {
+    const { data, strict } = req.body || {};
+    if (!isPlainObject(data)) {
+      return sendApiError(res, 400, 'bad_request', 'data must be an object');
+    }
+
+    const application = await loadApplication(req, res);
+    if (!application) return;
+
+    const { formData, errors: inputErrors } = normalizeInput({ ...application.data, ...data });
+    if (Object.keys(inputErrors).length > 0) {
+      return sendApiError(res, 422, 'validation_failed', 'Validation failed', inputErrors);
+    }
+
+    const { errors, warnings, conflict, application: updated } = await applicationService.updateApplication({
+      type: toSlug(application.type),
+      application,
+      formData,
+      user: req.user,
+      actor: auditService.getActor(req),
+      strict: strict === true
+    });
+
+    if (Object.keys(errors).length > 0) {
+      return sendApiError(res, 422, 'validation_failed', 'Validation failed', errors);
+    }
+    if (conflict) {
+      return sendApiError(res, 409, 'conflict', 'Application was changed by someone else; load it again and retry');
+    }
+
+    res.json({ data: await serializeWithSignatures(updated), warnings });
+  } catch (error) {
+    sendServerError(res, error, 'updating application');
+  }
+};
+
+// GET /api/v1/applications/:id/pdf
+exports.pdf = async (req, res) => {
+  try {
+    const application = await loadApplication(req, res);
+    if (!application) return;
+
+    const type = toSlug(application.type);
+
+    // Same rule as the HTML export: every field must be filled in
+    const { errors } = validateFormData(type, application.data, { strict: true });
+    if (Object.keys(errors).length > 0) {
+      return sendApiError(res, 422, 'incomplete', 'Application is incomplete and cannot be exported', errors);
+    }
+
+    // Final applications get their stored PDF
+    const stamp = req.query.stamp === '0' ? null : workflowService.getStatusLabel(application.status);
+    const { pdfBuffer, document } = await documentService.getPDF(type, application, { stamp, user: req.user });
+    const displayNameForFile = getDisplayNameForFile(type, application.data, application.reference || application.id);
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${type} - ${displayNameForFile}.pdf"`);
+    res.setHeader('Content-Length', Buffer.byteLength(pdfBuffer));
+    if (document) res.setHeader('X-Content-SHA256', document.sha256);
+    res.end(pdfBuffer);
+
+    events.emit('application.exported', { type, application, via: 'api', actor: auditService.getActor(req) });
+  } catch (error) {
+    sendServerError(res, error, 'generating PDF');
+  }
+};
+
+// Unknown /api/v1 path
+exports.notFound = (req, res) => {
+  sendApiError(res, 404, 'not_found', 'No such endpoint');
+};
+
+// Errors thrown before a handler ran (e.g. malformed JSON body)
+exports.errorHandler = (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendApiError(res, 400, 'bad_request', 'Request body is not valid JSON');
+  }
+  sendServerError(res, err, 'handling request');
+};
@@ -0,0 +1,80 @@
+const { prisma, withRetry } = require('../prismaClient');
+const authService = require('../services/authService');
+
+// Only follow same-site relative redirects after login. Browsers read "/\"
+// like "//" (another host), so backslashes and control characters are
+// refused, and the path must resolve to this origin.
+const safeNextUrl = (next) => {
+  if (typeof next !== 'string' || !next.startsWith('/') || /[\\\u0000-\u001f\u007f]/.test(next)) return '/';
+  try {
+    const base = 'http://localhost';
+    const url = new URL(next, base);
+    if (url.origin !== base) return '/';
+    return `${url.pathname}${url.search}${url.hash}`;
+  } catch (error) {
+    return '/';
+  }
+};
+
+// Login page
+exports.loginForm = (req, res) => {
+  if (req.user) {
+    return res.redirect(safeNextUrl(req.query.next));
+  }
+
+  res.render('auth/login', {
+    title: 'Sign In',
+    csrfToken: req.csrfToken(),
+    next: safeNextUrl(req.query.next),
+    username: '',
+    error: null
+  });
+};
+
+// Handle login
+exports.login = async (req, res) => {
+  const username = (req.body.username || '').trim().toLowerCase();
+  const password = req.body.password || '';
+  const next = safeNextUrl(req.body.next);
+
+  try {
+    const user = username
+      ? await withRetry(() => prisma.user.findUnique({ where: { username } }))
+      : null;
+
+    const valid = user && user.active && await authService.verifyPassword(password, user.passwordHash);
+
+    if (!valid) {
+      return res.status(401).render('auth/login', {
+        title: 'Sign In',
+        csrfToken: req.csrfToken(),
+        next,
+        username,
+        error: 'Invalid username or password'
+      });
+    }
+
+    res.cookie(authService.SESSION_COOKIE, authService.createSessionValue(user.id), {
+      signed: true,
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: process.env.NODE_ENV === 'production',
+      maxAge: authService.SESSION_MAX_AGE
+    });
+
+    res.redirect(next);
+  } catch (error) {
+    console.error('Error logging in:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to sign in',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Handle logout
+exports.logout = (req, res) => {
+  res.clearCookie(authService.SESSION_COOKIE);
+  res.redirect('/login');
+};
@@ -0,0 +1,77 @@
+const teamCalendarService = require('../services/teamCalendarService');
+
+// "leave-muscat.ics"
+const getFileName = (site) => `leave-${(site || 'all-sites').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'site'}.ics`;
+
+const sendIcs = (res, calendar, fileName, download) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `${download ? 'attachment' : 'inline'}; filename="${fileName}"`);
+  res.send(calendar);
+};
+
+// Month or week of leave, with who is away today and who is due back
+exports.show = async (req, res) => {
+  try {
+    const range = teamCalendarService.getRange(req.query.view, req.query.date);
+    const filters = teamCalendarService.parseFilters(req.query);
+    const entries = await teamCalendarService.listLeave({ user: req.user, period: range, filters });
+
+    // Calendar URL with the current view, date and filters, changed by `changes`
+    const calendarUrl = (changes = {}) => {
+      const params = { view: range.view, date: range.date, ...filters, ...changes };
+      const query = new URLSearchParams(Object.entries(params).filter(([, value]) => value));
+      return `/calendar?${query}`;
+    };
+
+    res.render('calendar/index', {
+      title: 'Leave Calendar',
+      range,
+      filters,
+      days: teamCalendarService.getDays(range, entries),
+      limited: entries.length >= teamCalendarService.PAGE_LIMIT,
+      awayToday: await teamCalendarService.listAwayToday(req.user, filters),
+      dueBack: await teamCalendarService.listDueBack({ user: req.user, filters }),
+      options: await teamCalendarService.getFilterOptions(req.user),
+      calendarUrl,
+      downloadUrl: `/calendar/leave.ics?${new URLSearchParams({ site: filters.site })}`,
+      feedUrl: teamCalendarService.getFeedUrl(req.user, filters.site)
+    });
+  } catch (error) {
+    console.error('Error loading leave calendar:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to load leave calendar',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Approved leave of a site (or all sites) as an .ics download
+exports.download = async (req, res) => {
+  try {
+    const { site } = teamCalendarService.parseFilters(req.query);
+    sendIcs(res, await teamCalendarService.getFeed(req.user, site), getFileName(site), true);
+  } catch (error) {
+    console.error('Error exporting leave calendar:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to export leave calendar',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Subscribed feed — no session, the signed token in the URL stands in for the user
+exports.feed = async (req, res) => {
+  try {
+    const { site } = teamCalendarService.parseFilters(req.query);
+    const user = await teamCalendarService.findFeedUser(req.params.userId, site, req.query.token);
+    if (!user) {
+      return res.status(404).type('text/plain').send('Calendar feed not found');
+    }
+    sendIcs(res, await teamCalendarService.getFeed(user, site), getFileName(site), false);
+  } catch (error) {
+    console.error('Error serving leave calendar feed:', error);
+    res.status(500).type('text/plain').send('Failed to load calendar feed');
+  }
+};
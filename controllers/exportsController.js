@@ -0,0 +1,96 @@
+const fs = require('fs');
+const batchExportService = require('../services/batchExportService');
+const applicationService = require('../services/applicationService');
+const { VALID_TYPES, getDisplayName } = require('../services/formTypes');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const renderError = (res, status, message, error) => {
+  res.status(status).render('error', {
+    title: 'Error',
+    message,
+    error: process.env.NODE_ENV === 'development' && error ? error : {}
+  });
+};
+
+// Start a batch PDF export: the ticked applications, or everything matching the list filter
+exports.startBatch = async (req, res) => {
+  try {
+    const { type } = req.params;
+
+    if (!VALID_TYPES.includes(type)) {
+      return res.status(404).render('404', { title: 'Form Type Not Found' });
+    }
+
+    let ids;
+    if (req.body.scope === 'filter') {
+      const applications = await applicationService.listAllApplications({
+        type,
+        user: req.user,
+        filters: applicationService.pickListFilters(type, req.body),
+        sort: req.body.sort,
+        dir: req.body.dir === 'asc' ? 'asc' : 'desc'
+      });
+      ids = applications.map(app => app.id);
+    } else {
+      ids = [...new Set([].concat(req.body.ids || []))].filter(id => UUID_PATTERN.test(id));
+    }
+
+    if (ids.length === 0) {
+      return res.redirect(`/forms/${type}?batchError=empty`);
+    }
+    if (ids.length > batchExportService.MAX_BATCH_SIZE) {
+      return renderError(res, 400, `A batch can hold at most ${batchExportService.MAX_BATCH_SIZE} applications. Narrow the filter and try again.`);
+    }
+
+    // Small batches: stream the ZIP straight back
+    if (ids.length <= batchExportService.INLINE_LIMIT) {
+      res.attachment(batchExportService.getZipFileName(type));
+      res.setHeader('Content-Type', 'application/zip');
+      await batchExportService.writeZip({ type, ids, user: req.user, output: res });
+      return;
+    }
+
+    const job = batchExportService.startJob({ type, ids, user: req.user });
+    res.redirect(`/exports/${job.id}`);
+  } catch (error) {
+    console.error('Error starting batch export:', error);
+    if (res.headersSent) return res.end();
+    renderError(res, 500, 'Failed to export PDFs', error);
+  }
+};
+
+// Progress page for a background export
+exports.status = (req, res) => {
+  const job = batchExportService.getJob(req.params.id, req.user);
+  if (!job) {
+    return res.status(404).render('404', { title: 'Export Not Found' });
+  }
+
+  res.render('exports/status', {
+    title: 'PDF Export',
+    job,
+    displayName: getDisplayName(job.type)
+  });
+};
+
+// Progress as JSON (polled by the progress page)
+exports.statusJson = (req, res) => {
+  const job = batchExportService.getJob(req.params.id, req.user);
+  if (!job) {
+    return res.status(404).json({ error: 'Export not found' });
+  }
+  res.json(job);
+};
+
+// Download a finished export
+exports.download = (req, res) => {
+  const job = batchExportService.getJob(req.params.id, req.user);
+  const filePath = batchExportService.getJobFile(req.params.id, req.user);
+
+  if (!job || !filePath || !fs.existsSync(filePath)) {
+    return res.status(404).render('404', { title: 'Export Not Found' });
+  }
+
+  res.download(filePath, job.fileName);
+};
@@ -1,54 +1,122 @@
 const { prisma, withRetry } = require('../prismaClient');
-const pdfService = require('../services/pdfService');
-
-// Valid form types
-const VALID_TYPES = ['rejoining', 'leave-expats', 'leave-omani'];
-
-// Type mapping for database (convert hyphen to underscore)
-const normalizeType = (type) => {
-  if (type === 'leave-expats') return 'leave_expats';
-  if (type === 'leave-omani') return 'leave_omani';
-  return type;
+const workflowService = require('../services/workflowService');
+const accessService = require('../services/accessService');
+const auditService = require('../services/auditService');
+const applicationService = require('../services/applicationService');
+const exportService = require('../services/exportService');
+const documentService = require('../services/documentService');
+const signingLinkService = require('../services/signingLinkService');
+const signatureService = require('../services/signatureService');
+const employeeService = require('../services/employeeService');
+const leaveService = require('../services/leaveService');
+const rejoiningService = require('../services/rejoiningService');
+const conflictService = require('../services/conflictService');
+const events = require('../services/events');
+const {
+  VALID_TYPES,
+  SIGNATURE_SLOTS,
+  getDefinition,
+  normalizeType,
+  getDisplayName,
+  getFieldLabels,
+  getFilterFields,
+  validateFormData,
+  getApplicantName,
+  getDisplayNameForFile
+} = require('../services/formTypes');
+
+const { findApplication, isAccessible } = applicationService;
+
+// List export formats → content type
+const EXPORT_FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
 };
 
-// Display name mapping
-const getDisplayName = (type) => {
-  const names = {
-    'rejoining': 'Re-Joining Form',
-    'leave-expats': 'Leave Application - Expats',
-    'leave-omani': 'Leave Application - Omani'
+// Workflow details needed by the edit page
+const getWorkflowLocals = (type, application, user) => ({
+  statusLabel: workflowService.getStatusLabel(application.status),
+  transitions: workflowService.getAvailableTransitions(application.status)
+    .filter(t => accessService.canTransition(user, t.name, application)),
+  editableSlots: workflowService.getEditableSignatureSlots(application.status)
+    .filter(slot => SIGNATURE_SLOTS[type].includes(slot))
+    .map(slot => workflowService.SIGNATURE_SLOT_LABELS[slot]),
+  signableSlots: accessService.getSignableSlots(user, application, SIGNATURE_SLOTS[type])
+});
+
+// Remote signing section of the edit page: existing links and the slots the user may send one for
+const getSigningLocals = async (type, application, user) => {
+  const links = await signingLinkService.listLinks(application.id);
+  return {
+    signingLinks: links.map(link => ({ ...link, state: signingLinkService.getLinkState(link) })),
+    linkSlots: signingLinkService.getLinkSlots(type)
+      .filter(slot => accessService.canCreateSigningLink(user, slot, application))
+      .filter(slot => !signingLinkService.checkSlotOpen(application, slot))
+      .map(slot => ({ name: slot, label: workflowService.SIGNATURE_SLOT_LABELS[slot] })),
+    slotLabels: workflowService.SIGNATURE_SLOT_LABELS,
+    expiryOptions: signingLinkService.EXPIRY_OPTIONS,
+    defaultExpiryHours: signingLinkService.DEFAULT_EXPIRY_HOURS
   };
-  return names[type] || type;
 };
 
-// Validate signature size (limit to 500KB base64)
-const validateSignature = (signature) => {
-  if (!signature) return null;
-
-  // Check if it's a valid data URI
-  if (!signature.startsWith('data:image/')) {
-    return 'Invalid signature format';
-  }
-
-  // Check size (base64 length ≈ file size * 1.33)
-  const maxSize = 500 * 1024; // 500KB
-  if (signature.length > maxSize) {
-    return 'Signature file is too large (max 500KB)';
-  }
+// Employee directory and leave balance details for the new/edit page
+const getEmployeeLocals = async (type, data, application, user) => {
+  const { employee, warnings } = await employeeService.checkData(type, data);
+  const leave = await leaveService.checkData(type, data, employee, application);
+  // The leave warnings quote the balance, so they go with it
+  const showBalance = accessService.canSeeLeaveBalance(user, application, employee);
+  return {
+    employeeFields: employeeService.getEmployeeFields(type),
+    employeeWarnings: showBalance ? { ...warnings, ...leave.warnings } : warnings,
+    leaveFields: leaveService.getLeaveFields(type),
+    leaveBalance: showBalance ? leave.balance : null
+  };
+};
 
-  return null;
+// Re-joining form being created: the leave application it closes, or the open ones to pick from
+const getSourcePickerLocals = async (type, source, search, user) => ({
+  sourceLeave: rejoiningService.getSourceLeave(type),
+  rejoiningSource: source ? rejoiningService.summarize(type, source) : null,
+  openLeave: source || !rejoiningService.getSourceLeave(type)
+    ? []
+    : await rejoiningService.listOpenLeave({ type, user, search }),
+  openLeaveSearch: search || ''
+});
+
+// Edit page: the leave application a re-joining form closes, or a leave application's re-joining state
+const getRejoiningLocals = async (type, application, user) => {
+  const source = await rejoiningService.findSource(application);
+  return {
+    rejoiningSource: source ? rejoiningService.summarize(type, source) : null,
+    rejoiningStatus: await rejoiningService.getStatus(application, user)
+  };
 };
 
-// Validate and sanitize signature field
-const processSignature = (signature, fieldName, errors) => {
-  const error = validateSignature(signature);
-  if (error) {
-    errors[fieldName] = error;
-    return '';
-  }
-  return signature || '';
+// Everything the edit page shows around the form, so that a page re-rendered
+// after a failed save or transition has the same panels as editForm's
+const getEditLocals = async (type, application, data, req) => {
+  const workflow = getWorkflowLocals(type, application, req.user);
+  return {
+    title: `Edit ${getDisplayName(type)}`,
+    type,
+    displayName: getDisplayName(type),
+    formPartial: getDefinition(type).formPartial,
+    application,
+    ...workflow,
+    staffingWarning: await conflictService.getApprovalWarning(type, application, workflow.transitions),
+    ...(await getSigningLocals(type, application, req.user)),
+    signingError: req.query.signingError || null,
+    csrfToken: req.csrfToken(),
+    ...(await getEmployeeLocals(type, data, application, req.user)),
+    ...(await getRejoiningLocals(type, application, req.user)),
+    exportError: req.query.exportError === '1'
+  };
 };
 
+// A new application is a draft owned by whoever creates it
+const getNewFormSignableSlots = (type, user) =>
+  accessService.getSignableSlots(user, { status: workflowService.STATUSES.DRAFT, ownerId: user.id }, SIGNATURE_SLOTS[type]);
+
 // Home page
 exports.home = (req, res) => {
   res.render('home', {
@@ -66,56 +134,43 @@ exports.list = async (req, res) => {
       return res.status(404).render('404', { title: 'Form Type Not Found' });
     }
 
-    const dbType = normalizeType(type);
-    const { search, from, to } = req.query;
-
-    // Build where clause with JSONB queries
-    const whereClause = {
-      type: dbType,
-    };
-
-    const applications = await withRetry(() => prisma.application.findMany({
-      where: whereClause,
-      orderBy: { createdAt: 'desc' }
-    }));
-
-    // PostgreSQL returns native JSON objects, no parsing needed
-    let filteredApplications = applications;
-
-    if (search) {
-      filteredApplications = filteredApplications.filter(app => {
-        const searchLower = search.toLowerCase();
-        return (
-          (app.data.name && app.data.name.toLowerCase().includes(searchLower)) ||
-          (app.data.employeeName && app.data.employeeName.toLowerCase().includes(searchLower)) ||
-          (app.data.employeeId && app.data.employeeId.toLowerCase().includes(searchLower)) ||
-          (app.data.wrokId && app.data.wrokId.toLowerCase().includes(searchLower))
-        );
-      });
-    }
-
-    if (from) {
-      const fromDate = new Date(from);
-      filteredApplications = filteredApplications.filter(app =>
-        new Date(app.createdAt) >= fromDate
-      );
-    }
+    const filters = applicationService.pickListFilters(type, req.query);
+    const sort = applicationService.SORT_KEYS.includes(req.query.sort) ? req.query.sort : 'createdAt';
+    const dir = req.query.dir === 'asc' ? 'asc' : 'desc';
+    const pageSize = applicationService.PAGE_SIZES.includes(parseInt(req.query.pageSize, 10))
+      ? parseInt(req.query.pageSize, 10)
+      : applicationService.DEFAULT_PAGE_SIZE;
 
-    if (to) {
-      const toDate = new Date(to);
-      toDate.setHours(23, 59, 59, 999);
-      filteredApplications = filteredApplications.filter(app =>
-        new Date(app.createdAt) <= toDate
-      );
-    }
+    const result = await applicationService.listApplications({
+      type,
+      user: req.user,
+      filters,
+      sort,
+      dir,
+      page: req.query.page,
+      pageSize
+    });
 
     res.render('forms/list', {
       title: `${getDisplayName(type)} - Applications`,
       type,
       displayName: getDisplayName(type),
-      applications: filteredApplications,
-      filters: { search, from, to },
+      definition: getDefinition(type),
+      applications: result.applications,
+      pagination: {
+        page: result.page,
+        pageSize: result.pageSize,
+        total: result.total,
+        totalPages: result.totalPages
+      },
+      pageSizes: applicationService.PAGE_SIZES,
+      sort,
+      dir,
+      filters,
+      filterFields: getFilterFields(type),
+      statusLabels: workflowService.STATUS_LABELS,
       exportError: req.query.exportError === '1',
+      batchError: req.query.batchError === 'empty',
       csrfToken: req.csrfToken()
     })
   } catch (error) {
@@ -128,23 +183,198 @@ exports.list = async (req, res) => {
   }
 };
 
-// New application form
-exports.newForm = (req, res) => {
-  const { type } = req.params;
+// Export the filtered list as CSV or Excel
+exports.exportList = async (req, res) => {
+  try {
+    const { type, format } = req.params;
+
+    if (!VALID_TYPES.includes(type) || !EXPORT_FORMATS[format]) {
+      return res.status(404).render('404', { title: 'Not Found' });
+    }
+
+    const applications = await applicationService.listAllApplications({
+      type,
+      user: req.user,
+      filters: applicationService.pickListFilters(type, req.query),
+      sort: req.query.sort,
+      dir: req.query.dir === 'asc' ? 'asc' : 'desc'
+    });
+
+    const buffer = format === 'xlsx'
+      ? await exportService.toXLSX(type, applications)
+      : exportService.toCSV(type, applications);
+    const date = new Date().toISOString().slice(0, 10);
 
-  if (!VALID_TYPES.includes(type)) {
-    return res.status(404).render('404', { title: 'Form Type Not Found' });
+    console.log(`📤 Exported ${applications.length} ${type} applications as ${format}`);
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${type} - export - ${date}.${format}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.end(buffer);
+  } catch (error) {
+    console.error('Error exporting applications:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to export applications',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
   }
+};
 
-  res.render('forms/new', {
-    title: `New ${getDisplayName(type)}`,
-    type,
-    displayName: getDisplayName(type),
-    csrfToken: req.csrfToken(),
-    errors: {},
-    formData: {},
-    strictRequired: false
-  });
+// Download one stored PDF (including superseded ones, from the history page)
+exports.document = async (req, res) => {
+  try {
+    const { type, id, documentId } = req.params;
+
+    if (!VALID_TYPES.includes(type)) {
+      return res.status(404).send('Form type not found');
+    }
+
+    const application = await findApplication(id);
+    if (!isAccessible(application, normalizeType(type), req.user)) {
+      return res.status(404).send('Application not found');
+    }
+
+    const document = (await documentService.listDocuments(id)).find(d => d.id === documentId);
+    if (!document) {
+      return res.status(404).send('Document not found');
+    }
+
+    const pdfBuffer = await documentService.readDocument(document);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${document.fileName.replace(/\.pdf$/, '')} - v${document.version}.pdf"`);
+    res.setHeader('Content-Length', pdfBuffer.length);
+    res.setHeader('X-Content-SHA256', document.sha256);
+    res.end(pdfBuffer);
+  } catch (error) {
+    console.error('Error reading stored PDF:', error);
+    res.status(500).send('Failed to read stored PDF');
+  }
+};
+
+// Stored signature image. The id is the SHA-256 of the PNG, so it can be
+// cached forever; it is only known to someone who could see the application.
+exports.signature = async (req, res) => {
+  try {
+    const { id } = req.params;
+    // Only to someone who can open an application signed with it
+    const visible = /^[0-9a-f]{64}$/.test(id) && await signatureService.isVisibleTo(id, req.user);
+    const signature = visible ? await signatureService.getSignature(id) : null;
+
+    if (!signature) {
+      return res.status(404).send('Signature not found');
+    }
+
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Content-Length', signature.size);
+    res.setHeader('Cache-Control', 'private, max-age=31536000, immutable');
+    res.end(Buffer.from(signature.content));
+  } catch (error) {
+    console.error('Error reading signature:', error);
+    res.status(500).send('Failed to read signature');
+  }
+};
+
+// Employee directory lookup for the ID/name autocomplete: matches with
+// their values already keyed by this form's field names
+exports.employeeSearch = async (req, res) => {
+  try {
+    const { type } = req.params;
+
+    if (!VALID_TYPES.includes(type)) {
+      return res.status(404).json({ error: 'Form type not found' });
+    }
+
+    const employees = await employeeService.searchEmployees(req.query.q);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({
+      data: employees.map(employee => ({
+        employeeNo: employee.employeeNo,
+        name: employee.name,
+        values: employeeService.getFormValues(type, employee, req.user)
+      }))
+    });
+  } catch (error) {
+    console.error('Error searching employees:', error);
+    res.status(500).json({ error: 'Failed to search employees' });
+  }
+};
+
+// Leave balance for the employee on a form being filled in (JSON)
+exports.leaveBalance = async (req, res) => {
+  try {
+    const { type } = req.params;
+
+    if (!VALID_TYPES.includes(type) || !leaveService.getLeaveFields(type)) {
+      return res.status(404).json({ error: 'Form type not found' });
+    }
+
+    // Query parameters are form fields; the calculation works on a draft
+    const formData = {};
+    Object.entries(req.query).forEach(([key, value]) => {
+      if (typeof value === 'string') formData[key] = value;
+    });
+    const { validatedData } = validateFormData(type, formData);
+    const employee = await employeeService.findForData(type, validatedData);
+    // A re-joining form linked to its leave application counts its own days
+    const linked = typeof req.query.sourceApplicationId === 'string' && req.query.sourceApplicationId
+      ? { status: workflowService.STATUSES.DRAFT, sourceApplicationId: req.query.sourceApplicationId }
+      : null;
+    const { warnings, balance } = await leaveService.checkData(type, validatedData, employee, linked);
+
+    // Only for the owner or manager of the application being edited (and HR);
+    // the warnings quote the remaining days too
+    const application = typeof req.query.applicationId === 'string' && req.query.applicationId
+      ? await findApplication(req.query.applicationId)
+      : null;
+    const editing = isAccessible(application, normalizeType(type), req.user) ? application : null;
+    const visible = accessService.canSeeLeaveBalance(req.user, editing, employee);
+
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ data: visible ? balance : null, warnings: visible ? warnings : {} });
+  } catch (error) {
+    console.error('Error loading leave balance:', error);
+    res.status(500).json({ error: 'Failed to load leave balance' });
+  }
+};
+
+// New application form
+exports.newForm = async (req, res) => {
+  try {
+    const { type } = req.params;
+
+    if (!VALID_TYPES.includes(type)) {
+      return res.status(404).render('404', { title: 'Form Type Not Found' });
+    }
+
+    // Re-joining form: ?source=<leave application id> copies from the leave it closes
+    const source = await rejoiningService.findOpenLeave(type, req.query.source, req.user);
+    const search = typeof req.query.q === 'string' ? req.query.q : '';
+
+    res.render('forms/new', {
+      title: `New ${getDisplayName(type)}`,
+      type,
+      displayName: getDisplayName(type),
+      formPartial: getDefinition(type).formPartial,
+      csrfToken: req.csrfToken(),
+      errors: {},
+      formData: source ? rejoiningService.prefill(type, source) : {},
+      signableSlots: getNewFormSignableSlots(type, req.user),
+      employeeFields: employeeService.getEmployeeFields(type),
+      employeeWarnings: {},
+      leaveFields: leaveService.getLeaveFields(type),
+      leaveBalance: null,
+      ...(await getSourcePickerLocals(type, source, search, req.user)),
+      strictRequired: false
+    });
+  } catch (error) {
+    console.error('Error loading new form:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to load form',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
 };
 
 // Edit application form
@@ -157,11 +387,9 @@ exports.editForm = async (req, res) => {
     }
 
     const dbType = normalizeType(type);
-    const application = await withRetry(() => prisma.application.findUnique({
-      where: { id }
-    }));
+    const application = await findApplication(id);
 
-    if (!application || application.type !== dbType) {
+    if (!isAccessible(application, dbType, req.user)) {
       return res.status(404).render('404', { title: 'Application Not Found' });
     }
 
@@ -169,15 +397,10 @@ exports.editForm = async (req, res) => {
     const parsedData = application.data;
 
     res.render('forms/edit', {
-      title: `Edit ${getDisplayName(type)}`,
-      type,
-      displayName: getDisplayName(type),
-      application,
-      csrfToken: req.csrfToken(),
+      ...(await getEditLocals(type, application, parsedData, req)),
       errors: {},
       formData: parsedData,
-      strictRequired: false,
-      exportError: req.query.exportError === '1'
+      strictRequired: false
     });
   } catch (error) {
     console.error('Error loading application:', error);
@@ -198,32 +421,35 @@ exports.create = async (req, res) => {
       return res.status(404).render('404', { title: 'Form Type Not Found' });
     }
 
-    const dbType = normalizeType(type);
-
-    // Validate and sanitize form data
-    const { action, ...formData } = req.body;
-    const { errors, validatedData } = validateFormData(type, formData, { strict: action === 'export' });
+    // Validate, sanitize and save form data
+    const { action, sourceApplicationId, ...formData } = req.body;
+    const { errors, validatedData, application } = await applicationService.createApplication({
+      type,
+      formData,
+      sourceApplicationId,
+      user: req.user,
+      actor: auditService.getActor(req),
+      strict: action === 'export'
+    });
 
     if (Object.keys(errors).length > 0) {
       return res.render('forms/new', {
         title: `New ${getDisplayName(type)}`,
         type,
         displayName: getDisplayName(type),
+        formPartial: getDefinition(type).formPartial,
         csrfToken: req.csrfToken(),
         errors,
         formData,
+        signableSlots: getNewFormSignableSlots(type, req.user),
+        ...(await getEmployeeLocals(type, validatedData, null, req.user)),
+        ...(await getSourcePickerLocals(
+          type, await rejoiningService.findOpenLeave(type, sourceApplicationId, req.user), '', req.user
+        )),
         strictRequired: action === 'export'
       });
     }
 
-    // Create application
-    const application = await withRetry(() => prisma.application.create({
-      data: {
-        type: dbType,
-        data: validatedData
-      }
-    }));
-
     // Check if user wants to export PDF immediately
     if (action === 'export') {
       return res.redirect(`/forms/${type}/${application.id}/pdf`);
@@ -252,39 +478,40 @@ exports.update = async (req, res) => {
     const dbType = normalizeType(type);
 
     // Check if application exists
-    const existing = await withRetry(() => prisma.application.findUnique({
-      where: { id }
-    }));
+    const existing = await findApplication(id);
 
-    if (!existing || existing.type !== dbType) {
+    if (!isAccessible(existing, dbType, req.user)) {
       return res.status(404).render('404', { title: 'Application Not Found' });
     }
 
-    // Validate and sanitize form data
+    // Validate, sanitize and save form data
     const { action, ...formData } = req.body;
-    const { errors, validatedData } = validateFormData(type, formData, { strict: action === 'export' });
+    const { errors, validatedData, conflict } = await applicationService.updateApplication({
+      type,
+      application: existing,
+      formData,
+      user: req.user,
+      actor: auditService.getActor(req),
+      strict: action === 'export'
+    });
+
+    if (conflict) {
+      return res.status(409).render('error', {
+        title: 'Application Changed',
+        message: 'This application was updated by someone else. Please reload and try again.',
+        error: {}
+      });
+    }
 
     if (Object.keys(errors).length > 0) {
       return res.render('forms/edit', {
-        title: `Edit ${getDisplayName(type)}`,
-        type,
-        displayName: getDisplayName(type),
-        application: existing,
-        csrfToken: req.csrfToken(),
+        ...(await getEditLocals(type, existing, validatedData, req)),
         errors,
         formData,
         strictRequired: action === 'export'
       });
     }
 
-    // Update application
-    await withRetry(() => prisma.application.update({
-      where: { id },
-      data: {
-        data: validatedData
-      }
-    }));
-
     // Check if user wants to export PDF immediately
     if (action === 'export') {
       return res.redirect(`/forms/${type}/${id}/pdf`);
@@ -301,6 +528,324 @@ exports.update = async (req, res) => {
   }
 };
 
+// Move an application to its next workflow status
+exports.transition = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    if (!VALID_TYPES.includes(type)) {
+      return res.status(404).render('404', { title: 'Form Type Not Found' });
+    }
+
+    const dbType = normalizeType(type);
+    const application = await findApplication(id);
+
+    if (!isAccessible(application, dbType, req.user)) {
+      return res.status(404).render('404', { title: 'Application Not Found' });
+    }
+
+    const { transition: name } = req.body;
+    if (!accessService.canTransition(req.user, name, application)) {
+      return res.status(403).render('error', {
+        title: 'Access Denied',
+        message: 'You are not allowed to perform this action on this application.',
+        error: {}
+      });
+    }
+
+    const { error, transition } = workflowService.checkTransition(name, application, {
+      signatureSlots: SIGNATURE_SLOTS[type]
+    });
+
+    // Submitting requires a complete form, same as exporting
+    const errors = error
+      ? { transition: error }
+      : (transition.requiresComplete ? validateFormData(type, application.data, { strict: true }).errors : {});
+
+    const renderErrors = async (strictRequired) => res.status(422).render('forms/edit', {
+      ...(await getEditLocals(type, application, application.data, req)),
+      errors,
+      formData: application.data,
+      strictRequired,
+      strictMessage: `Cannot ${transition ? transition.label.toLowerCase() : 'continue'}: please complete required fields.`
+    });
+
+    if (Object.keys(errors).length > 0) {
+      return await renderErrors(!error);
+    }
+
+    // Rejecting and amending clear the approvals (signatures and their dates)
+    // so the application is signed again when it goes through the workflow
+    const data = { ...application.data };
+    (transition.clearsSignatures || []).forEach((slot) => {
+      if (data[slot] !== undefined) data[slot] = '';
+      if (data[`${slot}Date`] !== undefined) data[`${slot}Date`] = '';
+    });
+    const dataChanges = auditService.diffData(application.data, data);
+    const changes = [{ field: 'status', before: application.status, after: transition.to }, ...dataChanges];
+
+    // Only move forward if nobody changed the status in the meantime
+    const actor = auditService.getActor(req);
+    const update = dataChanges.length > 0 ? { status: transition.to, data } : { status: transition.to };
+    // Approval is recorded explicitly: HR can sign and still reject
+    if (transition.to === workflowService.STATUSES.HR_APPROVED) update.hrApprovedAt = new Date();
+    if (transition.clearsSignatures) update.hrApprovedAt = null;
+    const outcome = await withRetry(() => prisma.$transaction(async (tx) => {
+      // Leave requests over the employee's balance, or overlapping other leave,
+      // cannot be submitted or approved. Checked under a lock on the employee,
+      // so two submits or approvals at once cannot both pass
+      await conflictService.lockEmployee(tx, type, application.data);
+      const leaveError = await leaveService.checkTransition(type, application, transition, tx) ||
+        await conflictService.checkTransition(type, application, transition, tx);
+      if (leaveError) return { leaveError };
+
+      const result = await tx.application.updateMany({
+        where: { id, status: application.status },
+        data: update
+      });
+      if (result.count === 0) return { count: 0 };
+
+      // Leaving a final status: the stored PDF no longer matches
+      if (workflowService.isFinal(application.status) && !workflowService.isFinal(transition.to)) {
+        await documentService.supersedeDocuments(tx, id);
+      }
+
+      // HR approval deducts the leave, amending gives it back
+      await leaveService.applyTransition(tx, {
+        type,
+        application: { ...application, status: transition.to, data },
+        from: application.status,
+        to: transition.to,
+        actor
+      });
+
+      await auditService.recordRevision(tx, {
+        application: { ...application, status: transition.to, data },
+        action: 'transition',
+        actor,
+        changes,
+        note: transition.label
+      });
+      return { count: result.count };
+    }));
+
+    if (outcome.leaveError) {
+      errors.transition = outcome.leaveError;
+      return await renderErrors(false);
+    }
+    if (outcome.count === 0) {
+      return res.status(409).render('error', {
+        title: 'Status Changed',
+        message: 'This application was updated by someone else. Please reload and try again.',
+        error: {}
+      });
+    }
+
+    events.emit('application.changed', {
+      type,
+      application: { ...application, status: transition.to, data, updatedAt: new Date() },
+      action: 'transition',
+      changes,
+      actor
+    });
+    events.emit('application.transitioned', {
+      type,
+      application: { ...application, data },
+      from: application.status,
+      to: transition.to,
+      transition,
+      actor
+    });
+
+    // Store the final PDF now; if this fails it is stored on the first download instead
+    if (workflowService.isFinal(transition.to)) {
+      try {
+        await documentService.ensureDocument(type, { ...application, status: transition.to, data }, req.user);
+      } catch (error) {
+        console.error(`⚠️  Could not store PDF for ${id}:`, error.message);
+      }
+    }
+
+    res.redirect(`/forms/${type}/${id}/edit`);
+  } catch (error) {
+    console.error('Error changing application status:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to update application status',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Revision history of an application
+exports.history = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    if (!VALID_TYPES.includes(type)) {
+      return res.status(404).render('404', { title: 'Form Type Not Found' });
+    }
+
+    const dbType = normalizeType(type);
+    const application = await findApplication(id);
+
+    if (!isAccessible(application, dbType, req.user)) {
+      return res.status(404).render('404', { title: 'Application Not Found' });
+    }
+
+    // Snapshots can be large (signatures) — the list only needs the metadata
+    const revisions = await withRetry(() => prisma.applicationRevision.findMany({
+      where: { applicationId: id },
+      orderBy: { version: 'desc' },
+      select: {
+        id: true, version: true, action: true, actorName: true, ip: true,
+        status: true, changes: true, note: true, createdAt: true
+      }
+    }));
+
+    const documents = await documentService.listDocuments(id);
+
+    res.render('forms/history', {
+      title: `History - ${getDisplayName(type)}`,
+      type,
+      displayName: getDisplayName(type),
+      application,
+      applicantName: getApplicantName(type, application.data),
+      revisions,
+      documents,
+      actionLabels: auditService.ACTION_LABELS,
+      statusLabels: workflowService.STATUS_LABELS,
+      summarizeChanges: auditService.summarizeChanges,
+      restoreError: req.query.restoreError || null
+    });
+  } catch (error) {
+    console.error('Error loading history:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to load application history',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// View a single revision
+exports.revision = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const version = parseInt(req.params.version, 10);
+
+    if (!VALID_TYPES.includes(type) || !Number.isFinite(version)) {
+      return res.status(404).render('404', { title: 'Revision Not Found' });
+    }
+
+    const dbType = normalizeType(type);
+    const application = await findApplication(id);
+
+    if (!isAccessible(application, dbType, req.user)) {
+      return res.status(404).render('404', { title: 'Application Not Found' });
+    }
+
+    const revision = await withRetry(() => prisma.applicationRevision.findUnique({
+      where: { applicationId_version: { applicationId: id, version } }
+    }));
+
+    if (!revision) {
+      return res.status(404).render('404', { title: 'Revision Not Found' });
+    }
+
+    res.render('forms/revision', {
+      title: `Version ${version} - ${getDisplayName(type)}`,
+      type,
+      displayName: getDisplayName(type),
+      application,
+      revision,
+      fieldLabels: getFieldLabels(type),
+      actionLabels: auditService.ACTION_LABELS,
+      statusLabels: workflowService.STATUS_LABELS
+    });
+  } catch (error) {
+    console.error('Error loading revision:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to load revision',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Restore the data of an earlier revision (the status is left unchanged)
+exports.restore = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const version = parseInt(req.params.version, 10);
+
+    if (!VALID_TYPES.includes(type) || !Number.isFinite(version)) {
+      return res.status(404).render('404', { title: 'Revision Not Found' });
+    }
+
+    const dbType = normalizeType(type);
+    const application = await findApplication(id);
+
+    if (!isAccessible(application, dbType, req.user)) {
+      return res.status(404).render('404', { title: 'Application Not Found' });
+    }
+
+    const revision = await withRetry(() => prisma.applicationRevision.findUnique({
+      where: { applicationId_version: { applicationId: id, version } }
+    }));
+
+    if (!revision) {
+      return res.status(404).render('404', { title: 'Revision Not Found' });
+    }
+
+    // Revisions saved before signatures had their own table hold data URIs
+    const signatures = await signatureService.prepareSignatures(type, revision.data);
+    const data = signatures.data;
+
+    // A restore is an edit: the same status and role rules apply
+    const restoreErrors = {
+      ...signatures.errors,
+      ...workflowService.checkEdit(application.status, application.data, data),
+      ...accessService.checkEditPermissions(req.user, application, application.data, data)
+    };
+    if (Object.keys(restoreErrors).length > 0) {
+      const message = Object.values(restoreErrors)[0];
+      return res.redirect(`/forms/${type}/${id}/history?restoreError=${encodeURIComponent(message)}`);
+    }
+
+    const changes = auditService.diffData(application.data, data);
+    if (changes.length > 0) {
+      const actor = auditService.getActor(req);
+      const employee = await employeeService.findForData(type, data);
+      const restored = await withRetry(() => prisma.$transaction(async (tx) => {
+        await signatureService.saveSignatures(tx, signatures.images);
+        const updated = await tx.application.update({
+          where: { id },
+          data: { employeeId: employee ? employee.id : null, data }
+        });
+        await auditService.recordRevision(tx, {
+          application: updated,
+          action: 'restore',
+          actor,
+          changes,
+          note: `Restored from version ${version}`
+        });
+        return updated;
+      }));
+      events.emit('application.changed', { type, application: restored, action: 'restore', changes, actor });
+    }
+
+    res.redirect(`/forms/${type}/${id}/history`);
+  } catch (error) {
+    console.error('Error restoring revision:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to restore revision',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
 // Export application as PDF
 exports.exportPDF = async (req, res) => {
   try {
@@ -311,11 +856,9 @@ exports.exportPDF = async (req, res) => {
     }
 
     const dbType = normalizeType(type);
-    const application = await withRetry(() => prisma.application.findUnique({
-      where: { id }
-    }));
+    const application = await findApplication(id);
 
-    if (!application || application.type !== dbType) {
+    if (!isAccessible(application, dbType, req.user)) {
       return res.status(404).send('Application not found');
     }
 
@@ -330,28 +873,12 @@ exports.exportPDF = async (req, res) => {
     }
 
     // Determine display name for filename
-    function getDisplayNameForFile(formType, data) {
-      let name = '';
-      if (formType === 'rejoining') {
-        name = data.name || '';
-      } else {
-        // leave-expats, leave-omani
-        name = data.employeeName || '';
-      }
-      // Fallback to ID if no name
-      if (!name || name.trim() === '') {
-        name = id;
-      }
-      // Sanitize filename: remove illegal characters
-      name = name.replace(/[^a-zA-Z0-9 _.-]/g, '').trim();
-      // Limit length
-      if (name.length > 80) name = name.slice(0, 80);
-      return name || id;
-    }
-    const displayNameForFile = getDisplayNameForFile(type, parsedData);
+    const displayNameForFile = getDisplayNameForFile(type, parsedData, application.reference || id);
 
-    // Generate PDF
-    const pdfBuffer = await pdfService.generatePDF(type, parsedData);
+    // Final applications get their stored PDF; others are rendered now,
+    // stamped with the current status unless ?stamp=0
+    const stamp = req.query.stamp === '0' ? null : workflowService.getStatusLabel(application.status);
+    const { pdfBuffer, document } = await documentService.getPDF(type, application, { stamp, user: req.user });
 
     // Set a cookie so the client knows the download has started (used to dismiss loading overlay)
     const token = req.query.pdfToken || '';
@@ -363,156 +890,12 @@ exports.exportPDF = async (req, res) => {
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename="${type} - ${displayNameForFile}.pdf"`);
     res.setHeader('Content-Length', Buffer.byteLength(pdfBuffer));
+    if (document) res.setHeader('X-Content-SHA256', document.sha256);
     res.end(pdfBuffer);
+
+    events.emit('application.exported', { type, application, via: 'download', actor: auditService.getActor(req) });
   } catch (error) {
     console.error('Error generating PDF:', error);
     res.status(500).send('Failed to generate PDF');
   }
 };
-
-// Validation helper
-function validateFormData(type, formData, options = {}) {
-  const strict = options.strict === true;
-  const errors = {};
-  const validatedData = {};
-
-  if (type === 'rejoining') {
-    // Required fields
-    if (!formData.name || formData.name.trim() === '') {
-      errors.name = 'Name is required';
-    } else {
-      validatedData.name = formData.name.trim();
-    }
-
-    if (!formData.wrokId || formData.wrokId.trim() === '') {
-      errors.wrokId = 'Work ID is required';
-    } else {
-      validatedData.wrokId = formData.wrokId.trim();
-    }
-
-    // Optional fields (strict: require all except signatures)
-    validatedData.mobileNo = formData.mobileNo?.trim() || '';
-    validatedData.designation = formData.designation?.trim() || '';
-    validatedData.leaveType = formData.leaveType?.trim() || '';
-    validatedData.dateOfLeaving = formData.dateOfLeaving || '';
-    validatedData.dateOfJoining = formData.dateOfJoining || '';
-    validatedData.totalLeave = formData.totalLeave ? parseInt(formData.totalLeave) : 0;
-    validatedData.allowedLeave = formData.allowedLeave ? parseInt(formData.allowedLeave) : 0;
-    validatedData.extraLeave = formData.extraLeave ? parseInt(formData.extraLeave) : 0;
-    validatedData.passportNo = formData.passportNo?.trim() || '';
-    validatedData.passportHandedOver = formData.passportHandedOver?.trim() || '';
-
-    if (strict) {
-      if (!validatedData.mobileNo) errors.mobileNo = 'Mobile Number is required';
-      if (!validatedData.designation) errors.designation = 'Designation is required';
-      if (!validatedData.leaveType) errors.leaveType = 'Leave Type is required';
-      if (!validatedData.dateOfLeaving) errors.dateOfLeaving = 'Date of Leaving is required';
-      if (!validatedData.dateOfJoining) errors.dateOfJoining = 'Date of Joining is required';
-      if (!validatedData.totalLeave || validatedData.totalLeave <= 0) errors.totalLeave = 'Total Leave is required';
-      if (validatedData.allowedLeave < 0) errors.allowedLeave = 'Allowed Leave must be 0 or more';
-      if (validatedData.extraLeave < 0) errors.extraLeave = 'Extra Leave must be 0 or more';
-      if (!validatedData.passportNo) errors.passportNo = 'Passport No is required';
-      if (!validatedData.passportHandedOver) errors.passportHandedOver = 'Passport Handed Over is required';
-    }
-    // Signatures (with size validation)
-    validatedData.employeeSignature = processSignature(formData.employeeSignature, 'employeeSignature', errors);
-    validatedData.employeeSignatureDate = formData.employeeSignatureDate || '';
-    validatedData.managerSignature = processSignature(formData.managerSignature, 'managerSignature', errors);
-    validatedData.managerSignatureDate = formData.managerSignatureDate || '';
-    validatedData.hrSignature = processSignature(formData.hrSignature, 'hrSignature', errors);
-    validatedData.hrSignatureDate = formData.hrSignatureDate || '';
-  }
-  else if (type === 'leave-expats') {
-    // Required fields
-    if (!formData.employeeName || formData.employeeName.trim() === '') {
-      errors.employeeName = 'Employee name is required';
-    } else {
-      validatedData.employeeName = formData.employeeName.trim();
-    }
-
-    if (!formData.employeeId || formData.employeeId.trim() === '') {
-      errors.employeeId = 'Employee ID is required';
-    } else {
-      validatedData.employeeId = formData.employeeId.trim();
-    }
-
-    // Optional fields
-    validatedData.formDate = formData.formDate || '';
-    validatedData.position = formData.position?.trim() || '';
-    validatedData.site = formData.site?.trim() || '';
-    validatedData.mobileNo = formData.mobileNo?.trim() || '';
-    validatedData.leaveType = formData.leaveType || '';
-    validatedData.commenceLeave = formData.commenceLeave || '';
-    validatedData.totalDays = formData.totalDays ? parseInt(formData.totalDays) : 0;
-    validatedData.lastDayLeave = formData.lastDayLeave || '';
-    validatedData.airportName = formData.airportName?.trim() || '';
-    // New radio fields
-    validatedData.paymentOption = formData.paymentOption || '';
-    validatedData.ticketOption = formData.ticketOption || '';
-
-    if (strict) {
-      if (!validatedData.formDate) errors.formDate = 'Form Date is required';
-      if (!validatedData.position) errors.position = 'Position is required';
-      if (!validatedData.site) errors.site = 'Site is required';
-      if (!validatedData.mobileNo) errors.mobileNo = 'Mobile Number is required';
-      if (!validatedData.leaveType) errors.leaveType = 'Leave Type is required';
-      if (!validatedData.commenceLeave) errors.commenceLeave = 'Commence Leave is required';
-      if (!validatedData.totalDays || validatedData.totalDays <= 0) errors.totalDays = 'Total Days is required';
-      if (!validatedData.lastDayLeave) errors.lastDayLeave = 'Last Day of Leave is required';
-      if (!validatedData.airportName) errors.airportName = 'Airport Name is required';
-      if (!validatedData.paymentOption) errors.paymentOption = 'Payment Option is required';
-      if (!validatedData.ticketOption) errors.ticketOption = 'Ticket Option is required';
-    }
-    // Signatures (with size validation)
-    validatedData.employeeSignature = processSignature(formData.employeeSignature, 'employeeSignature', errors);
-    validatedData.employeeSignatureDate = formData.employeeSignatureDate || '';
-    validatedData.managerSignature = processSignature(formData.managerSignature, 'managerSignature', errors);
-    validatedData.managerSignatureDate = formData.managerSignatureDate || '';
-    validatedData.hrSignature = processSignature(formData.hrSignature, 'hrSignature', errors);
-    validatedData.hrSignatureDate = formData.hrSignatureDate || '';
-  }
-  else if (type === 'leave-omani') {
-    // Required fields
-    if (!formData.employeeName || formData.employeeName.trim() === '') {
-      errors.employeeName = 'Employee name is required';
-    } else {
-      validatedData.employeeName = formData.employeeName.trim();
-    }
-
-    if (!formData.employeeId || formData.employeeId.trim() === '') {
-      errors.employeeId = 'Employee ID is required';
-    } else {
-      validatedData.employeeId = formData.employeeId.trim();
-    }
-
-    // Optional fields
-    validatedData.formDate = formData.formDate || '';
-    validatedData.position = formData.position?.trim() || '';
-    validatedData.site = formData.site?.trim() || '';
-    validatedData.mobileNo = formData.mobileNo?.trim() || '';
-    validatedData.leaveType = formData.leaveType || '';
-    validatedData.commenceLeave = formData.commenceLeave || '';
-    validatedData.totalDays = formData.totalDays ? parseInt(formData.totalDays) : 0;
-    validatedData.lastDayLeave = formData.lastDayLeave || '';
-
-    if (strict) {
-      if (!validatedData.formDate) errors.formDate = 'Form Date is required';
-      if (!validatedData.position) errors.position = 'Position is required';
-      if (!validatedData.site) errors.site = 'Site is required';
-      if (!validatedData.mobileNo) errors.mobileNo = 'Mobile Number is required';
-      if (!validatedData.leaveType) errors.leaveType = 'Leave Type is required';
-      if (!validatedData.commenceLeave) errors.commenceLeave = 'Commence Leave is required';
-      if (!validatedData.totalDays || validatedData.totalDays <= 0) errors.totalDays = 'Total Days is required';
-      if (!validatedData.lastDayLeave) errors.lastDayLeave = 'Last Day of Leave is required';
-    }
-    // Signatures (with size validation)
-    validatedData.employeeSignature = processSignature(formData.employeeSignature, 'employeeSignature', errors);
-    validatedData.employeeSignatureDate = formData.employeeSignatureDate || '';
-    validatedData.managerSignature = processSignature(formData.managerSignature, 'managerSignature', errors);
-    validatedData.managerSignatureDate = formData.managerSignatureDate || '';
-    validatedData.hrSignature = processSignature(formData.hrSignature, 'hrSignature', errors);
-    validatedData.hrSignatureDate = formData.hrSignatureDate || '';
-  }
-
-  return { errors, validatedData };
-}
@@ -0,0 +1,132 @@
+const importService = require('../services/importService');
+const auditService = require('../services/auditService');
+const exportService = require('../services/exportService');
+const workflowService = require('../services/workflowService');
+const { VALID_TYPES, DEFINITIONS, getDisplayName } = require('../services/formTypes');
+
+const renderImport = (res, type, { preview = null, file = '', fileName = '', defaultStatus = importService.DEFAULT_STATUS } = {}) => {
+  res.render('imports/new', {
+    title: `Import ${getDisplayName(type)}`,
+    type,
+    displayName: getDisplayName(type),
+    statusLabels: workflowService.STATUS_LABELS,
+    maxRows: importService.MAX_ROWS,
+    maxFileMb: importService.MAX_FILE_BYTES / 1024 / 1024,
+    preview,
+    file,
+    fileName,
+    defaultStatus
+  });
+};
+
+const renderList = async (res, { errors = [], imported = null, rolledBack = null } = {}) => {
+  res.render('imports/index', {
+    title: 'Imports',
+    batches: await importService.listBatches(),
+    definitions: DEFINITIONS,
+    errors,
+    imported,
+    rolledBack
+  });
+};
+
+// Import batches, with rollback
+exports.list = async (req, res) => {
+  try {
+    await renderList(res, { imported: req.query.imported || null, rolledBack: req.query.rolledBack || null });
+  } catch (error) {
+    console.error('Error loading imports:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to load imports',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Upload screen for a form type
+exports.newImport = (req, res) => {
+  const { type } = req.params;
+  if (!VALID_TYPES.includes(type)) {
+    return res.status(404).render('404', { title: 'Form Type Not Found' });
+  }
+  renderImport(res, type);
+};
+
+// Empty CSV with the headers the import matches
+exports.template = (req, res) => {
+  const { type } = req.params;
+  if (!VALID_TYPES.includes(type)) {
+    return res.status(404).render('404', { title: 'Form Type Not Found' });
+  }
+
+  const buffer = exportService.buildCSV(importService.getTargets(type).map(target => target.label), []);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${type} - import template.csv"`);
+  res.setHeader('Content-Length', buffer.length);
+  res.end(buffer);
+};
+
+// Dry run (action "preview") or import of the valid rows (action "import")
+exports.create = async (req, res) => {
+  try {
+    const { type } = req.params;
+    if (!VALID_TYPES.includes(type)) {
+      return res.status(404).render('404', { title: 'Form Type Not Found' });
+    }
+
+    const { action, file, fileName, mapping, status } = req.body;
+    const params = {
+      type,
+      fileName: String(fileName || ''),
+      buffer: importService.decodeUpload(file),
+      mapping,
+      user: req.user,
+      defaultStatus: status
+    };
+
+    const result = action === 'import'
+      ? await importService.importFile({ ...params, actor: auditService.getActor(req) })
+      : await importService.previewFile(params);
+
+    if (result.batch) {
+      return res.redirect(`/imports?imported=${result.batch.id}`);
+    }
+    if (result.errors.length > 0) res.status(422);
+    renderImport(res, type, {
+      preview: result,
+      file: result.headers.length > 0 ? file : '',
+      fileName: params.fileName,
+      defaultStatus: result.defaultStatus
+    });
+  } catch (error) {
+    console.error('Error importing applications:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to import applications',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Delete the applications of an import
+exports.rollback = async (req, res) => {
+  try {
+    const { errors, batch } = await importService.rollbackBatch(req.params.id, auditService.getActor(req));
+    if (!batch) {
+      return res.status(404).render('404', { title: 'Import Not Found' });
+    }
+    if (errors.length > 0) {
+      res.status(422);
+      return renderList(res, { errors });
+    }
+    res.redirect(`/imports?rolledBack=${batch.id}`);
+  } catch (error) {
+    console.error('Error rolling back import:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to roll back import',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
@@ -0,0 +1,110 @@
+const employeeService = require('../services/employeeService');
+const leaveService = require('../services/leaveService');
+const overdueService = require('../services/overdueService');
+const { toSlug } = require('../services/formTypes');
+
+// Year from the query string, this year when missing or nonsense
+const pickYear = (value) => {
+  const year = parseInt(value, 10);
+  return year >= 2000 && year <= 2100 ? year : new Date().getFullYear();
+};
+
+const renderEmployee = async (res, employee, year, { errors = {}, values = {} } = {}) => {
+  const entries = await leaveService.listEntries(employee.id, year);
+  res.render('leave/employee', {
+    title: `Leave - ${employee.name}`,
+    employee,
+    year,
+    balances: await leaveService.getBalances(employee.id, year),
+    entries: entries.map(entry => ({
+      ...entry,
+      applicationUrl: entry.application ? `/forms/${toSlug(entry.application.type)}/${entry.application.id}/edit` : null
+    })),
+    leaveTypes: leaveService.LEAVE_TYPES,
+    entryKinds: leaveService.ENTRY_KINDS,
+    manualKinds: leaveService.MANUAL_KINDS,
+    errors,
+    values: { leaveType: 'annual', kind: 'entitlement', days: '', note: '', ...values }
+  });
+};
+
+// Find an employee by ID or name
+exports.search = async (req, res) => {
+  try {
+    const q = (req.query.q || '').toString();
+    res.render('leave/search', {
+      title: 'Leave Balances',
+      q,
+      year: pickYear(req.query.year),
+      employees: await employeeService.searchEmployees(q)
+    });
+  } catch (error) {
+    console.error('Error searching leave balances:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to search employees',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Approved leave that has ended without a re-joining form, and the reminder job's runs
+exports.overdue = async (req, res) => {
+  try {
+    res.render('leave/overdue', {
+      title: 'Overdue Returns',
+      overdue: await overdueService.listOverdue(),
+      runs: await overdueService.listRuns(),
+      schedule: overdueService.getSchedule()
+    });
+  } catch (error) {
+    console.error('Error loading overdue returns:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to load overdue returns',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Balances and ledger entries of one employee
+exports.show = async (req, res) => {
+  try {
+    const employee = await employeeService.findEmployee(req.params.employeeNo);
+    if (!employee) {
+      return res.status(404).render('404', { title: 'Employee Not Found' });
+    }
+    await renderEmployee(res, employee, pickYear(req.query.year));
+  } catch (error) {
+    console.error('Error loading leave ledger:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to load leave ledger',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Post an entitlement or adjustment
+exports.addEntry = async (req, res) => {
+  try {
+    const employee = await employeeService.findEmployee(req.params.employeeNo);
+    if (!employee) {
+      return res.status(404).render('404', { title: 'Employee Not Found' });
+    }
+
+    const { errors, entry } = await leaveService.addEntry({ employee, input: req.body, user: req.user });
+    if (!entry) {
+      res.status(422);
+      return renderEmployee(res, employee, pickYear(req.body.year), { errors, values: req.body });
+    }
+    res.redirect(`/leave/${encodeURIComponent(employee.employeeNo)}?year=${entry.year}`);
+  } catch (error) {
+    console.error('Error adding leave entry:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to add leave entry',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
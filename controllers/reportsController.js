@@ -0,0 +1,55 @@
+const reportService = require('../services/reportService');
+const teamCalendarService = require('../services/teamCalendarService');
+const exportService = require('../services/exportService');
+
+// Every leave report for a period, with charts
+exports.show = async (req, res) => {
+  try {
+    const filters = reportService.parseFilters(req.query);
+    const { sites } = await teamCalendarService.getFilterOptions(req.user);
+    const query = new URLSearchParams({ from: filters.from, to: filters.to, site: filters.site });
+
+    res.render('reports/index', {
+      title: 'Leave Reports',
+      filters,
+      errors: filters.errors,
+      presets: reportService.getPresets(),
+      sites,
+      reports: await reportService.getReports(req.user, filters),
+      csvQuery: query.toString()
+    });
+  } catch (error) {
+    console.error('Error loading leave reports:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to load leave reports',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// One report's table as CSV
+exports.download = async (req, res) => {
+  try {
+    const filters = reportService.parseFilters(req.query);
+    const report = await reportService.getReport(req.params.report, req.user, filters);
+    if (!report) {
+      return res.status(404).render('404', { title: 'Not Found' });
+    }
+
+    const buffer = exportService.buildCSV(report.columns, report.footer ? [...report.rows, report.footer] : report.rows);
+    const site = filters.site ? ` - ${filters.site.replace(/[^\w -]+/g, '')}` : '';
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="leave ${report.key}${site} - ${filters.from} to ${filters.to}.csv"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.end(buffer);
+  } catch (error) {
+    console.error('Error exporting leave report:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to export leave report',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
@@ -0,0 +1,180 @@
+const workflowService = require('../services/workflowService');
+const auditService = require('../services/auditService');
+const events = require('../services/events');
+const accessService = require('../services/accessService');
+const signingLinkService = require('../services/signingLinkService');
+const { VALID_TYPES, normalizeType, getDisplayName } = require('../services/formTypes');
+const { findApplication, isAccessible } = require('../services/applicationService');
+
+// Everything the public signing page needs for a usable link
+const getSignLocals = (link, token) => ({
+  title: `Sign - ${workflowService.SIGNATURE_SLOT_LABELS[link.slot]}`,
+  token,
+  summary: signingLinkService.getSummary(link.application),
+  slot: link.slot,
+  slotLabel: workflowService.SIGNATURE_SLOT_LABELS[link.slot],
+  recipient: link.recipient,
+  expiresAt: link.expiresAt
+});
+
+// Create a signing link (shown once)
+exports.create = async (req, res) => {
+  try {
+    const { type, id } = req.params;
+
+    if (!VALID_TYPES.includes(type)) {
+      return res.status(404).render('404', { title: 'Form Type Not Found' });
+    }
+
+    const application = await findApplication(id);
+    if (!isAccessible(application, normalizeType(type), req.user)) {
+      return res.status(404).render('404', { title: 'Application Not Found' });
+    }
+
+    const { slot, recipient, hours } = req.body;
+    if (!accessService.canCreateSigningLink(req.user, slot, application)) {
+      return res.status(403).render('error', {
+        title: 'Access Denied',
+        message: 'You are not allowed to send a signing link for this signature.',
+        error: {}
+      });
+    }
+
+    const { error, link, token } = await signingLinkService.createLink({
+      type, application, slot, recipient, hours, user: req.user
+    });
+    if (error) {
+      return res.redirect(`/forms/${type}/${id}/edit?signingError=${encodeURIComponent(error)}`);
+    }
+
+    const url = `${req.protocol}://${req.get('host')}/sign/${token}`;
+    events.emit('signingLink.created', { type, application, link, url, actor: auditService.getActor(req) });
+
+    res.render('forms/signing_link', {
+      title: `Signing Link - ${getDisplayName(type)}`,
+      type,
+      displayName: getDisplayName(type),
+      application,
+      link,
+      slotLabel: workflowService.SIGNATURE_SLOT_LABELS[link.slot],
+      url
+    });
+  } catch (error) {
+    console.error('Error creating signing link:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to create signing link',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Withdraw an unused signing link
+exports.revoke = async (req, res) => {
+  try {
+    const { type, id, linkId } = req.params;
+
+    if (!VALID_TYPES.includes(type)) {
+      return res.status(404).render('404', { title: 'Form Type Not Found' });
+    }
+
+    const application = await findApplication(id);
+    if (!isAccessible(application, normalizeType(type), req.user)) {
+      return res.status(404).render('404', { title: 'Application Not Found' });
+    }
+
+    const links = await signingLinkService.listLinks(id);
+    const link = links.find(l => l.id === linkId);
+    if (!link || !accessService.canCreateSigningLink(req.user, link.slot, application)) {
+      return res.status(403).render('error', {
+        title: 'Access Denied',
+        message: 'You are not allowed to withdraw this signing link.',
+        error: {}
+      });
+    }
+
+    await signingLinkService.revokeLink(id, linkId);
+    res.redirect(`/forms/${type}/${id}/edit`);
+  } catch (error) {
+    console.error('Error withdrawing signing link:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to withdraw signing link',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Public signing page (no login — the token is the credential)
+exports.show = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { link, error } = await signingLinkService.findByToken(token);
+
+    res.set('Cache-Control', 'no-store');
+    if (error) {
+      return res.status(link ? 410 : 404).render('sign', { title: 'Signing Link', error, signed: false });
+    }
+
+    res.render('sign', {
+      ...getSignLocals(link, token),
+      error: null,
+      signed: false,
+      errors: {},
+      formData: {},
+      signerName: ''
+    });
+  } catch (error) {
+    console.error('Error loading signing link:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to load signing link',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Sign through the link
+exports.sign = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const { signerName } = req.body;
+    const { link, error, errors } = await signingLinkService.signWithLink({
+      token,
+      signerName,
+      fields: req.body,
+      ip: req.ip || null
+    });
+
+    res.set('Cache-Control', 'no-store');
+    if (error) {
+      return res.status(link ? 409 : 404).render('sign', { title: 'Signing Link', error, signed: false });
+    }
+
+    if (Object.keys(errors).length > 0) {
+      return res.status(422).render('sign', {
+        ...getSignLocals(link, token),
+        error: null,
+        signed: false,
+        errors,
+        formData: { [link.slot]: req.body[link.slot] || '', [`${link.slot}Date`]: req.body[`${link.slot}Date`] || '' },
+        signerName: signerName || ''
+      });
+    }
+
+    res.render('sign', {
+      title: 'Signed',
+      error: null,
+      signed: true,
+      slotLabel: workflowService.SIGNATURE_SLOT_LABELS[link.slot],
+      summary: signingLinkService.getSummary(link.application)
+    });
+  } catch (error) {
+    console.error('Error signing through link:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to save signature',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
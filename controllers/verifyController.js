@@ -0,0 +1,46 @@
+const verificationService = require('../services/verificationService');
+
+/**
+ * Public verification page for a printed PDF (no login).
+ * GET /verify?code=... (lookup form) and GET /verify/:code (QR code target)
+ */
+exports.show = async (req, res) => {
+  try {
+    const input = req.params.code || req.query.code;
+
+    // Bare /verify: show the lookup form
+    if (!input) {
+      return res.render('verify', { title: 'Verify a Document', code: '', details: null, notFound: false });
+    }
+
+    const application = await verificationService.findByCode(input);
+    if (!application) {
+      return res.status(404).render('verify', {
+        title: 'Verify a Document',
+        code: String(input).slice(0, 20),
+        details: null,
+        notFound: true
+      });
+    }
+
+    // Typed codes may differ in case or dashes; keep the URL canonical
+    if (req.params.code !== application.verifyCode) {
+      return res.redirect(`/verify/${application.verifyCode}`);
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.render('verify', {
+      title: `Verify ${application.verifyCode}`,
+      code: application.verifyCode,
+      details: verificationService.getPublicDetails(application),
+      notFound: false
+    });
+  } catch (error) {
+    console.error('Error verifying document:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to verify document',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
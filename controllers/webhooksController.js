@@ -0,0 +1,137 @@
+const webhookService = require('../services/webhookService');
+
+const renderList = async (res, { errors = {}, values = { name: '', url: '', events: [] } } = {}) => {
+  res.render('admin/webhooks', {
+    title: 'Webhooks',
+    webhooks: await webhookService.listWebhooks(),
+    webhookEvents: webhookService.WEBHOOK_EVENTS,
+    errors,
+    values
+  });
+};
+
+const renderWebhook = async (res, webhook, { errors = {}, values = webhook, created = false } = {}) => {
+  res.render('admin/webhook', {
+    title: `Webhook - ${webhook.name}`,
+    webhook,
+    deliveries: await webhookService.listDeliveries(webhook.id),
+    webhookEvents: webhookService.WEBHOOK_EVENTS,
+    maxAttempts: webhookService.MAX_ATTEMPTS,
+    errors,
+    values,
+    created
+  });
+};
+
+// List endpoints
+exports.list = async (req, res) => {
+  try {
+    await renderList(res);
+  } catch (error) {
+    console.error('Error loading webhooks:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to load webhooks',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Register an endpoint
+exports.create = async (req, res) => {
+  try {
+    const { errors, values, webhook } = await webhookService.createWebhook(req.body, req.user);
+    if (!webhook) {
+      res.status(422);
+      return renderList(res, { errors, values });
+    }
+    res.redirect(`/admin/webhooks/${webhook.id}?created=1`);
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to create webhook',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Endpoint settings and delivery log
+exports.show = async (req, res) => {
+  try {
+    const webhook = await webhookService.getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).render('404', { title: 'Webhook Not Found' });
+    }
+    await renderWebhook(res, webhook, { created: req.query.created === '1' });
+  } catch (error) {
+    console.error('Error loading webhook:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to load webhook',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Change an endpoint
+exports.update = async (req, res) => {
+  try {
+    const webhook = await webhookService.getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).render('404', { title: 'Webhook Not Found' });
+    }
+
+    const { errors, values, webhook: updated } = await webhookService.updateWebhook(webhook.id, req.body);
+    if (!updated) {
+      res.status(422);
+      return renderWebhook(res, webhook, { errors, values: { ...values, active: req.body.active === 'on' } });
+    }
+    res.redirect(`/admin/webhooks/${webhook.id}`);
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to update webhook',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Remove an endpoint and its log
+exports.remove = async (req, res) => {
+  try {
+    const webhook = await webhookService.getWebhook(req.params.id);
+    if (!webhook) {
+      return res.status(404).render('404', { title: 'Webhook Not Found' });
+    }
+    await webhookService.deleteWebhook(webhook.id);
+    res.redirect('/admin/webhooks');
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to delete webhook',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
+
+// Send a delivery again
+exports.redeliver = async (req, res) => {
+  try {
+    const { id, deliveryId } = req.params;
+    const delivery = await webhookService.redeliver(id, deliveryId);
+    if (!delivery) {
+      return res.status(404).render('404', { title: 'Delivery Not Found' });
+    }
+    res.redirect(`/admin/webhooks/${id}`);
+  } catch (error) {
+    console.error('Error redelivering webhook:', error);
+    res.status(500).render('error', {
+      title: 'Error',
+      message: 'Failed to redeliver webhook',
+      error: process.env.NODE_ENV === 'development' ? error : {}
+    });
+  }
+};
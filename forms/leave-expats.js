@@ -0,0 +1,103 @@
+/**
+ * Leave Application for expatriate employees.
+ * See services/formTypes.js for the definition format.
+ */
+module.exports = {
+  type: 'leave-expats',
+  dbType: 'leave_expats',
+  displayName: 'Leave Application - Expats',
+  order: 2,
+
+  formPartial: 'leave_expats_form',
+  pdfTemplate: 'leave_expats.ejs',
+
+  // Reference numbers: LE-<year>-00001
+  referencePrefix: 'LE',
+
+  // Shown in lists, history and the PDF filename
+  nameField: 'employeeName',
+  idField: 'employeeId',
+  searchFields: ['employeeName', 'employeeId'],
+
+  // Extra list filters, and the date the leave starts (list date range and sorting)
+  filterFields: ['site', 'leaveType'],
+  leaveStartField: 'commenceLeave',
+
+  // Shown on the public /verify page (never signatures or ID documents)
+  verifyFields: ['leaveType', 'commenceLeave', 'lastDayLeave', 'totalDays'],
+
+  // Employee directory attribute → field (auto-fill and directory checks)
+  employeeFields: {
+    employeeNo: 'employeeId',
+    name: 'employeeName',
+    position: 'position',
+    site: 'site',
+    mobileNo: 'mobileNo'
+  },
+
+  // Leave dates and working days, filled in from each other (see calendarService.js)
+  leavePeriod: {
+    start: 'commenceLeave',
+    end: 'lastDayLeave',
+    days: 'totalDays'
+  },
+
+  // Work site, for the staffing check on approval (see conflictService.js)
+  siteField: 'site',
+
+  // Payment and ticket choices, split on the reports page (see reportService.js)
+  reportFields: ['paymentOption', 'ticketOption'],
+
+  // Leave ledger: days taken of which type, from when (see leaveService.js)
+  leaveFields: {
+    type: 'leaveType',
+    days: 'totalDays',
+    start: 'commenceLeave'
+  },
+
+  signatureSlots: ['employeeSignature', 'managerSignature', 'hrSignature'],
+
+  fields: {
+    employeeName: { label: 'Employee Name', type: 'text', required: true },
+    employeeId: { label: 'Employee ID', type: 'text', required: true },
+    formDate: { label: 'Form Date', type: 'date', strict: true },
+    position: { label: 'Position', type: 'text', strict: true },
+    site: { label: 'Site', type: 'text', strict: true },
+    mobileNo: { label: 'Mobile Number', type: 'text', strict: true },
+    leaveType: {
+      label: 'Leave Type',
+      type: 'enum',
+      options: {
+        annual: 'Annual Leave',
+        emergency: 'Emergency Leave',
+        medical: 'Medical Leave',
+        absentWithoutPay: 'Absent Without Pay',
+        haj: 'Haj Leave'
+      },
+      strict: true
+    },
+    commenceLeave: { label: 'Commence Leave', type: 'date', strict: true },
+    totalDays: { label: 'Total Days', type: 'integer', strict: true },
+    lastDayLeave: { label: 'Last Day of Leave', type: 'date', strict: true },
+    airportName: { label: 'Airport Name', type: 'text', strict: true },
+    paymentOption: {
+      label: 'Payment Option',
+      type: 'enum',
+      options: {
+        advance: 'Payment in Advance',
+        afterReturn: 'Payment After Return'
+      },
+      strict: true
+    },
+    ticketOption: {
+      label: 'Ticket Option',
+      type: 'enum',
+      options: {
+        myTicket: 'Issue My Ticket',
+        family: 'Issue Ticket for Family',
+        compensation: 'Want Compensation Instead of Ticket'
+      },
+      strict: true
+    }
+  }
+};
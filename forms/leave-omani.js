@@ -0,0 +1,82 @@
+/**
+ * Leave Application for Omani employees.
+ * See services/formTypes.js for the definition format.
+ */
+module.exports = {
+  type: 'leave-omani',
+  dbType: 'leave_omani',
+  displayName: 'Leave Application - Omani',
+  order: 3,
+
+  formPartial: 'leave_omani_form',
+  pdfTemplate: 'leave_omani.ejs',
+
+  // Reference numbers: LO-<year>-00001
+  referencePrefix: 'LO',
+
+  // Shown in lists, history and the PDF filename
+  nameField: 'employeeName',
+  idField: 'employeeId',
+  searchFields: ['employeeName', 'employeeId'],
+
+  // Extra list filters, and the date the leave starts (list date range and sorting)
+  filterFields: ['site', 'leaveType'],
+  leaveStartField: 'commenceLeave',
+
+  // Shown on the public /verify page (never signatures or ID documents)
+  verifyFields: ['leaveType', 'commenceLeave', 'lastDayLeave', 'totalDays'],
+
+  // Employee directory attribute → field (auto-fill and directory checks)
+  employeeFields: {
+    employeeNo: 'employeeId',
+    name: 'employeeName',
+    position: 'position',
+    site: 'site',
+    mobileNo: 'mobileNo'
+  },
+
+  // Leave dates and working days, filled in from each other (see calendarService.js)
+  leavePeriod: {
+    start: 'commenceLeave',
+    end: 'lastDayLeave',
+    days: 'totalDays'
+  },
+
+  // Work site, for the staffing check on approval (see conflictService.js)
+  siteField: 'site',
+
+  // Leave ledger: days taken of which type, from when (see leaveService.js)
+  leaveFields: {
+    type: 'leaveType',
+    days: 'totalDays',
+    start: 'commenceLeave'
+  },
+
+  signatureSlots: ['employeeSignature', 'managerSignature', 'hrSignature'],
+
+  fields: {
+    employeeName: { label: 'Employee Name', type: 'text', required: true },
+    employeeId: { label: 'Employee ID', type: 'text', required: true },
+    formDate: { label: 'Form Date', type: 'date', strict: true },
+    position: { label: 'Position', type: 'text', strict: true },
+    site: { label: 'Site', type: 'text', strict: true },
+    mobileNo: { label: 'Mobile Number', type: 'text', strict: true },
+    leaveType: {
+      label: 'Leave Type',
+      type: 'enum',
+      options: {
+        annual: 'Annual Leave',
+        paternity: 'Paternity Leave',
+        familyMedical: 'Family Medical Leave',
+        medical: 'Medical Leave',
+        exam: 'Exam Leave',
+        haj: 'Haj Leave',
+        death: 'Death in Family Leave'
+      },
+      strict: true
+    },
+    commenceLeave: { label: 'Commence Leave', type: 'date', strict: true },
+    totalDays: { label: 'Total Days', type: 'integer', strict: true },
+    lastDayLeave: { label: 'Last Day of Leave', type: 'date', strict: true }
+  }
+};
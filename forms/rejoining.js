@@ -0,0 +1,85 @@
+/**
+ * Re-Joining Form — filled in by employees returning from leave.
+ * See services/formTypes.js for the definition format.
+ */
+module.exports = {
+  type: 'rejoining',
+  dbType: 'rejoining',
+  displayName: 'Re-Joining Form',
+  order: 1,
+
+  formPartial: 'rejoining_form',
+  pdfTemplate: 'rejoining.ejs',
+
+  // Reference numbers: RJ-<year>-00001
+  referencePrefix: 'RJ',
+
+  // Shown in lists, history and the PDF filename
+  nameField: 'name',
+  idField: 'wrokId',
+  searchFields: ['name', 'wrokId'],
+
+  // Extra list filters, and the date the leave starts (list date range and sorting)
+  filterFields: ['leaveType'],
+  leaveStartField: 'dateOfLeaving',
+
+  // Shown on the public /verify page (never signatures or ID documents)
+  verifyFields: ['dateOfLeaving', 'dateOfJoining', 'totalLeave'],
+
+  // Employee directory attribute → field (auto-fill and directory checks)
+  employeeFields: {
+    employeeNo: 'wrokId',
+    name: 'name',
+    position: 'designation',
+    mobileNo: 'mobileNo',
+    passportNo: 'passportNo'
+  },
+
+  // Leave ledger: allowed/extra days are calculated from the annual leave
+  // balance over the leave period (see leaveService.js)
+  leaveFields: {
+    days: 'totalLeave',
+    allowed: 'allowedLeave',
+    extra: 'extraLeave',
+    start: 'dateOfLeaving',
+    end: 'dateOfJoining',
+    leaveType: 'annual'
+  },
+
+  // Closes a leave application: picked when the form is created, copies
+  // these fields (this form's field → leave application field) and counts
+  // extra leave from the day after its last day (see rejoiningService.js)
+  sourceLeave: {
+    types: ['leave-expats', 'leave-omani'],
+    copy: {
+      name: 'employeeName',
+      wrokId: 'employeeId',
+      designation: 'position',
+      leaveType: 'leaveType',
+      dateOfLeaving: 'commenceLeave'
+    },
+    lastDay: 'lastDayLeave'
+  },
+
+  signatureSlots: ['employeeSignature'],
+
+  fields: {
+    name: { label: 'Name', type: 'text', required: true },
+    wrokId: { label: 'Work ID', type: 'text', required: true },
+    mobileNo: { label: 'Mobile Number', type: 'text', strict: true },
+    designation: { label: 'Designation', type: 'text', strict: true },
+    leaveType: { label: 'Leave Type', type: 'text', strict: true },
+    dateOfLeaving: { label: 'Date of Leaving', type: 'date', strict: true },
+    dateOfJoining: { label: 'Date of Joining', type: 'date', strict: true },
+    totalLeave: { label: 'Total Leave', type: 'integer', strict: true },
+    allowedLeave: { label: 'Allowed Leave', type: 'integer', min: 0 },
+    extraLeave: { label: 'Extra Leave', type: 'integer', min: 0 },
+    passportNo: { label: 'Passport No', type: 'text', strict: true },
+    passportHandedOver: {
+      label: 'Passport Handed Over',
+      type: 'enum',
+      options: { YES: 'Yes', NO: 'No' },
+      strict: true
+    }
+  }
+};
@@ -0,0 +1,72 @@
+const { prisma, withRetry } = require('../prismaClient');
+const authService = require('../services/authService');
+
+const USER_SELECT = { id: true, username: true, name: true, role: true, managerId: true, active: true };
+
+// Touch lastUsedAt at most once a minute per key
+const LAST_USED_INTERVAL = 60 * 1000;
+
+/**
+ * JSON error body used by every /api/v1 response
+ * @param {Object} res
+ * @param {number} status
+ * @param {string} code - Machine-readable code, e.g. "unauthorized"
+ * @param {string} message
+ * @param {Object} [fields] - Field errors keyed by field name
+ */
+function sendApiError(res, status, code, message, fields) {
+  const error = { code, message };
+  if (fields) error.fields = fields;
+  res.status(status).json({ error });
+}
+
+/**
+ * Read the API key from "Authorization: Bearer <key>" or "X-API-Key: <key>"
+ * @param {Object} req
+ * @returns {string|null}
+ */
+function readApiKey(req) {
+  const authorization = req.get('authorization') || '';
+  if (authorization.toLowerCase().startsWith('bearer ')) {
+    return authorization.slice(7).trim();
+  }
+  return req.get('x-api-key') || null;
+}
+
+/**
+ * Authenticate an API request. The key acts as its linked user, so the
+ * same role rules apply as in the browser. Sets req.user and req.apiKey.
+ */
+async function requireApiKey(req, res, next) {
+  const key = readApiKey(req);
+  const prefix = authService.parseApiKeyPrefix(key);
+  if (!prefix) {
+    return sendApiError(res, 401, 'unauthorized', 'A valid API key is required');
+  }
+
+  try {
+    const apiKey = await withRetry(() => prisma.apiKey.findUnique({
+      where: { prefix },
+      include: { user: { select: USER_SELECT } }
+    }));
+
+    if (!apiKey || apiKey.revokedAt || !apiKey.user.active || !authService.verifyApiKey(key, apiKey.keyHash)) {
+      return sendApiError(res, 401, 'unauthorized', 'A valid API key is required');
+    }
+
+    if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_INTERVAL) {
+      withRetry(() => prisma.apiKey.update({
+        where: { id: apiKey.id },
+        data: { lastUsedAt: new Date() }
+      })).catch(error => console.error('⚠️  Could not update API key lastUsedAt:', error.message));
+    }
+
+    req.user = apiKey.user;
+    req.apiKey = { id: apiKey.id, name: apiKey.name };
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = { requireApiKey, sendApiError };
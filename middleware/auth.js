@@ -0,0 +1,58 @@
+const { prisma, withRetry } = require('../prismaClient');
+const authService = require('../services/authService');
+
+/**
+ * Load the logged-in user from the signed session cookie.
+ * Sets req.user and res.locals.currentUser (null when logged out).
+ */
+async function loadUser(req, res, next) {
+  req.user = null;
+  res.locals.currentUser = null;
+
+  const userId = authService.parseSessionValue(req.signedCookies[authService.SESSION_COOKIE]);
+  if (!userId) return next();
+
+  try {
+    const user = await withRetry(() => prisma.user.findUnique({
+      where: { id: userId },
+      select: { id: true, username: true, name: true, role: true, managerId: true, active: true }
+    }));
+
+    if (user && user.active) {
+      req.user = user;
+      res.locals.currentUser = user;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Redirect to the login page when nobody is logged in
+ */
+function requireLogin(req, res, next) {
+  if (req.user) return next();
+
+  const nextUrl = req.method === 'GET' ? req.originalUrl : '/';
+  res.redirect(`/login?next=${encodeURIComponent(nextUrl)}`);
+}
+
+/**
+ * Only allow users with one of the given roles
+ * @param {...string} roles
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) return requireLogin(req, res, next);
+    if (roles.includes(req.user.role)) return next();
+
+    res.status(403).render('error', {
+      title: 'Access Denied',
+      message: 'You do not have permission to view this page.',
+      error: {}
+    });
+  };
+}
+
+module.exports = { loadUser, requireLogin, requireRole };
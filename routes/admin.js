@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const webhooksController = require('../controllers/webhooksController');
+const { requireRole } = require('../middleware/auth');
+
+const adminOnly = requireRole('admin');
+
+// Webhook endpoints
+router.get('/admin/webhooks', adminOnly, webhooksController.list);
+router.post('/admin/webhooks', adminOnly, webhooksController.create);
+router.get('/admin/webhooks/:id', adminOnly, webhooksController.show);
+router.post('/admin/webhooks/:id', adminOnly, webhooksController.update);
+router.post('/admin/webhooks/:id/delete', adminOnly, webhooksController.remove);
+
+// Send a delivery again
+router.post('/admin/webhooks/:id/deliveries/:deliveryId/redeliver', adminOnly, webhooksController.redeliver);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require('express');
+const router = express.Router();
+const apiController = require('../controllers/apiController');
+const { requireApiKey } = require('../middleware/apiAuth');
+
+// OpenAPI document (public)
+router.get('/openapi.json', apiController.openapi);
+
+// List applications
+router.get('/applications', requireApiKey, apiController.list);
+
+// Create application
+router.post('/applications', requireApiKey, apiController.create);
+
+// Get application
+router.get('/applications/:id', requireApiKey, apiController.get);
+
+// Update application (merge)
+router.patch('/applications/:id', requireApiKey, apiController.update);
+
+// Export application as PDF
+router.get('/applications/:id/pdf', requireApiKey, apiController.pdf);
+
+// JSON 404 and errors for anything else under /api/v1
+router.use(apiController.notFound);
+router.use(apiController.errorHandler);
+
+module.exports = router;
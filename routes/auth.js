@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const authController = require('../controllers/authController');
+
+// Login page
+router.get('/login', authController.loginForm);
+
+// Sign in
+router.post('/login', authController.login);
+
+// Sign out
+router.post('/logout', authController.logout);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require('express');
+const router = express.Router();
+const calendarController = require('../controllers/calendarController');
+const { requireLogin } = require('../middleware/auth');
+
+// Subscribed .ics feed — signed URL, no session
+router.get('/calendar/feed/:userId.ics', calendarController.feed);
+
+// Month or week of leave
+router.get('/calendar', requireLogin, calendarController.show);
+
+// Approved leave as an .ics download
+router.get('/calendar/leave.ics', requireLogin, calendarController.download);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const exportsController = require('../controllers/exportsController');
+const { requireLogin } = require('../middleware/auth');
+
+// Batch PDF export (ticked applications or the current filter) as a ZIP
+router.post('/forms/:type/export/pdf', requireLogin, exportsController.startBatch);
+
+// Background export progress page
+router.get('/exports/:id', requireLogin, exportsController.status);
+
+// Background export progress (JSON, polled)
+router.get('/exports/:id/status', requireLogin, exportsController.statusJson);
+
+// Download a finished export
+router.get('/exports/:id/download', requireLogin, exportsController.download);
+
+module.exports = router;
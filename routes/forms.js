@@ -1,26 +1,54 @@
 const express = require('express');
 const router = express.Router();
 const formsController = require('../controllers/formsController');
+const { requireLogin } = require('../middleware/auth');
 
 // Home page
-router.get('/', formsController.home);
+router.get('/', requireLogin, formsController.home);
 
 // List applications by type
-router.get('/forms/:type', formsController.list);
+router.get('/forms/:type', requireLogin, formsController.list);
+
+// Export the filtered list (csv or xlsx)
+router.get('/forms/:type/export.:format', requireLogin, formsController.exportList);
+
+// Employee directory autocomplete (JSON)
+router.get('/forms/:type/employees', requireLogin, formsController.employeeSearch);
+
+// Leave balance of the employee on the form (JSON)
+router.get('/forms/:type/leave-balance', requireLogin, formsController.leaveBalance);
 
 // New application form
-router.get('/forms/:type/new', formsController.newForm);
+router.get('/forms/:type/new', requireLogin, formsController.newForm);
 
 // Edit application form
-router.get('/forms/:type/:id/edit', formsController.editForm);
+router.get('/forms/:type/:id/edit', requireLogin, formsController.editForm);
 
 // Create new application
-router.post('/forms/:type', formsController.create);
+router.post('/forms/:type', requireLogin, formsController.create);
 
 // Update existing application
-router.post('/forms/:type/:id', formsController.update);
+router.post('/forms/:type/:id', requireLogin, formsController.update);
+
+// Move application to its next workflow status
+router.post('/forms/:type/:id/transition', requireLogin, formsController.transition);
+
+// Revision history
+router.get('/forms/:type/:id/history', requireLogin, formsController.history);
+
+// View a single revision
+router.get('/forms/:type/:id/history/:version', requireLogin, formsController.revision);
+
+// Restore an earlier revision
+router.post('/forms/:type/:id/history/:version/restore', requireLogin, formsController.restore);
 
 // Export application as PDF
-router.get('/forms/:type/:id/pdf', formsController.exportPDF);
+router.get('/forms/:type/:id/pdf', requireLogin, formsController.exportPDF);
+
+// Download a stored PDF
+router.get('/forms/:type/:id/documents/:documentId', requireLogin, formsController.document);
+
+// Stored signature image (see services/signatureService.js)
+router.get('/signatures/:id.png', requireLogin, formsController.signature);
 
 module.exports = router;
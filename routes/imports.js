@@ -0,0 +1,19 @@
+const express = require('express');
+const router = express.Router();
+const importsController = require('../controllers/importsController');
+const { requireRole } = require('../middleware/auth');
+
+const hrOnly = requireRole('hr', 'admin');
+
+// Import batches
+router.get('/imports', hrOnly, importsController.list);
+
+// Delete the applications of an import
+router.post('/imports/:id/rollback', hrOnly, importsController.rollback);
+
+// Upload screen, column template, dry run and import (before the /forms/:type/:id routes)
+router.get('/forms/:type/import', hrOnly, importsController.newImport);
+router.get('/forms/:type/import/template.csv', hrOnly, importsController.template);
+router.post('/forms/:type/import', hrOnly, importsController.create);
+
+module.exports = router;
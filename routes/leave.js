@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const leaveController = require('../controllers/leaveController');
+const { requireRole } = require('../middleware/auth');
+
+const hrOnly = requireRole('hr', 'admin');
+
+// Find an employee
+router.get('/leave', hrOnly, leaveController.search);
+
+// Approved leave ended without a re-joining form (before :employeeNo)
+router.get('/leave/overdue', hrOnly, leaveController.overdue);
+
+// Balances and ledger of one employee for a year
+router.get('/leave/:employeeNo', hrOnly, leaveController.show);
+
+// Post an entitlement or adjustment
+router.post('/leave/:employeeNo/entries', hrOnly, leaveController.addEntry);
+
+module.exports = router;
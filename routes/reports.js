@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const reportsController = require('../controllers/reportsController');
+const { requireRole } = require('../middleware/auth');
+
+const managers = requireRole('manager', 'hr', 'admin');
+
+// Leave aggregates with charts
+router.get('/reports', managers, reportsController.show);
+
+// One report's table as CSV
+router.get('/reports/:report.csv', managers, reportsController.download);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const signingController = require('../controllers/signingController');
+const { requireLogin } = require('../middleware/auth');
+
+// Create a signing link for the manager or HR signature
+router.post('/forms/:type/:id/signing-links', requireLogin, signingController.create);
+
+// Withdraw an unused signing link
+router.post('/forms/:type/:id/signing-links/:linkId/revoke', requireLogin, signingController.revoke);
+
+// Public: signing page (the token in the link is the credential)
+router.get('/sign/:token', signingController.show);
+
+// Public: submit the signature
+router.post('/sign/:token', signingController.sign);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const verifyController = require('../controllers/verifyController');
+
+// Public: look up a reference printed on a PDF
+router.get('/verify', verifyController.show);
+
+// Public: QR code target
+router.get('/verify/:code', verifyController.show);
+
+module.exports = router;
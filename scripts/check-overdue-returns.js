@@ -0,0 +1,46 @@
+#!/usr/bin/env node
+
+/**
+ * List leave that has ended without a re-joining form, and run today's
+ * overdue returns reminder when it hasn't run yet (see
+ * services/overdueService.js). The server runs it every day on its own;
+ * use this when a run failed or the server was down at the time.
+ *
+ * Usage:
+ *   node scripts/check-overdue-returns.js --dry-run   # list only, send nothing
+ *   node scripts/check-overdue-returns.js
+ */
+
+require('dotenv').config();
+const overdueService = require('../services/overdueService');
+const { prisma } = require('../prismaClient');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  try {
+    if (dryRun) {
+      console.log('🔍 Dry run — no reminders will be sent');
+      const overdue = await overdueService.listOverdue();
+      overdue.forEach((item) => {
+        console.log(`   ${item.daysOverdue} day(s): ${item.name} (${item.employeeNo}) ${item.reference || item.displayName}, last day ${item.lastDay}`);
+      });
+      console.log(`✅ ${overdue.length} overdue return(s)`);
+      return;
+    }
+
+    const run = await overdueService.runReminders();
+    if (!run) {
+      console.log('ℹ️  Today\'s reminder has already run (or is running) — see /leave/overdue');
+      return;
+    }
+    console.log(`✅ ${run.summary.overdue} overdue return(s), ${run.summary.reminders.length} reminder(s) sent`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Overdue returns check failed:', error.message);
+  process.exit(1);
+});
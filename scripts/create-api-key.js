@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Create or revoke an API key for the JSON API (/api/v1).
+ *
+ * Usage:
+ *   node scripts/create-api-key.js --name "HR system" --user hr1
+ *   node scripts/create-api-key.js --revoke <prefix>
+ *
+ * The key acts as the given user (and their role). It is printed once;
+ * only a hash is stored.
+ */
+
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const authService = require('../services/authService');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const prisma = new PrismaClient();
+
+  try {
+    if (args.revoke) {
+      const { count } = await prisma.apiKey.updateMany({
+        where: { prefix: args.revoke, revokedAt: null },
+        data: { revokedAt: new Date() }
+      });
+      if (count === 0) {
+        console.error(`❌ No active API key with prefix "${args.revoke}"`);
+        process.exit(1);
+      }
+      console.log(`✅ Revoked API key ${args.revoke}`);
+      return;
+    }
+
+    const username = (args.user || '').trim().toLowerCase();
+    if (!args.name || !username) {
+      console.error('❌ --name and --user are required');
+      process.exit(1);
+    }
+
+    const user = await prisma.user.findUnique({ where: { username } });
+    if (!user || !user.active) {
+      console.error(`❌ Active user "${username}" not found`);
+      process.exit(1);
+    }
+
+    const { key, prefix, keyHash } = authService.generateApiKey();
+    await prisma.apiKey.create({
+      data: { name: args.name, prefix, keyHash, userId: user.id }
+    });
+
+    console.log(`✅ Created API key "${args.name}" for ${user.role} "${user.username}" (prefix ${prefix})`);
+    console.log(`🔑 ${key}`);
+    console.log('   Store it now — it cannot be shown again.');
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to save API key:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+
+/**
+ * Create or update a user account.
+ *
+ * Usage:
+ *   node scripts/create-user.js --username jdoe --name "John Doe" --role employee --manager asmith
+ *   node scripts/create-user.js --username hr1 --name "HR Desk" --role hr --password "s3cret"
+ *
+ * If --password is omitted a random one is generated and printed once.
+ * Re-running for an existing username updates name/role/manager (and password if given).
+ */
+
+require('dotenv').config();
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const authService = require('../services/authService');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const username = (args.username || '').trim().toLowerCase();
+  const role = args.role || 'employee';
+
+  if (!username) {
+    console.error('❌ --username is required');
+    process.exit(1);
+  }
+  if (!authService.isValidRole(role)) {
+    console.error(`❌ --role must be one of: ${authService.ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const prisma = new PrismaClient();
+
+  try {
+    let managerId = null;
+    if (args.manager) {
+      const manager = await prisma.user.findUnique({ where: { username: args.manager.toLowerCase() } });
+      if (!manager) {
+        console.error(`❌ Manager "${args.manager}" not found`);
+        process.exit(1);
+      }
+      managerId = manager.id;
+    }
+
+    const existing = await prisma.user.findUnique({ where: { username } });
+    const password = args.password || (existing ? null : crypto.randomBytes(9).toString('base64url'));
+
+    const data = {
+      name: args.name || existing?.name || username,
+      role,
+      managerId: args.manager ? managerId : existing?.managerId ?? null,
+    };
+    if (password) {
+      data.passwordHash = await authService.hashPassword(password);
+    }
+
+    const user = existing
+      ? await prisma.user.update({ where: { username }, data })
+      : await prisma.user.create({ data: { username, ...data } });
+
+    console.log(`✅ ${existing ? 'Updated' : 'Created'} ${user.role} "${user.username}" (${user.name})`);
+    if (password && !args.password) {
+      console.log(`🔑 Generated password: ${password}`);
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Failed to save user:', error.message);
+  process.exit(1);
+});
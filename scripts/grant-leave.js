@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Give every active employee their yearly leave entitlement.
+ *
+ * Usage:
+ *   node scripts/grant-leave.js --year 2027 --days 30 --dry-run
+ *   node scripts/grant-leave.js --year 2027 --days 30
+ *   node scripts/grant-leave.js --year 2027 --days 15 --type emergency
+ *
+ * --type defaults to "annual" (see LEAVE_TYPES in services/leaveService.js).
+ * Employees who already have an entitlement of that type for the year are
+ * skipped, so running it twice is harmless. Different amounts for some
+ * employees are posted as adjustments on their /leave page.
+ */
+
+require('dotenv').config();
+const leaveService = require('../services/leaveService');
+const { prisma } = require('../prismaClient');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      args['dry-run'] = true;
+    } else if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const year = parseInt(args.year, 10);
+  const days = parseInt(args.days, 10);
+  const leaveType = args.type || 'annual';
+
+  try {
+    if (!(year >= 2000 && year <= 2100)) {
+      console.error('❌ --year must be between 2000 and 2100');
+      process.exit(1);
+    }
+    if (!(days > 0 && days <= 366)) {
+      console.error('❌ --days must be between 1 and 366');
+      process.exit(1);
+    }
+    if (!leaveService.LEAVE_TYPES[leaveType]) {
+      console.error(`❌ Unknown leave type "${leaveType}". Use one of: ${Object.keys(leaveService.LEAVE_TYPES).join(', ')}`);
+      process.exit(1);
+    }
+
+    if (args['dry-run']) console.log('🔍 Dry run — nothing will be written');
+    const { granted, skipped } = await leaveService.grantEntitlements({
+      year,
+      leaveType,
+      days,
+      dryRun: args['dry-run'] === true
+    });
+
+    console.log(`✅ ${leaveService.getLeaveTypeLabel(leaveType)} ${year}: ${days} days granted to ${granted} employee(s), ${skipped} already had it`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Granting leave failed:', error.message);
+  process.exit(1);
+});
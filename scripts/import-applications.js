@@ -0,0 +1,160 @@
+#!/usr/bin/env node
+
+/**
+ * Import historical applications of one form type from a CSV or XLSX file,
+ * or roll an import back.
+ *
+ * Usage:
+ *   node scripts/import-applications.js --type leave-expats --file leave-2024.xlsx --user hr1 --dry-run
+ *   node scripts/import-applications.js --type leave-expats --file leave-2024.xlsx --user hr1
+ *   node scripts/import-applications.js --type rejoining --file rejoining.csv --user hr1 \
+ *     --map "Emp No=wrokId,Remarks=" --status closed
+ *   node scripts/import-applications.js --rollback <batch id> --user hr1
+ *
+ * Columns are matched on their headers (field labels or keys, plus "Status"
+ * and "Created"); --map changes the match of some columns ("Header=field",
+ * comma separated; an empty field leaves the column out). --status is the
+ * status of rows without a Status column (default closed, i.e. closed after
+ * HR approval). The user (HR or admin) owns the imported applications. Each
+ * row is checked like a new application; rows with errors are listed and
+ * left out, the rest are saved in one transaction. See
+ * services/importService.js.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const importService = require('../services/importService');
+const formTypes = require('../services/formTypes');
+const workflowService = require('../services/workflowService');
+const { prisma } = require('../prismaClient');
+
+const IMPORT_ROLES = ['hr', 'admin'];
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      args['dry-run'] = true;
+    } else if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+// --map "Header=field,..." → target key per column index, on top of the header match
+function buildMapping(type, headers, map) {
+  const mapping = importService.guessMapping(type, headers);
+  const normalize = value => String(value).trim().toLowerCase();
+  const errors = [];
+
+  String(map || '').split(',').filter(pair => pair.trim() !== '').forEach((pair) => {
+    const [header, key = ''] = pair.split('=');
+    const index = headers.findIndex(h => normalize(h) === normalize(header));
+    if (index === -1) return errors.push(`--map: no column "${header.trim()}"`);
+    if (key.trim() && !importService.getTargets(type).some(t => t.key === key.trim())) {
+      return errors.push(`--map: "${key.trim()}" is not a field of ${type}`);
+    }
+    mapping[index] = key.trim();
+  });
+  return { errors, mapping };
+}
+
+const printRow = (row) => {
+  const who = [row.name, row.employeeNo && `(${row.employeeNo})`].filter(Boolean).join(' ');
+  console.log(`   Row ${row.line}: ${who || '—'} ${row.period}`.trimEnd());
+  row.errors.forEach(error => console.log(`      ❌ ${error}`));
+  row.warnings.forEach(warning => console.log(`      ⚠️  ${warning}`));
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    const username = (args.user || '').trim().toLowerCase();
+    const user = username ? await prisma.user.findUnique({ where: { username } }) : null;
+    if (!user || !user.active || !IMPORT_ROLES.includes(user.role)) {
+      console.error('❌ --user must be an active HR or admin user');
+      process.exit(1);
+    }
+    const actor = { actorId: user.id, actorName: `${user.name} (import script)`, ip: null };
+
+    if (args.rollback) {
+      const { errors, batch, deleted } = await importService.rollbackBatch(args.rollback, actor);
+      if (!batch) {
+        console.error(`❌ Import ${args.rollback} not found`);
+        process.exit(1);
+      }
+      if (errors.length > 0) {
+        errors.forEach(error => console.error(`❌ ${error}`));
+        process.exit(1);
+      }
+      console.log(`✅ Rolled back ${batch.fileName}: ${deleted} application(s) deleted`);
+      return;
+    }
+
+    if (!formTypes.getDefinition(args.type)) {
+      console.error(`❌ --type must be one of: ${formTypes.VALID_TYPES.join(', ')}`);
+      process.exit(1);
+    }
+    if (!args.file || !fs.existsSync(args.file)) {
+      console.error(`❌ File not found: ${args.file || '(--file is required)'}`);
+      process.exit(1);
+    }
+    if (args.status && !workflowService.isValidStatus(args.status)) {
+      console.error(`❌ --status must be one of: ${Object.keys(workflowService.STATUS_LABELS).join(', ')}`);
+      process.exit(1);
+    }
+
+    const fileName = path.basename(args.file);
+    const buffer = fs.readFileSync(args.file);
+    const format = importService.getFormat(fileName);
+    const { headers } = format ? await importService.readFile(buffer, format) : { headers: [] };
+    const { errors: mapErrors, mapping } = buildMapping(args.type, headers, args.map);
+    if (mapErrors.length > 0) {
+      mapErrors.forEach(error => console.error(`❌ ${error}`));
+      process.exit(1);
+    }
+
+    const params = {
+      type: args.type,
+      fileName,
+      buffer,
+      mapping,
+      user,
+      defaultStatus: args.status || importService.DEFAULT_STATUS
+    };
+    if (args['dry-run']) console.log('🔍 Dry run — nothing will be written');
+    const result = args['dry-run'] ? await importService.previewFile(params) : await importService.importFile({ ...params, actor });
+
+    if (result.headers.length > 0) {
+      console.log('   Columns:');
+      result.headers.forEach((header, i) => {
+        const target = result.targets.find(t => t.key === result.mapping[i]);
+        console.log(`     ${header || '(no header)'} → ${target ? target.label : 'not imported'}`);
+      });
+    }
+    result.rows.filter(row => !row.valid || row.warnings.length > 0).forEach(printRow);
+    if (result.errors.length > 0) {
+      result.errors.forEach(error => console.error(`❌ ${error}`));
+      process.exit(1);
+    }
+
+    const { total, valid, invalid } = result.summary;
+    if (args['dry-run']) {
+      console.log(`✅ ${total} row(s): ${valid} can be imported, ${invalid} with errors`);
+    } else {
+      console.log(`✅ Imported ${valid} of ${total} row(s) as batch ${result.batch.id} (${invalid} left out)`);
+      console.log(`   Roll back with: node scripts/import-applications.js --rollback ${result.batch.id} --user ${username}`);
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Import failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Import the employee directory from a CSV file.
+ *
+ * Usage:
+ *   node scripts/import-employees.js --file employees.csv --dry-run
+ *   node scripts/import-employees.js --file employees.csv
+ *   node scripts/import-employees.js --file employees.csv --deactivate-missing
+ *
+ * The first row holds the headers. "Employee ID" and "Name" are required;
+ * "Position", "Site", "Mobile Number", "Passport No" and "Active" (yes/no)
+ * are optional (see services/employeeService.js for accepted spellings).
+ * Employees are matched on Employee ID: new ones are created, changed ones
+ * updated. With --deactivate-missing, employees not in the file are marked
+ * inactive (they stay linked to their applications). Nothing is written if
+ * any row has an error.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const employeeService = require('../services/employeeService');
+const { prisma } = require('../prismaClient');
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run' || argv[i] === '--deactivate-missing') {
+      args[argv[i].slice(2)] = true;
+    } else if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  try {
+    if (!args.file) {
+      console.error('❌ --file is required');
+      process.exit(1);
+    }
+    if (!fs.existsSync(args.file)) {
+      console.error(`❌ File not found: ${args.file}`);
+      process.exit(1);
+    }
+
+    const { errors, records } = employeeService.parseEmployeeCSV(fs.readFileSync(args.file, 'utf8'));
+    if (errors.length > 0) {
+      console.error(`❌ ${errors.length} problem(s) in ${args.file}, nothing imported:`);
+      errors.slice(0, 50).forEach(error => console.error(`   ${error}`));
+      if (errors.length > 50) console.error(`   … and ${errors.length - 50} more`);
+      process.exit(1);
+    }
+
+    if (args['dry-run']) console.log('🔍 Dry run — nothing will be written');
+    const result = await employeeService.importEmployees(records, {
+      deactivateMissing: args['deactivate-missing'] === true,
+      dryRun: args['dry-run'] === true
+    });
+
+    console.log(`✅ ${records.length} employee(s) in file: ${result.created} new, ${result.updated} updated, ${result.unchanged} unchanged`);
+    if (args['deactivate-missing']) console.log(`   ${result.deactivated} marked inactive`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Employee import failed:', error.message);
+  process.exit(1);
+});
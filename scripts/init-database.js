@@ -1,4 +1,517 @@
 const { PrismaClient } = require('@prisma/client');
+const { getBackfillSQL } = require('../services/referenceService');
+
+/**
+ * Idempotent schema statements, applied in order on every build.
+ * Keep these in sync with prisma/schema.prisma — each one must be safe to re-run.
+ */
+const SCHEMA_STATEMENTS = [
+  {
+    name: 'Application table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "Application" (
+        "id" TEXT NOT NULL,
+        "type" TEXT NOT NULL,
+        "data" JSONB NOT NULL,
+        "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP(3) NOT NULL,
+        CONSTRAINT "Application_pkey" PRIMARY KEY ("id")
+      )
+    `,
+  },
+  {
+    name: 'Application.status column',
+    sql: `ALTER TABLE "Application" ADD COLUMN IF NOT EXISTS "status" TEXT NOT NULL DEFAULT 'draft'`,
+  },
+  {
+    name: 'Application type/status index',
+    sql: `CREATE INDEX IF NOT EXISTS "Application_type_status_idx" ON "Application" ("type", "status")`,
+  },
+  {
+    name: 'Application type/createdAt index',
+    sql: `CREATE INDEX IF NOT EXISTS "Application_type_createdAt_idx" ON "Application" ("type", "createdAt")`,
+  },
+  {
+    name: 'User table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "User" (
+        "id" TEXT NOT NULL,
+        "username" TEXT NOT NULL,
+        "passwordHash" TEXT NOT NULL,
+        "name" TEXT NOT NULL,
+        "role" TEXT NOT NULL DEFAULT 'employee',
+        "active" BOOLEAN NOT NULL DEFAULT true,
+        "managerId" TEXT,
+        "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP(3) NOT NULL,
+        CONSTRAINT "User_pkey" PRIMARY KEY ("id"),
+        CONSTRAINT "User_managerId_fkey" FOREIGN KEY ("managerId") REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE
+      )
+    `,
+  },
+  {
+    name: 'User username index',
+    sql: `CREATE UNIQUE INDEX IF NOT EXISTS "User_username_key" ON "User" ("username")`,
+  },
+  {
+    name: 'Application.ownerId column',
+    sql: `ALTER TABLE "Application" ADD COLUMN IF NOT EXISTS "ownerId" TEXT REFERENCES "User"("id") ON DELETE SET NULL ON UPDATE CASCADE`,
+  },
+  {
+    name: 'Application owner index',
+    sql: `CREATE INDEX IF NOT EXISTS "Application_ownerId_idx" ON "Application" ("ownerId")`,
+  },
+  {
+    name: 'Employee table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "Employee" (
+        "id" TEXT NOT NULL,
+        "employeeNo" TEXT NOT NULL,
+        "name" TEXT NOT NULL,
+        "position" TEXT,
+        "site" TEXT,
+        "mobileNo" TEXT,
+        "passportNo" TEXT,
+        "active" BOOLEAN NOT NULL DEFAULT true,
+        "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP(3) NOT NULL,
+        CONSTRAINT "Employee_pkey" PRIMARY KEY ("id")
+      )
+    `,
+  },
+  {
+    name: 'Employee number index',
+    sql: `CREATE UNIQUE INDEX IF NOT EXISTS "Employee_employeeNo_key" ON "Employee" ("employeeNo")`,
+  },
+  {
+    name: 'Employee name index',
+    sql: `CREATE INDEX IF NOT EXISTS "Employee_name_idx" ON "Employee" ("name")`,
+  },
+  {
+    name: 'Application.employeeId column',
+    sql: `ALTER TABLE "Application" ADD COLUMN IF NOT EXISTS "employeeId" TEXT REFERENCES "Employee"("id") ON DELETE SET NULL ON UPDATE CASCADE`,
+  },
+  {
+    name: 'Application employee index',
+    sql: `CREATE INDEX IF NOT EXISTS "Application_employeeId_idx" ON "Application" ("employeeId")`,
+  },
+  {
+    name: 'LeaveLedgerEntry table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "LeaveLedgerEntry" (
+        "id" TEXT NOT NULL,
+        "employeeId" TEXT NOT NULL,
+        "year" INTEGER NOT NULL,
+        "leaveType" TEXT NOT NULL,
+        "kind" TEXT NOT NULL,
+        "days" INTEGER NOT NULL,
+        "applicationId" TEXT,
+        "note" TEXT,
+        "actorId" TEXT,
+        "actorName" TEXT,
+        "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT "LeaveLedgerEntry_pkey" PRIMARY KEY ("id"),
+        CONSTRAINT "LeaveLedgerEntry_employeeId_fkey" FOREIGN KEY ("employeeId") REFERENCES "Employee"("id") ON DELETE CASCADE ON UPDATE CASCADE,
+        CONSTRAINT "LeaveLedgerEntry_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "Application"("id") ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `,
+  },
+  {
+    name: 'LeaveLedgerEntry balance index',
+    sql: `CREATE INDEX IF NOT EXISTS "LeaveLedgerEntry_employeeId_year_leaveType_idx" ON "LeaveLedgerEntry" ("employeeId", "year", "leaveType")`,
+  },
+  {
+    name: 'LeaveLedgerEntry application index',
+    sql: `CREATE INDEX IF NOT EXISTS "LeaveLedgerEntry_applicationId_idx" ON "LeaveLedgerEntry" ("applicationId")`,
+  },
+  {
+    name: 'Application.sourceApplicationId column',
+    sql: `ALTER TABLE "Application" ADD COLUMN IF NOT EXISTS "sourceApplicationId" TEXT REFERENCES "Application"("id") ON DELETE SET NULL ON UPDATE CASCADE`,
+  },
+  {
+    name: 'Application source index',
+    sql: `CREATE INDEX IF NOT EXISTS "Application_sourceApplicationId_idx" ON "Application" ("sourceApplicationId")`,
+  },
+  {
+    // One re-joining form per leave application (Prisma can't declare a partial unique index)
+    name: 'Application sourceApplicationId unique index',
+    sql: `CREATE UNIQUE INDEX IF NOT EXISTS "Application_sourceApplicationId_key" ON "Application" ("sourceApplicationId") WHERE "sourceApplicationId" IS NOT NULL`,
+  },
+  {
+    name: 'Application.verifyCode column',
+    sql: `ALTER TABLE "Application" ADD COLUMN IF NOT EXISTS "verifyCode" TEXT`,
+  },
+  {
+    name: 'Application verifyCode index',
+    sql: `CREATE UNIQUE INDEX IF NOT EXISTS "Application_verifyCode_key" ON "Application" ("verifyCode")`,
+  },
+  {
+    name: 'Application.reference column',
+    sql: `ALTER TABLE "Application" ADD COLUMN IF NOT EXISTS "reference" TEXT`,
+  },
+  {
+    name: 'Application reference index',
+    sql: `CREATE UNIQUE INDEX IF NOT EXISTS "Application_reference_key" ON "Application" ("reference")`,
+  },
+  {
+    name: 'ReferenceSequence table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "ReferenceSequence" (
+        "type" TEXT NOT NULL,
+        "year" INTEGER NOT NULL,
+        "lastValue" INTEGER NOT NULL,
+        CONSTRAINT "ReferenceSequence_pkey" PRIMARY KEY ("type", "year")
+      )
+    `,
+  },
+  {
+    name: 'References for existing applications',
+    sql: getBackfillSQL(),
+  },
+  {
+    name: 'ApplicationRevision table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "ApplicationRevision" (
+        "id" TEXT NOT NULL,
+        "applicationId" TEXT NOT NULL,
+        "version" INTEGER NOT NULL,
+        "action" TEXT NOT NULL,
+        "actorId" TEXT,
+        "actorName" TEXT NOT NULL,
+        "ip" TEXT,
+        "status" TEXT NOT NULL,
+        "changes" JSONB NOT NULL,
+        "data" JSONB NOT NULL,
+        "note" TEXT,
+        "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT "ApplicationRevision_pkey" PRIMARY KEY ("id"),
+        CONSTRAINT "ApplicationRevision_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "Application"("id") ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `,
+  },
+  {
+    name: 'ApplicationRevision version index',
+    sql: `CREATE UNIQUE INDEX IF NOT EXISTS "ApplicationRevision_applicationId_version_key" ON "ApplicationRevision" ("applicationId", "version")`,
+  },
+  {
+    name: 'ApplicationRevision immutability function',
+    sql: `
+      CREATE OR REPLACE FUNCTION "ApplicationRevision_immutable"() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'ApplicationRevision rows are immutable';
+      END;
+      $$ LANGUAGE plpgsql
+    `,
+  },
+  {
+    name: 'ApplicationRevision immutability trigger',
+    sql: `
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'ApplicationRevision_no_update') THEN
+          CREATE TRIGGER "ApplicationRevision_no_update" BEFORE UPDATE ON "ApplicationRevision"
+            FOR EACH ROW EXECUTE FUNCTION "ApplicationRevision_immutable"();
+        END IF;
+      END
+      $$
+    `,
+  },
+  {
+    name: 'ApiKey table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "ApiKey" (
+        "id" TEXT NOT NULL,
+        "name" TEXT NOT NULL,
+        "prefix" TEXT NOT NULL,
+        "keyHash" TEXT NOT NULL,
+        "userId" TEXT NOT NULL,
+        "lastUsedAt" TIMESTAMP(3),
+        "revokedAt" TIMESTAMP(3),
+        "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT "ApiKey_pkey" PRIMARY KEY ("id"),
+        CONSTRAINT "ApiKey_userId_fkey" FOREIGN KEY ("userId") REFERENCES "User"("id") ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `,
+  },
+  {
+    name: 'ApiKey prefix index',
+    sql: `CREATE UNIQUE INDEX IF NOT EXISTS "ApiKey_prefix_key" ON "ApiKey" ("prefix")`,
+  },
+  {
+    name: 'ApplicationDocument table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "ApplicationDocument" (
+        "id" TEXT NOT NULL,
+        "applicationId" TEXT NOT NULL,
+        "version" INTEGER NOT NULL,
+        "status" TEXT NOT NULL,
+        "fileName" TEXT NOT NULL,
+        "sha256" TEXT NOT NULL,
+        "size" INTEGER NOT NULL,
+        "storage" TEXT NOT NULL,
+        "storageKey" TEXT NOT NULL,
+        "createdById" TEXT,
+        "supersededAt" TIMESTAMP(3),
+        "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT "ApplicationDocument_pkey" PRIMARY KEY ("id"),
+        CONSTRAINT "ApplicationDocument_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "Application"("id") ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `,
+  },
+  {
+    name: 'ApplicationDocument version index',
+    sql: `CREATE UNIQUE INDEX IF NOT EXISTS "ApplicationDocument_applicationId_version_key" ON "ApplicationDocument" ("applicationId", "version")`,
+  },
+  {
+    name: 'ApplicationDocument immutability function',
+    sql: `
+      CREATE OR REPLACE FUNCTION "ApplicationDocument_immutable"() RETURNS trigger AS $$
+      BEGIN
+        IF (to_jsonb(NEW) - 'supersededAt') IS DISTINCT FROM (to_jsonb(OLD) - 'supersededAt') THEN
+          RAISE EXCEPTION 'ApplicationDocument rows are immutable (only supersededAt may change)';
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql
+    `,
+  },
+  {
+    name: 'ApplicationDocument immutability trigger',
+    sql: `
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'ApplicationDocument_no_update') THEN
+          CREATE TRIGGER "ApplicationDocument_no_update" BEFORE UPDATE ON "ApplicationDocument"
+            FOR EACH ROW EXECUTE FUNCTION "ApplicationDocument_immutable"();
+        END IF;
+      END
+      $$
+    `,
+  },
+  {
+    name: 'SigningLink table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "SigningLink" (
+        "id" TEXT NOT NULL,
+        "applicationId" TEXT NOT NULL,
+        "slot" TEXT NOT NULL,
+        "tokenHash" TEXT NOT NULL,
+        "recipient" TEXT,
+        "createdById" TEXT,
+        "expiresAt" TIMESTAMP(3) NOT NULL,
+        "revokedAt" TIMESTAMP(3),
+        "usedAt" TIMESTAMP(3),
+        "signerName" TEXT,
+        "signerIp" TEXT,
+        "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT "SigningLink_pkey" PRIMARY KEY ("id"),
+        CONSTRAINT "SigningLink_applicationId_fkey" FOREIGN KEY ("applicationId") REFERENCES "Application"("id") ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `,
+  },
+  {
+    name: 'SigningLink token index',
+    sql: `CREATE UNIQUE INDEX IF NOT EXISTS "SigningLink_tokenHash_key" ON "SigningLink" ("tokenHash")`,
+  },
+  {
+    name: 'SigningLink application index',
+    sql: `CREATE INDEX IF NOT EXISTS "SigningLink_applicationId_idx" ON "SigningLink" ("applicationId")`,
+  },
+  {
+    name: 'Webhook table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "Webhook" (
+        "id" TEXT NOT NULL,
+        "name" TEXT NOT NULL,
+        "url" TEXT NOT NULL,
+        "secret" TEXT NOT NULL,
+        "events" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+        "active" BOOLEAN NOT NULL DEFAULT true,
+        "createdById" TEXT,
+        "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "updatedAt" TIMESTAMP(3) NOT NULL,
+        CONSTRAINT "Webhook_pkey" PRIMARY KEY ("id")
+      )
+    `,
+  },
+  {
+    name: 'WebhookDelivery table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "WebhookDelivery" (
+        "id" TEXT NOT NULL,
+        "webhookId" TEXT NOT NULL,
+        "event" TEXT NOT NULL,
+        "payload" JSONB NOT NULL,
+        "status" TEXT NOT NULL DEFAULT 'pending',
+        "attempts" INTEGER NOT NULL DEFAULT 0,
+        "nextAttemptAt" TIMESTAMP(3),
+        "lastAttemptAt" TIMESTAMP(3),
+        "responseStatus" INTEGER,
+        "error" TEXT,
+        "deliveredAt" TIMESTAMP(3),
+        "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT "WebhookDelivery_pkey" PRIMARY KEY ("id"),
+        CONSTRAINT "WebhookDelivery_webhookId_fkey" FOREIGN KEY ("webhookId") REFERENCES "Webhook"("id") ON DELETE CASCADE ON UPDATE CASCADE
+      )
+    `,
+  },
+  {
+    name: 'WebhookDelivery retry index',
+    sql: `CREATE INDEX IF NOT EXISTS "WebhookDelivery_status_nextAttemptAt_idx" ON "WebhookDelivery" ("status", "nextAttemptAt")`,
+  },
+  {
+    name: 'WebhookDelivery log index',
+    sql: `CREATE INDEX IF NOT EXISTS "WebhookDelivery_webhookId_createdAt_idx" ON "WebhookDelivery" ("webhookId", "createdAt")`,
+  },
+  {
+    name: 'Signature table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "Signature" (
+        "id" TEXT NOT NULL,
+        "content" BYTEA NOT NULL,
+        "width" INTEGER NOT NULL,
+        "height" INTEGER NOT NULL,
+        "size" INTEGER NOT NULL,
+        "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT "Signature_pkey" PRIMARY KEY ("id")
+      )
+    `,
+  },
+  {
+    name: 'Signature immutability trigger',
+    sql: `
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'Signature_no_update') THEN
+          CREATE TRIGGER "Signature_no_update" BEFORE UPDATE ON "Signature"
+            FOR EACH ROW EXECUTE FUNCTION "ApplicationRevision_immutable"();
+        END IF;
+      END
+      $$
+    `,
+  },
+  {
+    name: 'LeaveLedgerEntry immutability trigger',
+    sql: `
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'LeaveLedgerEntry_no_update') THEN
+          CREATE TRIGGER "LeaveLedgerEntry_no_update" BEFORE UPDATE ON "LeaveLedgerEntry"
+            FOR EACH ROW EXECUTE FUNCTION "ApplicationRevision_immutable"();
+        END IF;
+      END
+      $$
+    `,
+  },
+  {
+    name: 'StoredFile table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "StoredFile" (
+        "key" TEXT NOT NULL,
+        "content" BYTEA NOT NULL,
+        "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT "StoredFile_pkey" PRIMARY KEY ("key")
+      )
+    `,
+  },
+  {
+    name: 'StoredFile immutability trigger',
+    sql: `
+      DO $$
+      BEGIN
+        IF NOT EXISTS (SELECT 1 FROM pg_trigger WHERE tgname = 'StoredFile_no_update') THEN
+          CREATE TRIGGER "StoredFile_no_update" BEFORE UPDATE ON "StoredFile"
+            FOR EACH ROW EXECUTE FUNCTION "ApplicationRevision_immutable"();
+        END IF;
+      END
+      $$
+    `,
+  },
+  {
+    name: 'JobRun table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "JobRun" (
+        "id" TEXT NOT NULL,
+        "job" TEXT NOT NULL,
+        "runDate" TEXT NOT NULL,
+        "status" TEXT NOT NULL DEFAULT 'running',
+        "summary" JSONB,
+        "error" TEXT,
+        "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        "finishedAt" TIMESTAMP(3),
+        CONSTRAINT "JobRun_pkey" PRIMARY KEY ("id")
+      )
+    `,
+  },
+  {
+    name: 'JobRun day index',
+    sql: `CREATE UNIQUE INDEX IF NOT EXISTS "JobRun_job_runDate_key" ON "JobRun" ("job", "runDate")`,
+  },
+  {
+    name: 'JobRun log index',
+    sql: `CREATE INDEX IF NOT EXISTS "JobRun_job_startedAt_idx" ON "JobRun" ("job", "startedAt")`,
+  },
+  {
+    name: 'ImportBatch table',
+    sql: `
+      CREATE TABLE IF NOT EXISTS "ImportBatch" (
+        "id" TEXT NOT NULL,
+        "type" TEXT NOT NULL,
+        "fileName" TEXT NOT NULL,
+        "status" TEXT NOT NULL DEFAULT 'committed',
+        "rowCount" INTEGER NOT NULL,
+        "skippedCount" INTEGER NOT NULL DEFAULT 0,
+        "actorId" TEXT,
+        "actorName" TEXT NOT NULL,
+        "rolledBackAt" TIMESTAMP(3),
+        "rolledBackBy" TEXT,
+        "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        CONSTRAINT "ImportBatch_pkey" PRIMARY KEY ("id")
+      )
+    `,
+  },
+  {
+    name: 'ImportBatch date index',
+    sql: `CREATE INDEX IF NOT EXISTS "ImportBatch_createdAt_idx" ON "ImportBatch" ("createdAt")`,
+  },
+  {
+    name: 'Application.importBatchId column',
+    sql: `ALTER TABLE "Application" ADD COLUMN IF NOT EXISTS "importBatchId" TEXT REFERENCES "ImportBatch"("id") ON DELETE SET NULL ON UPDATE CASCADE`,
+  },
+  {
+    name: 'Application importBatchId index',
+    sql: `CREATE INDEX IF NOT EXISTS "Application_importBatchId_idx" ON "Application" ("importBatchId")`,
+  },
+  {
+    name: 'Application.hrApprovedAt column',
+    sql: `ALTER TABLE "Application" ADD COLUMN IF NOT EXISTS "hrApprovedAt" TIMESTAMP(3)`,
+  },
+  {
+    // HR approved, or closed straight after HR approval (per the revision
+    // history); imports and rows older than the history go by the HR signature,
+    // where the form has one
+    name: 'HR approval of existing applications',
+    sql: `
+      UPDATE "Application" a
+      SET "hrApprovedAt" = COALESCE(
+        (SELECT MAX(r."createdAt") FROM "ApplicationRevision" r WHERE r."applicationId" = a."id" AND r."status" = 'hr_approved'),
+        a."updatedAt"
+      )
+      WHERE a."hrApprovedAt" IS NULL
+        AND (
+          a."status" = 'hr_approved'
+          OR (a."status" = 'closed' AND COALESCE(
+            (SELECT r."status" = 'hr_approved' FROM "ApplicationRevision" r
+              WHERE r."applicationId" = a."id" AND r."status" <> 'closed'
+              ORDER BY r."version" DESC LIMIT 1),
+            EXISTS (SELECT 1 FROM "ApplicationRevision" r WHERE r."applicationId" = a."id" AND r."action" = 'import')
+              OR COALESCE(a."data"->>'hrSignature', '') <> ''
+              OR NOT (a."data" ? 'hrSignature')
+          ))
+        )
+    `,
+  },
+];
 
 async function initializeDatabase() {
   const prisma = new PrismaClient();
@@ -6,33 +519,17 @@ async function initializeDatabase() {
   try {
     console.log('🔧 Checking database schema...');
 
-    // Try to query the Application table
-    await prisma.$queryRaw`SELECT 1 FROM "Application" LIMIT 1`;
-    console.log('✅ Database schema exists');
+    for (const statement of SCHEMA_STATEMENTS) {
+      await prisma.$executeRawUnsafe(statement.sql);
+      console.log(`✅ ${statement.name}`);
+    }
 
+    console.log('✅ Database schema is up to date');
   } catch (error) {
-    if (error.code === 'P2021' || error.message.includes('does not exist')) {
-      console.log('📦 Creating Application table...');
-
-      // Create the table
-      await prisma.$executeRaw`
-        CREATE TABLE "Application" (
-          "id" TEXT NOT NULL,
-          "type" TEXT NOT NULL,
-          "data" JSONB NOT NULL,
-          "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
-          "updatedAt" TIMESTAMP(3) NOT NULL,
-          CONSTRAINT "Application_pkey" PRIMARY KEY ("id")
-        )
-      `;
-
-      console.log('✅ Application table created successfully');
-    } else {
-      console.error('❌ Database initialization error:', error.message);
-      // Don't throw on connection errors — the build should still succeed.
-      // The database will be initialized when it becomes reachable.
-      console.warn('⚠️  Skipping database init — will retry when server starts');
-    }
+    console.error('❌ Database initialization error:', error.message);
+    // Don't throw on connection errors — the build should still succeed.
+    // The database will be initialized when it becomes reachable.
+    console.warn('⚠️  Skipping database init — will retry when server starts');
   } finally {
     await prisma.$disconnect();
   }
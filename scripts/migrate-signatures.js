@@ -0,0 +1,121 @@
+#!/usr/bin/env node
+
+/**
+ * Move signature images out of Application.data into the Signature table.
+ *
+ * Usage:
+ *   node scripts/migrate-signatures.js --dry-run
+ *   node scripts/migrate-signatures.js
+ *
+ * Every data URI in a signature slot is re-encoded as a compact PNG
+ * (services/signatureService.js), stored once, and replaced by its
+ * "sig:<sha256>" reference. Applications are updated in place without a
+ * revision and without touching updatedAt; one that changes while the
+ * script runs is skipped, so run it again until nothing is left.
+ * Revisions are immutable and keep their data URIs; restoring one converts
+ * them. Safe to re-run.
+ */
+
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const formTypes = require('../services/formTypes');
+const signatureService = require('../services/signatureService');
+
+const BATCH_SIZE = 50;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') {
+      args.dryRun = true;
+    } else if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const prisma = new PrismaClient();
+  const totals = { applications: 0, signatures: 0, skipped: 0, failed: 0, before: 0, after: 0 };
+  const stored = new Set();
+
+  try {
+    if (args.dryRun) console.log('🔍 Dry run — nothing will be written');
+
+    let cursor = null;
+    for (;;) {
+      const batch = await prisma.application.findMany({
+        select: { id: true, type: true, data: true, updatedAt: true },
+        orderBy: { id: 'asc' },
+        take: BATCH_SIZE,
+        ...(cursor ? { skip: 1, cursor: { id: cursor } } : {})
+      });
+      if (batch.length === 0) break;
+      cursor = batch[batch.length - 1].id;
+
+      for (const application of batch) {
+        const data = application.data || {};
+        const patch = {};
+        const images = [];
+
+        for (const slot of formTypes.SIGNATURE_SLOTS[formTypes.toSlug(application.type)] || []) {
+          const value = data[slot];
+          if (!value || typeof value !== 'string' || signatureService.isReference(value)) continue;
+
+          const result = await signatureService.processImage(value);
+          if (result.error) {
+            console.warn(`⚠️  ${application.id} ${slot}: ${result.error} — left as is`);
+            totals.failed++;
+            continue;
+          }
+          patch[slot] = `sig:${result.id}`;
+          totals.before += value.length;
+          totals.after += patch[slot].length;
+          if (!stored.has(result.id)) {
+            stored.add(result.id);
+            images.push(result.image);
+            totals.after += result.image.size;
+          }
+        }
+
+        const count = Object.keys(patch).length;
+        if (count === 0) continue;
+
+        if (!args.dryRun) {
+          const updated = await prisma.$transaction(async (tx) => {
+            await signatureService.saveSignatures(tx, images);
+            return tx.$executeRaw`
+              UPDATE "Application" SET "data" = "data" || ${JSON.stringify(patch)}::jsonb
+              WHERE "id" = ${application.id} AND "updatedAt" = ${application.updatedAt}
+            `;
+          });
+          if (updated === 0) {
+            console.warn(`⚠️  ${application.id} changed while migrating — skipped`);
+            totals.skipped++;
+            continue;
+          }
+        }
+
+        totals.applications++;
+        totals.signatures += count;
+      }
+    }
+
+    console.log(`✅ ${args.dryRun ? 'Would move' : 'Moved'} ${totals.signatures} signature(s) from ${totals.applications} application(s)`);
+    console.log(`   ${kb(totals.before)} of data URIs → ${kb(totals.after)} (${stored.size} PNG(s) + references)`);
+    if (totals.skipped > 0) console.log(`   ${totals.skipped} application(s) skipped — run again`);
+    if (totals.failed > 0) console.log(`   ${totals.failed} signature(s) could not be read and were left in place`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Signature migration failed:', error.message);
+  process.exit(1);
+});
@@ -1,12 +1,30 @@
 require('dotenv').config();
 const express = require('express');
 const path = require('path');
+const crypto = require('crypto');
 const cookieParser = require('cookie-parser');
 const csrf = require('csurf');
 const rateLimit = require('express-rate-limit');
 
+const adminRouter = require('./routes/admin');
+const apiRouter = require('./routes/api');
+const authRouter = require('./routes/auth');
+const calendarRouter = require('./routes/calendar');
+const exportsRouter = require('./routes/exports');
 const formsRouter = require('./routes/forms');
+const importsRouter = require('./routes/imports');
+const leaveRouter = require('./routes/leave');
+const reportsRouter = require('./routes/reports');
+const signingRouter = require('./routes/signing');
+const verifyRouter = require('./routes/verify');
+const { loadUser } = require('./middleware/auth');
+const { errorHandler: apiErrorHandler } = require('./controllers/apiController');
 const { startKeepAlive } = require('./keep-alive');
+const notificationService = require('./services/notificationService');
+const webhookService = require('./services/webhookService');
+const overdueService = require('./services/overdueService');
+const signatureService = require('./services/signatureService');
+const calendarService = require('./services/calendarService');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -18,10 +36,22 @@ app.set('trust proxy', 1);
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
+// Signature <img> sources in any view (stored signatures are references)
+app.locals.signatureSrc = signatureService.getImageSrc;
+
+// Weekend and holidays for the leave forms' working-day calculation
+app.locals.workingCalendar = calendarService.getCalendar();
+
 // Middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-app.use(cookieParser());
+// Session cookies are signed with SESSION_SECRET
+let sessionSecret = process.env.SESSION_SECRET;
+if (!sessionSecret) {
+  console.warn('⚠️  SESSION_SECRET not set — using a random secret, users will be signed out on restart');
+  sessionSecret = crypto.randomBytes(32).toString('hex');
+}
+app.use(cookieParser(sessionSecret));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Health check endpoint — no CSRF needed, used for keep-alive pings
@@ -46,15 +76,56 @@ const limiter = rateLimit({
 });
 
 // Apply rate limiting to POST routes
-app.use('/forms/*', (req, res, next) => {
+app.use(['/forms/*', '/login', '/sign/*', '/admin/*', '/leave/*', '/imports/*'], (req, res, next) => {
   if (req.method === 'POST') {
     return limiter(req, res, next);
   }
   next();
 });
 
+// Public verification page — limited so references can't be guessed by brute force
+const verifyLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  message: 'Too many requests from this IP, please try again later.',
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use('/verify', verifyLimiter);
+
+// JSON API — authenticated by API key, so it sits before the session and CSRF middleware
+const apiLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({ error: { code: 'rate_limited', message: 'Too many requests, please try again later.' } });
+  },
+});
+app.use('/api/v1', apiLimiter, apiRouter);
+
+// Logged-in user (req.user / res.locals.currentUser)
+app.use(loadUser);
+
+// CSRF token for every page (navbar sign-out form needs it too)
+app.use(csrfProtection);
+app.use((req, res, next) => {
+  res.locals.csrfToken = req.csrfToken();
+  next();
+});
+
 // Routes
-app.use('/', csrfProtection, formsRouter);
+app.use('/', authRouter);
+app.use('/', verifyRouter);
+app.use('/', adminRouter);
+app.use('/', leaveRouter);
+app.use('/', calendarRouter);
+app.use('/', reportsRouter);
+app.use('/', importsRouter);
+app.use('/', exportsRouter);
+app.use('/', signingRouter);
+app.use('/', formsRouter);
 
 // 404 handler
 app.use((req, res) => {
@@ -63,6 +134,11 @@ app.use((req, res) => {
 
 // Error handler
 app.use((err, req, res, next) => {
+  // API clients get JSON (e.g. a malformed body rejected by express.json before the API router)
+  if (req.originalUrl.startsWith('/api/')) {
+    return apiErrorHandler(err, req, res, next);
+  }
+
   // CSRF token errors
   if (err.code === 'EBADCSRFTOKEN') {
     res.status(403).render('error', {
@@ -92,8 +168,15 @@ async function startServer() {
     console.error('   Check DATABASE_URL environment variable');
   }
 
+  // Email notifications and webhooks on application events
+  notificationService.start();
+  webhookService.start();
+
+  // Daily overdue returns reminder
+  overdueService.start();
+
   // Step 2: NOW start listening for HTTP requests
-  app.listen(PORT, () => {
+  const server = app.listen(PORT, () => {
     console.log(`🚀 Server running on http://localhost:${PORT}`);
     console.log(`📝 Environment: ${process.env.NODE_ENV || 'development'}`);
 
@@ -102,6 +185,27 @@ async function startServer() {
       startKeepAlive(process.env.RENDER_APP_URL);
     }
   });
+
+  // Step 3: On SIGTERM (Render deploys/restarts) stop taking requests, close Chrome and the DB
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`🛑 ${signal} received — shutting down`);
+
+    // Don't hang forever on a stuck connection
+    setTimeout(() => process.exit(1), 20000).unref();
+
+    server.close();
+    await require('./services/pdfService').shutdown();
+    try { await require('./prismaClient').prisma.$disconnect(); } catch (_) { /* ignore */ }
+    process.exit(0);
+  };
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
 }
 
-startServer();
+startServer().catch((error) => {
+  console.error('❌ Server failed to start:', error);
+  process.exit(1);
+});
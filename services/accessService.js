@@ -0,0 +1,201 @@
+/**
+ * Role-based access rules for applications.
+ *
+ *  - employee: own applications only
+ *  - manager:  own applications + applications owned by their team
+ *  - hr/admin: all applications
+ *
+ * Applications are loaded with `owner: { select: OWNER_SELECT }` so the
+ * team check can read the owner's managerId.
+ */
+
+const { Prisma } = require('@prisma/client');
+const workflowService = require('./workflowService');
+
+const OWNER_SELECT = { id: true, name: true, managerId: true };
+
+// Who may take each workflow transition
+const TRANSITION_ACTORS = {
+  submit: 'owner',
+  reopen: 'owner',
+  managerApprove: 'manager',
+  managerReject: 'manager',
+  hrApprove: 'hr',
+  hrReject: 'hr',
+  close: 'hr',
+  amend: 'hr'
+};
+
+// Who may fill each signature slot
+const SIGNATURE_ACTORS = {
+  employeeSignature: 'owner',
+  managerSignature: 'manager',
+  hrSignature: 'hr'
+};
+
+const ACTOR_LABELS = {
+  owner: 'the employee who owns this application',
+  manager: "the employee's manager",
+  hr: 'HR'
+};
+
+const isOwner = (user, application) => Boolean(application.ownerId) && application.ownerId === user.id;
+
+const isTeamManager = (user, application) =>
+  user.role === 'manager' && Boolean(application.owner) && application.owner.managerId === user.id;
+
+/**
+ * SQL condition on "Application" limiting rows to those the user may see
+ * @param {Object} user - Logged-in user
+ * @returns {Prisma.Sql}
+ */
+function getListScope(user) {
+  if (user.role === 'hr' || user.role === 'admin') return Prisma.sql`TRUE`;
+  if (user.role === 'manager') {
+    return Prisma.sql`("ownerId" = ${user.id} OR "ownerId" IN (SELECT "id" FROM "User" WHERE "managerId" = ${user.id}))`;
+  }
+  return Prisma.sql`"ownerId" = ${user.id}`;
+}
+
+/**
+ * Whether the user may open an application at all
+ * @param {Object} user
+ * @param {Object} application - Loaded with its owner
+ * @returns {boolean}
+ */
+function canView(user, application) {
+  if (user.role === 'hr' || user.role === 'admin') return true;
+  return isOwner(user, application) || isTeamManager(user, application);
+}
+
+/**
+ * Whether the user may change the (non-signature) form fields
+ * @param {Object} user
+ * @param {Object} application
+ * @returns {boolean}
+ */
+function canEditFields(user, application) {
+  return isOwner(user, application) || user.role === 'hr' || user.role === 'admin';
+}
+
+/**
+ * Whether the user acts in the given capacity for this application
+ * @param {Object} user
+ * @param {string} actor - "owner" | "manager" | "hr"
+ * @param {Object} application
+ * @returns {boolean}
+ */
+function actsAs(user, actor, application) {
+  if (actor === 'owner') return isOwner(user, application);
+  if (actor === 'manager') return isTeamManager(user, application);
+  if (actor === 'hr') return user.role === 'hr';
+  return false;
+}
+
+/**
+ * Whether the user may take a workflow transition
+ * @param {Object} user
+ * @param {string} name - Transition name
+ * @param {Object} application
+ * @returns {boolean}
+ */
+function canTransition(user, name, application) {
+  const actor = TRANSITION_ACTORS[name];
+  return Boolean(actor) && actsAs(user, actor, application);
+}
+
+/**
+ * Signature slots the user may fill right now (role + current status)
+ * @param {Object} user
+ * @param {Object} application - { status, ownerId, owner }
+ * @param {string[]} slots - Slots the form type has
+ * @returns {string[]}
+ */
+function getSignableSlots(user, application, slots) {
+  const editable = workflowService.getEditableSignatureSlots(application.status);
+  return slots.filter(slot => editable.includes(slot) && actsAs(user, SIGNATURE_ACTORS[slot], application));
+}
+
+/**
+ * Whether the user may send a remote signing link for a slot: HR for any
+ * slot, and the employee's manager for the manager signature. The employee
+ * never may, or they could sign the approval themselves
+ * @param {Object} user
+ * @param {string} slot
+ * @param {Object} application - { ownerId, owner }
+ * @returns {boolean}
+ */
+function canCreateSigningLink(user, slot, application) {
+  if (user.role === 'hr' || user.role === 'admin') return true;
+  return slot === 'managerSignature' && isTeamManager(user, application);
+}
+
+/**
+ * Whether the user may see private employee directory details (passport
+ * numbers): HR and admins
+ * @param {Object} user
+ * @returns {boolean}
+ */
+function canSeeEmployeePrivate(user) {
+  return user.role === 'hr' || user.role === 'admin';
+}
+
+/**
+ * Whether the user may see an employee's leave balance on a form
+ * (entitlement, adjustments, days taken): HR and admins, and the owner or
+ * manager of the application being edited, for the employee saved on it.
+ * Anyone can type an employee ID into a form, so nobody else sees it.
+ * @param {Object} user
+ * @param {Object|null} application - Loaded with its owner; null for a new application
+ * @param {Object|null} employee - Directory record the balance is for
+ * @returns {boolean}
+ */
+function canSeeLeaveBalance(user, application, employee) {
+  if (user.role === 'hr' || user.role === 'admin') return true;
+  return Boolean(application && employee) && application.employeeId === employee.id
+    && (isOwner(user, application) || isTeamManager(user, application));
+}
+
+/**
+ * Report changes the user is not allowed to make
+ * @param {Object} user
+ * @param {Object} application - { ownerId, owner }
+ * @param {Object} before - Stored data
+ * @param {Object} after - Validated incoming data
+ * @returns {Object} errors keyed by field name
+ */
+function checkEditPermissions(user, application, before, after) {
+  const errors = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach((key) => {
+    if (String(before?.[key] ?? '') === String(after?.[key] ?? '')) return;
+
+    const slot = workflowService.getSignatureSlotForField(key);
+    if (slot) {
+      if (!actsAs(user, SIGNATURE_ACTORS[slot], application)) {
+        errors[key] = `Only ${ACTOR_LABELS[SIGNATURE_ACTORS[slot]]} can sign here`;
+      }
+      return;
+    }
+
+    if (!canEditFields(user, application)) {
+      errors[key] = 'You are not allowed to change this application';
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  OWNER_SELECT,
+  getListScope,
+  canView,
+  canEditFields,
+  canTransition,
+  getSignableSlots,
+  canCreateSigningLink,
+  canSeeEmployeePrivate,
+  canSeeLeaveBalance,
+  checkEditPermissions
+};
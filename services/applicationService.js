@@ -0,0 +1,484 @@
+/**
+ * Loading, listing, creating and updating applications.
+ *
+ * Shared by the HTML pages (controllers/formsController.js) and the JSON API
+ * (controllers/apiController.js) so both apply the same validation, workflow
+ * and role rules, and both write revisions.
+ */
+
+const { Prisma } = require('@prisma/client');
+const { prisma, withRetry } = require('../prismaClient');
+const formTypes = require('./formTypes');
+const workflowService = require('./workflowService');
+const accessService = require('./accessService');
+const auditService = require('./auditService');
+const referenceService = require('./referenceService');
+const signatureService = require('./signatureService');
+const employeeService = require('./employeeService');
+const leaveService = require('./leaveService');
+const rejoiningService = require('./rejoiningService');
+const conflictService = require('./conflictService');
+const events = require('./events');
+
+// List sort keys; "name", "employeeId" and "leaveStart" use the form definition's fields
+const SORT_KEYS = ['createdAt', 'updatedAt', 'status', 'reference', 'name', 'employeeId', 'leaveStart'];
+const PAGE_SIZES = [10, 25, 50, 100];
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 200;
+const EXPORT_LIMIT = 10000;
+
+const NOT_OPEN_FOR_REJOINING = 'That leave application is not open for re-joining';
+
+// Every signature slot any form has — stripped from list results
+const SIGNATURE_FIELDS = Object.keys(workflowService.SIGNATURE_SLOT_STATUS);
+
+// Escape LIKE wildcards in user input
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+// Date from a query string value, or null when missing/invalid
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const getListDefinitions = (type) => (type ? [formTypes.getDefinition(type)].filter(Boolean) : formTypes.DEFINITIONS);
+
+/**
+ * Load an application with its owner (needed for team access checks)
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+function findApplication(id) {
+  return withRetry(() => prisma.application.findUnique({
+    where: { id },
+    include: { owner: { select: accessService.OWNER_SELECT } }
+  }));
+}
+
+/**
+ * True when the application exists, matches the type and the user may see it
+ * @param {Object|null} application
+ * @param {string} dbType - Database type ("leave_expats")
+ * @param {Object} user
+ * @returns {boolean}
+ */
+function isAccessible(application, dbType, user) {
+  return Boolean(application) && application.type === dbType && accessService.canView(user, application);
+}
+
+/**
+ * List filters from a query string: the common ones plus the definition's filterFields
+ * @param {string} [type] - Form type slug
+ * @param {Object} query - req.query
+ * @returns {Object} Non-empty string values only
+ */
+function pickListFilters(type, query) {
+  const filters = {};
+  ['search', 'status', 'from', 'to', 'leaveFrom', 'leaveTo', ...formTypes.getFilterFields(type).map(f => f.key)]
+    .forEach((key) => {
+      if (typeof query[key] === 'string' && query[key] !== '') filters[key] = query[key];
+    });
+  return filters;
+}
+
+/**
+ * SQL conditions for the list filters
+ * @param {Object} params
+ * @param {string} [params.type] - Form type slug
+ * @param {Object} params.user
+ * @param {Object} params.filters
+ * @returns {Prisma.Sql[]}
+ */
+function buildListConditions({ type, user, filters }) {
+  const { search, from, to, status, leaveFrom, leaveTo } = filters;
+  const conditions = [accessService.getListScope(user)];
+
+  if (type) {
+    conditions.push(Prisma.sql`"type" = ${formTypes.normalizeType(type)}`);
+  }
+
+  if (status && workflowService.isValidStatus(status)) {
+    conditions.push(Prisma.sql`"status" = ${status}`);
+  }
+
+  if (search && search.trim()) {
+    const pattern = `%${escapeLike(search.trim())}%`;
+    const matches = [
+      Prisma.sql`"reference" ILIKE ${pattern}`,
+      ...formTypes.getSearchFields(type).map(field => Prisma.sql`"data"->>${field}::text ILIKE ${pattern}`)
+    ];
+    conditions.push(Prisma.sql`(${Prisma.join(matches, ' OR ')})`);
+  }
+
+  // Extra filters from the form definitions (site, leave type, …)
+  formTypes.getFilterFields(type).forEach(({ key, field }) => {
+    const value = typeof filters[key] === 'string' ? filters[key].trim() : '';
+    if (!value) return;
+    conditions.push(field.type === 'enum'
+      ? Prisma.sql`"data"->>${key}::text = ${value}`
+      : Prisma.sql`"data"->>${key}::text ILIKE ${`%${escapeLike(value)}%`}`);
+  });
+
+  const fromDate = parseDate(from);
+  if (fromDate) {
+    conditions.push(Prisma.sql`"createdAt" >= ${fromDate}`);
+  }
+
+  const toDate = parseDate(to);
+  if (toDate) {
+    toDate.setHours(23, 59, 59, 999);
+    conditions.push(Prisma.sql`"createdAt" <= ${toDate}`);
+  }
+
+  // Leave start range — dates are stored as "YYYY-MM-DD" so text comparison orders correctly
+  const leaveRange = [];
+  if (formTypes.DATE_PATTERN.test(leaveFrom || '')) leaveRange.push(['>=', leaveFrom]);
+  if (formTypes.DATE_PATTERN.test(leaveTo || '')) leaveRange.push(['<=', leaveTo]);
+  if (leaveRange.length > 0) {
+    const perType = getListDefinitions(type)
+      .filter(definition => definition.leaveStartField)
+      .map((definition) => {
+        const field = definition.leaveStartField;
+        const bounds = leaveRange.map(([op, value]) => (op === '>='
+          ? Prisma.sql`"data"->>${field}::text >= ${value}`
+          : Prisma.sql`"data"->>${field}::text <= ${value}`));
+        return Prisma.sql`("type" = ${definition.dbType} AND ${Prisma.join(bounds, ' AND ')})`;
+      });
+    conditions.push(perType.length > 0 ? Prisma.sql`(${Prisma.join(perType, ' OR ')})` : Prisma.sql`FALSE`);
+  }
+
+  return conditions;
+}
+
+/**
+ * ORDER BY expression for a sort key. Field sorts need a single form type.
+ * @param {string} [type] - Form type slug
+ * @param {string} sort - Key from SORT_KEYS
+ * @returns {Prisma.Sql}
+ */
+function getSortExpression(type, sort) {
+  const definition = type ? formTypes.getDefinition(type) : null;
+
+  if (sort === 'status') return Prisma.sql`"status"`;
+  if (sort === 'updatedAt') return Prisma.sql`"updatedAt"`;
+  // "LE-2026-00042": zero-padded, so text order is year then number
+  if (sort === 'reference') return Prisma.sql`"reference"`;
+  if (definition && sort === 'name') return Prisma.sql`LOWER("data"->>${definition.nameField}::text)`;
+  if (definition && sort === 'employeeId') return Prisma.sql`LOWER("data"->>${definition.idField}::text)`;
+  if (definition && definition.leaveStartField && sort === 'leaveStart') {
+    return Prisma.sql`NULLIF("data"->>${definition.leaveStartField}::text, '')`;
+  }
+  return Prisma.sql`"createdAt"`;
+}
+
+/**
+ * Run the list query: rows without signature images, plus a `signed` map
+ * @param {Object} params
+ * @param {string} [params.type]
+ * @param {Prisma.Sql} params.where
+ * @param {string} [params.sort]
+ * @param {string} [params.dir]
+ * @param {number} params.limit
+ * @param {number} [params.offset]
+ * @returns {Promise<Array<Object>>}
+ */
+function selectApplications({ type, where, sort, dir, limit, offset = 0 }) {
+  const sortKey = SORT_KEYS.includes(sort) ? sort : 'createdAt';
+  const direction = dir === 'asc' ? Prisma.sql`ASC` : Prisma.sql`DESC`;
+  const withoutSignatures = Prisma.join(SIGNATURE_FIELDS.map(field => Prisma.sql`- ${field}::text`), ' ');
+  const signed = Prisma.join(
+    SIGNATURE_FIELDS.map(field => Prisma.sql`${field}::text, COALESCE("data"->>${field}::text, '') <> ''`),
+    ', '
+  );
+
+  return withRetry(() => prisma.$queryRaw`
+    SELECT "id", "type", "status", "reference", "ownerId", "sourceApplicationId", "createdAt", "updatedAt",
+           "data" ${withoutSignatures} AS "data",
+           jsonb_build_object(${signed}) AS "signed"
+    FROM "Application"
+    WHERE ${where}
+    ORDER BY ${getSortExpression(type, sortKey)} ${direction} NULLS LAST, "createdAt" DESC, "id"
+    LIMIT ${limit} OFFSET ${offset}
+  `);
+}
+
+/**
+ * List applications visible to the user. Filtering, sorting and paging all
+ * happen in Postgres. Signature images are left out of the returned data;
+ * `signed` says which signature slots are filled in.
+ * @param {Object} params
+ * @param {string} [params.type] - Form type slug (all types when omitted)
+ * @param {Object} params.user
+ * @param {Object} [params.filters] - { search (name, ID or reference), status, from, to, leaveFrom, leaveTo, <filterFields> }
+ * @param {string} [params.sort] - One of SORT_KEYS (default "createdAt")
+ * @param {string} [params.dir] - "asc" | "desc" (default "desc")
+ * @param {number} [params.page] - 1-based
+ * @param {number} [params.pageSize]
+ * @returns {Promise<{ applications: Array<Object>, total: number, page: number, pageSize: number, totalPages: number }>}
+ */
+async function listApplications({ type, user, filters = {}, sort, dir, page, pageSize }) {
+  const where = Prisma.join(buildListConditions({ type, user, filters }), ' AND ');
+
+  const size = Math.min(Math.max(parseInt(pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const [{ total }] = await withRetry(() => prisma.$queryRaw`
+    SELECT COUNT(*)::int AS "total" FROM "Application" WHERE ${where}
+  `);
+  const totalPages = Math.max(Math.ceil(total / size), 1);
+  const currentPage = Math.min(Math.max(parseInt(page, 10) || 1, 1), totalPages);
+
+  const applications = await selectApplications({
+    type, where, sort, dir, limit: size, offset: (currentPage - 1) * size
+  });
+
+  return { applications, total, page: currentPage, pageSize: size, totalPages };
+}
+
+/**
+ * Every application matching the list filters (no paging), for exports.
+ * Same shape as listApplications() rows.
+ * @param {Object} params - As listApplications(), without page/pageSize
+ * @returns {Promise<Array<Object>>} At most EXPORT_LIMIT rows
+ */
+function listAllApplications({ type, user, filters = {}, sort, dir }) {
+  const where = Prisma.join(buildListConditions({ type, user, filters }), ' AND ');
+  return selectApplications({ type, where, sort, dir, limit: EXPORT_LIMIT });
+}
+
+/**
+ * Validate a new application the way createApplication() does, without
+ * saving it (also used for each row of a spreadsheet import)
+ * @param {Object} params
+ * @param {string} params.type - Form type slug
+ * @param {Object} params.formData - Raw submitted fields
+ * @param {string} [params.sourceApplicationId] - Re-joining form: the leave application it closes
+ * @param {Object} params.user - Owner of the new application
+ * @param {boolean} [params.strict] - Require every field
+ * @returns {Promise<{ errors: Object, warnings: Object, validatedData: Object, data: Object,
+ *   employee: Object|null, source: Object|null, signatures: Object }>}
+ *   data: what would be saved; signatures: from signatureService.prepareSignatures()
+ */
+async function checkNewApplication({ type, formData, sourceApplicationId, user, strict = false }) {
+  const { errors, validatedData } = formTypes.validateFormData(type, formData, { strict });
+
+  // A re-joining form can be linked to the leave application it closes
+  let source = null;
+  if (sourceApplicationId) {
+    source = await rejoiningService.findOpenLeave(type, sourceApplicationId, user);
+    if (!source) errors.sourceApplicationId = NOT_OPEN_FOR_REJOINING;
+  }
+
+  // New signature images become references to the Signature table
+  const signatures = await signatureService.prepareSignatures(type, validatedData);
+  const formValues = source ? rejoiningService.calculate(type, signatures.data, source) : signatures.data;
+
+  // Link to the employee directory; mismatches are warnings, never errors
+  const { employee, warnings } = await employeeService.checkData(type, formValues);
+
+  // Check the leave balance (and calculate allowed/extra days where the form has them)
+  const leave = await leaveService.checkData(type, formValues, employee,
+    source ? { status: workflowService.STATUSES.DRAFT, sourceApplicationId: source.id } : null);
+  const data = leave.data;
+  Object.assign(warnings, leave.warnings);
+
+  // New applications start as drafts owned by the creator
+  const draft = { status: workflowService.STATUSES.DRAFT, ownerId: user.id };
+  Object.assign(
+    errors,
+    await conflictService.checkData(type, data, null),
+    signatures.errors,
+    workflowService.checkEdit(draft.status, {}, data),
+    accessService.checkEditPermissions(user, draft, {}, data)
+  );
+
+  return { errors, warnings, validatedData, data, employee, source, signatures };
+}
+
+/**
+ * Validate and create a draft application owned by the user
+ * @param {Object} params
+ * @param {string} params.type - Form type slug
+ * @param {Object} params.formData - Raw submitted fields
+ * @param {string} [params.sourceApplicationId] - Re-joining form: the leave application it closes
+ * @param {Object} params.user - Owner of the new application
+ * @param {Object} params.actor - From auditService.getActor()
+ * @param {boolean} [params.strict] - Require every field
+ * @returns {Promise<{ errors: Object, warnings: Object, validatedData: Object, application: Object|null }>}
+ *   warnings: fields that disagree with the employee directory or exceed the
+ *   leave balance (saved anyway)
+ */
+async function createApplication({ type, formData, sourceApplicationId, user, actor, strict = false }) {
+  const { errors, warnings, validatedData, data, employee, source, signatures } = await checkNewApplication({
+    type, formData, sourceApplicationId, user, strict
+  });
+
+  if (Object.keys(errors).length > 0) {
+    return { errors, warnings, validatedData, application: null };
+  }
+
+  // Create application together with its reference number and first revision
+  const changes = auditService.diffData({}, data);
+  let application;
+  try {
+    application = await withRetry(() => prisma.$transaction(async (tx) => {
+      await signatureService.saveSignatures(tx, signatures.images);
+      const created = await tx.application.create({
+        data: {
+          type: formTypes.normalizeType(type),
+          reference: await referenceService.allocateReference(tx, type),
+          ownerId: user.id,
+          employeeId: employee ? employee.id : null,
+          sourceApplicationId: source ? source.id : null,
+          data
+        }
+      });
+      await auditService.recordRevision(tx, { application: created, action: 'create', actor, changes });
+      return created;
+    }));
+  } catch (error) {
+    // Another re-joining form was linked to the same leave application first
+    if (error.code === 'P2002' && String(error.meta?.target || '').includes('sourceApplicationId')) {
+      errors.sourceApplicationId = NOT_OPEN_FOR_REJOINING;
+      return { errors, warnings, validatedData: data, application: null };
+    }
+    throw error;
+  }
+
+  events.emit('application.changed', { type, application, action: 'create', changes, actor });
+
+  return { errors, warnings, validatedData: data, application };
+}
+
+/**
+ * Validate and save new data for an existing application
+ * @param {Object} params
+ * @param {string} params.type - Form type slug
+ * @param {Object} params.application - From findApplication()
+ * @param {Object} params.formData - Raw submitted fields (the full form)
+ * @param {Object} params.user
+ * @param {Object} params.actor - From auditService.getActor()
+ * @param {boolean} [params.strict] - Require every field
+ * @returns {Promise<{ errors: Object, warnings: Object, validatedData: Object, application: Object|null, conflict: boolean }>}
+ *   warnings: fields that disagree with the employee directory or exceed the
+ *   leave balance (saved anyway); conflict: nothing was saved because the
+ *   application changed since it was loaded
+ */
+async function updateApplication({ type, application, formData, user, actor, strict = false }) {
+  const { errors, validatedData } = formTypes.validateFormData(type, formData, { strict });
+
+  // New signature images become references to the Signature table
+  const signatures = await signatureService.prepareSignatures(type, validatedData);
+
+  // A linked re-joining draft counts its days from its leave application
+  const source = application.status === workflowService.STATUSES.DRAFT
+    ? await rejoiningService.findSource(application)
+    : null;
+  const formValues = source ? rejoiningService.calculate(type, signatures.data, source) : signatures.data;
+
+  // Link to the employee directory; mismatches are warnings, never errors
+  const { employee, warnings } = await employeeService.checkData(type, formValues);
+
+  // Check the leave balance (and calculate allowed/extra days where the form has them)
+  const leave = await leaveService.checkData(type, formValues, employee, application);
+  const data = leave.data;
+  Object.assign(warnings, leave.warnings);
+
+  // Enforce which fields the current status and the user's role allow to change
+  // (leave dates can only change in a draft, so that is where overlaps are checked)
+  Object.assign(
+    errors,
+    application.status === workflowService.STATUSES.DRAFT ? await conflictService.checkData(type, data, application) : {},
+    signatures.errors,
+    workflowService.checkEdit(application.status, application.data, data),
+    accessService.checkEditPermissions(user, application, application.data, data)
+  );
+
+  if (Object.keys(errors).length > 0) {
+    return { errors, warnings, validatedData, application: null };
+  }
+
+  // Update application and record what changed
+  const changes = auditService.diffData(application.data, data);
+  if (changes.length === 0) {
+    return { errors, warnings, validatedData: data, application };
+  }
+
+  // The checks above went by the loaded status and data: only save if
+  // nobody changed the application in the meantime
+  const updated = await withRetry(() => prisma.$transaction(async (tx) => {
+    const result = await tx.application.updateMany({
+      where: { id: application.id, status: application.status, updatedAt: application.updatedAt },
+      data: {
+        employeeId: employee ? employee.id : null,
+        data
+      }
+    });
+    if (result.count === 0) return null;
+
+    await signatureService.saveSignatures(tx, signatures.images);
+    const saved = await tx.application.findUnique({ where: { id: application.id } });
+    await auditService.recordRevision(tx, { application: saved, action: 'update', actor, changes });
+    return saved;
+  }));
+
+  if (!updated) {
+    return { errors, warnings, validatedData: data, application: null, conflict: true };
+  }
+
+  events.emit('application.changed', { type, application: updated, action: 'update', changes, actor });
+
+  return { errors, warnings, validatedData: data, application: updated };
+}
+
+/**
+ * JSON shape of an application (API responses and webhook payloads)
+ * @param {Object} application
+ * @param {Object} [options]
+ * @param {boolean} [options.includeSignatures] - Include signature images (data URIs)
+ * @returns {Object}
+ */
+function serializeApplication(application, options = {}) {
+  const type = formTypes.toSlug(application.type);
+  const data = { ...application.data };
+  const signed = {};
+
+  (formTypes.SIGNATURE_SLOTS[type] || []).forEach((field) => {
+    // List rows come without the images but with a `signed` map
+    signed[field] = application.signed ? Boolean(application.signed[field]) : Boolean(data[field]);
+    if (!options.includeSignatures) delete data[field];
+  });
+
+  return {
+    id: application.id,
+    type,
+    status: application.status,
+    statusLabel: workflowService.getStatusLabel(application.status),
+    reference: application.reference || null,
+    ownerId: application.ownerId,
+    sourceApplicationId: application.sourceApplicationId || null,
+    signed,
+    data,
+    createdAt: application.createdAt,
+    updatedAt: application.updatedAt,
+    links: {
+      self: `/api/v1/applications/${application.id}`,
+      pdf: `/api/v1/applications/${application.id}/pdf`,
+      html: `/forms/${type}/${application.id}/edit`
+    }
+  };
+}
+
+module.exports = {
+  SORT_KEYS,
+  PAGE_SIZES,
+  DEFAULT_PAGE_SIZE,
+  findApplication,
+  isAccessible,
+  pickListFilters,
+  listApplications,
+  listAllApplications,
+  checkNewApplication,
+  createApplication,
+  updateApplication,
+  serializeApplication
+};
@@ -0,0 +1,125 @@
+/**
+ * Audit trail for applications.
+ *
+ * Every create / update / status change / restore / import writes one immutable
+ * ApplicationRevision row holding who did it, from where, which fields
+ * changed (before → after) and a full snapshot of the data afterwards.
+ * Signature images are flagged as added/replaced/removed, never diffed.
+ */
+
+const workflowService = require('./workflowService');
+
+const ACTION_LABELS = {
+  create: 'Created',
+  update: 'Edited',
+  transition: 'Status changed',
+  restore: 'Restored',
+  import: 'Imported'
+};
+
+const isSignatureField = (key) => {
+  const slot = workflowService.getSignatureSlotForField(key);
+  return Boolean(slot) && slot === key;
+};
+
+/**
+ * Compare two data objects field by field
+ * @param {Object} before - Previous data ({} for a new application)
+ * @param {Object} after - New data
+ * @returns {Array<Object>} [{ field, before, after }] or [{ field, signature: true, change }]
+ */
+function diffData(before, after) {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach((field) => {
+    const oldValue = before?.[field] ?? '';
+    const newValue = after?.[field] ?? '';
+    if (String(oldValue) === String(newValue)) return;
+
+    if (isSignatureField(field)) {
+      let change = 'replaced';
+      if (!oldValue) change = 'added';
+      else if (!newValue) change = 'removed';
+      changes.push({ field, signature: true, change });
+      return;
+    }
+
+    changes.push({ field, before: oldValue, after: newValue });
+  });
+
+  return changes;
+}
+
+/**
+ * Who made a request, for the revision record
+ * @param {Object} req - Express request (req.user set by loadUser or the API key)
+ * @returns {{ actorId: string|null, actorName: string, ip: string|null }}
+ */
+function getActor(req) {
+  let actorName = req.user ? req.user.name : 'Anonymous';
+  if (req.apiKey) {
+    actorName += ` (API key: ${req.apiKey.name})`;
+  }
+
+  return {
+    actorId: req.user ? req.user.id : null,
+    actorName,
+    ip: req.ip || null
+  };
+}
+
+/**
+ * Write a revision. Must run inside the same transaction as the change itself.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} params
+ * @param {Object} params.application - Application after the change ({ id, status, data })
+ * @param {string} params.action - "create" | "update" | "transition" | "restore" | "import"
+ * @param {Object} params.actor - From getActor()
+ * @param {Array<Object>} params.changes - From diffData() (or a status change)
+ * @param {string} [params.note]
+ * @returns {Promise<Object>} The revision
+ */
+async function recordRevision(tx, { application, action, actor, changes, note = null }) {
+  const latest = await tx.applicationRevision.aggregate({
+    where: { applicationId: application.id },
+    _max: { version: true }
+  });
+
+  return tx.applicationRevision.create({
+    data: {
+      applicationId: application.id,
+      version: (latest._max.version || 0) + 1,
+      action,
+      actorId: actor.actorId,
+      actorName: actor.actorName,
+      ip: actor.ip,
+      status: application.status,
+      changes,
+      data: application.data,
+      note
+    }
+  });
+}
+
+/**
+ * Short description of a revision's changes for the history list
+ * @param {Object} revision
+ * @returns {string}
+ */
+function summarizeChanges(revision) {
+  const changes = Array.isArray(revision.changes) ? revision.changes : [];
+  if (changes.length === 0) return 'No field changes';
+
+  const fields = changes.map(c => c.field);
+  if (fields.length <= 4) return fields.join(', ');
+  return `${fields.slice(0, 4).join(', ')} and ${fields.length - 4} more`;
+}
+
+module.exports = {
+  ACTION_LABELS,
+  diffData,
+  getActor,
+  recordRevision,
+  summarizeChanges
+};
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Roles, lowest to highest privilege
+const ROLES = ['employee', 'manager', 'hr', 'admin'];
+
+const ROLE_LABELS = {
+  employee: 'Employee',
+  manager: 'Manager',
+  hr: 'HR',
+  admin: 'Admin'
+};
+
+const SESSION_COOKIE = 'tes_session';
+const SESSION_MAX_AGE = 12 * 60 * 60 * 1000; // 12 hours
+
+const API_KEY_PREFIX = 'tes_';
+
+/**
+ * Hash a password with scrypt and a random salt
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} "salt:hash" (both hex)
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored "salt:hash" value
+ * @param {string} password - Plain text password
+ * @param {string} stored - Value produced by hashPassword
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  if (!password || !stored || !stored.includes(':')) return false;
+
+  const [salt, hashHex] = stored.split(':');
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Build the session cookie value for a user.
+ * The cookie is signed by cookie-parser, so it only needs the user id and issue time.
+ * @param {string} userId
+ * @returns {string}
+ */
+function createSessionValue(userId) {
+  return `${userId}.${Date.now()}`;
+}
+
+/**
+ * Read the user id from a session cookie value, rejecting expired sessions
+ * @param {string|false|undefined} value - Signed cookie value (false if tampered)
+ * @returns {string|null} User id
+ */
+function parseSessionValue(value) {
+  if (!value || typeof value !== 'string') return null;
+
+  const separator = value.lastIndexOf('.');
+  if (separator <= 0) return null;
+
+  const userId = value.slice(0, separator);
+  const issuedAt = parseInt(value.slice(separator + 1), 10);
+  if (!Number.isFinite(issuedAt) || Date.now() - issuedAt > SESSION_MAX_AGE) return null;
+
+  return userId;
+}
+
+/**
+ * Generate a new API key. The key is "tes_<prefix>_<secret>"; only the
+ * prefix (for lookup) and a SHA-256 hash of the whole key are stored.
+ * @returns {{ key: string, prefix: string, keyHash: string }}
+ */
+function generateApiKey() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${API_KEY_PREFIX}${prefix}_${secret}`;
+  return { key, prefix, keyHash: hashApiKey(key) };
+}
+
+/**
+ * SHA-256 hex of an API key (keys are random, so no salt is needed)
+ * @param {string} key
+ * @returns {string}
+ */
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Read the lookup prefix from a presented API key
+ * @param {string} key
+ * @returns {string|null}
+ */
+function parseApiKeyPrefix(key) {
+  if (!key || typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) return null;
+
+  const rest = key.slice(API_KEY_PREFIX.length);
+  const separator = rest.indexOf('_');
+  if (separator <= 0) return null;
+  return rest.slice(0, separator);
+}
+
+/**
+ * Compare a presented API key with a stored hash in constant time
+ * @param {string} key
+ * @param {string} keyHash - Value produced by hashApiKey
+ * @returns {boolean}
+ */
+function verifyApiKey(key, keyHash) {
+  const expected = Buffer.from(keyHash || '', 'hex');
+  const actual = Buffer.from(hashApiKey(key), 'hex');
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check whether a role is one of the known roles
+ * @param {string} role
+ * @returns {boolean}
+ */
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  SESSION_COOKIE,
+  SESSION_MAX_AGE,
+  hashPassword,
+  verifyPassword,
+  createSessionValue,
+  parseSessionValue,
+  generateApiKey,
+  hashApiKey,
+  parseApiKeyPrefix,
+  verifyApiKey,
+  isValidRole
+};
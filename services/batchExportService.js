@@ -0,0 +1,244 @@
+/**
+ * Batch PDF export: a ZIP holding one PDF per application plus a
+ * manifest.csv listing what was included or skipped.
+ *
+ * Small batches are streamed straight into the response. Larger ones run
+ * as background jobs (one at a time, since every PDF needs Chrome) writing
+ * to a temp file; the browser polls the job for progress and downloads the
+ * ZIP when it is done. Jobs live in memory and expire after JOB_TTL_MS.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const archiver = require('archiver');
+const documentService = require('./documentService');
+const exportService = require('./exportService');
+const workflowService = require('./workflowService');
+const applicationService = require('./applicationService');
+const formTypes = require('./formTypes');
+const events = require('./events');
+
+// Batches up to this size are streamed directly instead of queued as a job
+const INLINE_LIMIT = 10;
+const MAX_BATCH_SIZE = 500;
+const JOB_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+const MANIFEST_HEADERS = ['File', 'Application ID', 'Reference', 'Name', 'Status', 'Result'];
+
+const jobs = new Map();
+let queue = Promise.resolve();
+
+// "type - name.pdf", with " (2)" etc. when two applications share a name
+const uniqueFileName = (type, data, fallback, used) => {
+  const base = `${type} - ${formTypes.getDisplayNameForFile(type, data, fallback)}`;
+  let name = `${base}.pdf`;
+  for (let n = 2; used.has(name.toLowerCase()); n++) {
+    name = `${base} (${n}).pdf`;
+  }
+  used.add(name.toLowerCase());
+  return name;
+};
+
+/**
+ * Render the PDFs for a batch into a ZIP stream
+ * @param {Object} params
+ * @param {string} params.type - Form type slug
+ * @param {string[]} params.ids - Application IDs, in the order they should be exported
+ * @param {Object} params.user - Logged-in user; applications they cannot see are skipped
+ * @param {stream.Writable} params.output - Where the ZIP is written
+ * @param {Function} [params.onProgress] - Called with the number of applications processed
+ * @returns {Promise<{ exported: number, skipped: number }>}
+ */
+async function writeZip({ type, ids, user, output, onProgress = () => {} }) {
+  const dbType = formTypes.normalizeType(type);
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('finish', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  // The output can fail (disk full) while PDFs render: note it and stop at
+  // the next application rather than leave the rejection unhandled
+  let streamError = null;
+  finished.catch((error) => { streamError = error; });
+  archive.pipe(output);
+
+  const used = new Set();
+  const manifest = [];
+  let exported = 0;
+
+  for (let i = 0; i < ids.length && !streamError; i++) {
+    const application = await applicationService.findApplication(ids[i]);
+
+    if (!applicationService.isAccessible(application, dbType, user)) {
+      manifest.push(['', ids[i], '', '', '', 'Skipped: not found']);
+    } else {
+      const { data, status } = application;
+      const reference = application.reference || '';
+      const name = formTypes.getApplicantName(type, data);
+      const statusLabel = workflowService.getStatusLabel(status);
+      const { errors } = formTypes.validateFormData(type, data, { strict: true });
+
+      if (Object.keys(errors).length > 0) {
+        const labels = formTypes.getFieldLabels(type);
+        const missing = Object.keys(errors).map(key => labels[key] || key).join(', ');
+        manifest.push(['', application.id, reference, name, statusLabel, `Skipped: incomplete (${missing})`]);
+      } else {
+        try {
+          const { pdfBuffer } = await documentService.getPDF(type, application, { stamp: statusLabel, user });
+          const fileName = uniqueFileName(type, data, application.reference || application.id, used);
+          archive.append(pdfBuffer, { name: fileName });
+          manifest.push([fileName, application.id, reference, name, statusLabel, 'Exported']);
+          exported++;
+          events.emit('application.exported', {
+            type,
+            application,
+            via: 'batch',
+            actor: { actorId: user.id, actorName: user.name, ip: null }
+          });
+        } catch (error) {
+          console.error(`❌ Batch export: PDF failed for ${application.id}:`, error.message);
+          manifest.push(['', application.id, reference, name, statusLabel, 'Skipped: PDF generation failed']);
+        }
+      }
+    }
+
+    onProgress(i + 1);
+  }
+
+  if (streamError) {
+    archive.abort();
+    throw streamError;
+  }
+
+  archive.append(exportService.buildCSV(MANIFEST_HEADERS, manifest), { name: 'manifest.csv' });
+  await Promise.all([archive.finalize(), finished]);
+
+  return { exported, skipped: ids.length - exported };
+}
+
+/**
+ * ZIP download name, e.g. "leave-expats - PDFs - 2024-05-31.zip"
+ * @param {string} type
+ * @returns {string}
+ */
+const getZipFileName = (type) => `${type} - PDFs - ${new Date().toISOString().slice(0, 10)}.zip`;
+
+// Public view of a job (no file path)
+const describeJob = (job) => ({
+  id: job.id,
+  type: job.type,
+  status: job.status,
+  total: job.total,
+  processed: job.processed,
+  exported: job.exported,
+  skipped: job.skipped,
+  fileName: job.fileName,
+  error: job.error,
+  createdAt: job.createdAt
+});
+
+const removeFile = (filePath) => {
+  if (filePath) fs.promises.unlink(filePath).catch(() => {});
+};
+
+async function runJob(job, user) {
+  job.status = 'running';
+  console.log(`📦 Batch export ${job.id}: ${job.total} ${job.type} applications`);
+
+  try {
+    const result = await writeZip({
+      type: job.type,
+      ids: job.ids,
+      user,
+      output: fs.createWriteStream(job.filePath),
+      onProgress: (processed) => { job.processed = processed; }
+    });
+    Object.assign(job, result, { status: 'done', finishedAt: Date.now() });
+    console.log(`✅ Batch export ${job.id} done: ${result.exported} exported, ${result.skipped} skipped`);
+  } catch (error) {
+    console.error(`❌ Batch export ${job.id} failed:`, error);
+    Object.assign(job, { status: 'failed', error: 'Export failed', finishedAt: Date.now() });
+    removeFile(job.filePath);
+  }
+}
+
+/**
+ * Queue a background batch export
+ * @param {Object} params
+ * @param {string} params.type - Form type slug
+ * @param {string[]} params.ids
+ * @param {Object} params.user - Owner of the job
+ * @returns {Object} The job (see describeJob)
+ */
+function startJob({ type, ids, user }) {
+  const id = crypto.randomUUID();
+  const job = {
+    id,
+    type,
+    ids,
+    userId: user.id,
+    status: 'queued',
+    total: ids.length,
+    processed: 0,
+    exported: 0,
+    skipped: 0,
+    fileName: getZipFileName(type),
+    filePath: path.join(os.tmpdir(), `tes-export-${id}.zip`),
+    error: null,
+    createdAt: Date.now(),
+    finishedAt: null
+  };
+  jobs.set(id, job);
+
+  queue = queue.then(() => runJob(job, user));
+  return describeJob(job);
+}
+
+/**
+ * A job, if it belongs to the user
+ * @param {string} id
+ * @param {Object} user
+ * @returns {Object|null} The job (see describeJob)
+ */
+function getJob(id, user) {
+  const job = jobs.get(id);
+  if (!job || !user || job.userId !== user.id) return null;
+  return describeJob(job);
+}
+
+/**
+ * Path of a finished job's ZIP, if it belongs to the user
+ * @param {string} id
+ * @param {Object} user
+ * @returns {string|null}
+ */
+function getJobFile(id, user) {
+  const job = jobs.get(id);
+  if (!job || !user || job.userId !== user.id || job.status !== 'done') return null;
+  return job.filePath;
+}
+
+// Drop finished jobs (and their files) after JOB_TTL_MS
+setInterval(() => {
+  const cutoff = Date.now() - JOB_TTL_MS;
+  jobs.forEach((job, id) => {
+    if (job.finishedAt && job.finishedAt < cutoff) {
+      removeFile(job.filePath);
+      jobs.delete(id);
+    }
+  });
+}, 10 * 60 * 1000).unref();
+
+module.exports = {
+  INLINE_LIMIT,
+  MAX_BATCH_SIZE,
+  writeZip,
+  getZipFileName,
+  startJob,
+  getJob,
+  getJobFile
+};
@@ -0,0 +1,180 @@
+/**
+ * Working-day calendar for leave periods.
+ *
+ * The weekend and the public holiday calendar come from a JSON file
+ * (HOLIDAYS_CONFIG, default ./config/holidays.json): `weekend` lists day
+ * names, `national` and `company` list holidays as { date, name } or
+ * { from, to, name }. It is read once at startup and a mistake in it stops
+ * the app, same as a bad form definition.
+ *
+ * Dates are "YYYY-MM-DD" strings throughout; leave days are counted
+ * inclusively and only on working days.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Longest period counted, so a typo in a year can't loop for long
+const MAX_SPAN_DAYS = 2 * 366;
+
+const configPath = () => path.resolve(process.env.HOLIDAYS_CONFIG || path.join(__dirname, '../config/holidays.json'));
+
+// "2026-03-19" → days since 1970-01-01 (UTC), or null
+function toDayNumber(date) {
+  if (typeof date !== 'string' || !DATE_PATTERN.test(date)) return null;
+  const [year, month, day] = date.split('-').map(Number);
+  const ms = Date.UTC(year, month - 1, day);
+  // Reject dates that roll over, e.g. 2026-02-30
+  return new Date(ms).toISOString().slice(0, 10) === date ? ms / DAY_MS : null;
+}
+
+const fromDayNumber = (dayNumber) => new Date(dayNumber * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Read and check the calendar file
+ * @returns {{ weekend: number[], holidays: Object }} holidays: date → name
+ */
+function loadCalendar() {
+  const file = configPath();
+  const fail = (message) => {
+    throw new Error(`Invalid holiday calendar ${file}: ${message}`);
+  };
+
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  if (!Array.isArray(config.weekend)) fail('"weekend" must be a list of day names');
+  const weekend = config.weekend.map((name) => {
+    const day = DAY_NAMES.indexOf(String(name).toLowerCase());
+    if (day === -1) fail(`unknown weekend day "${name}"`);
+    return day;
+  });
+  if (weekend.length >= 7) fail('every day is a weekend');
+
+  const holidays = {};
+  ['national', 'company'].forEach((group) => {
+    const entries = config[group] || [];
+    if (!Array.isArray(entries)) fail(`"${group}" must be a list`);
+
+    entries.forEach((entry, i) => {
+      const where = `${group}[${i}]`;
+      if (!entry.name) fail(`${where} has no name`);
+      const from = toDayNumber(entry.date || entry.from);
+      const to = toDayNumber(entry.date || entry.to);
+      if (from === null || to === null) fail(`${where} needs "date", or "from" and "to", as YYYY-MM-DD`);
+      if (to < from || to - from > 31) fail(`${where} "from"–"to" must be at most a month, in order`);
+
+      for (let day = from; day <= to; day++) {
+        holidays[fromDayNumber(day)] = entry.name;
+      }
+    });
+  });
+
+  return { weekend, holidays };
+}
+
+const CALENDAR = loadCalendar();
+
+/**
+ * The calendar for the browser (same rules, used to fill the form live)
+ * @returns {{ weekend: number[], holidays: Object }}
+ */
+function getCalendar() {
+  return CALENDAR;
+}
+
+/**
+ * Holiday name of a date, or null
+ * @param {string} date - YYYY-MM-DD
+ * @returns {string|null}
+ */
+function getHoliday(date) {
+  return CALENDAR.holidays[date] || null;
+}
+
+const isWorkingDayNumber = (dayNumber) =>
+  !CALENDAR.weekend.includes(new Date(dayNumber * DAY_MS).getUTCDay()) && !CALENDAR.holidays[fromDayNumber(dayNumber)];
+
+/**
+ * Whether a date is neither a weekend nor a holiday
+ * @param {string} date - YYYY-MM-DD
+ * @returns {boolean}
+ */
+function isWorkingDay(date) {
+  const dayNumber = toDayNumber(date);
+  return dayNumber !== null && isWorkingDayNumber(dayNumber);
+}
+
+/**
+ * Working days from start to end, both included
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @returns {number|null} null when a date is invalid, end is before start or the span is too long
+ */
+function countWorkingDays(start, end) {
+  const from = toDayNumber(start);
+  const to = toDayNumber(end);
+  if (from === null || to === null || to < from || to - from > MAX_SPAN_DAYS) return null;
+
+  let count = 0;
+  for (let day = from; day <= to; day++) {
+    if (isWorkingDayNumber(day)) count++;
+  }
+  return count;
+}
+
+/**
+ * The date on which a leave of `days` working days starting at `start` ends
+ * @param {string} start - YYYY-MM-DD
+ * @param {number} days - At least 1
+ * @returns {string|null} YYYY-MM-DD, null when start is invalid or days out of range
+ */
+function getLastDay(start, days) {
+  const from = toDayNumber(start);
+  if (from === null || !Number.isInteger(days) || days < 1) return null;
+
+  let count = 0;
+  for (let day = from; day - from <= MAX_SPAN_DAYS; day++) {
+    if (isWorkingDayNumber(day)) count++;
+    if (count === days) return fromDayNumber(day);
+  }
+  return null;
+}
+
+/**
+ * The date a number of calendar days away
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} days - May be negative
+ * @returns {string|null}
+ */
+function addDays(date, days) {
+  const dayNumber = toDayNumber(date);
+  return dayNumber === null ? null : fromDayNumber(dayNumber + days);
+}
+
+/**
+ * Holidays falling within a period
+ * @param {string} start - YYYY-MM-DD
+ * @param {string} end - YYYY-MM-DD
+ * @returns {Array<{ date: string, name: string }>}
+ */
+function getHolidaysBetween(start, end) {
+  return Object.entries(CALENDAR.holidays)
+    .filter(([date]) => date >= start && date <= end)
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([date, name]) => ({ date, name }));
+}
+
+module.exports = {
+  DAY_NAMES,
+  getCalendar,
+  getHoliday,
+  isWorkingDay,
+  countWorkingDays,
+  getLastDay,
+  addDays,
+  getHolidaysBetween
+};
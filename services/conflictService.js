@@ -0,0 +1,332 @@
+/**
+ * Leave conflicts.
+ *
+ * Overlapping leave: two leave applications of one employee (matched on the
+ * form's ID field, any leave form type) must not cover the same day. Saving
+ * one that overlaps is refused, and so is submitting or HR-approving it.
+ * Rejected applications don't count; a closed one only counts if it was
+ * HR approved (it carries the HR signature, or was imported as approved),
+ * not if it was closed after a rejection.
+ *
+ * Site staffing: approving leave warns (never blocks) when it would put
+ * more people of the same site away on one working day than the site's
+ * limit. Only HR approved leave counts as away. Limits come from a JSON
+ * file (STAFFING_CONFIG, default ./config/staffing.json, see
+ * config/staffing.example.json): `sites` maps a site name to a number of
+ * people or a share of the site's active employees in the directory
+ * ("50%"), `default` applies to other sites. No file means no limits. The
+ * file is read for every check, so edits apply without a restart.
+ *
+ * Form definitions opt in with `leavePeriod` (overlaps) and `siteField`
+ * (staffing).
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { Prisma } = require('@prisma/client');
+const { prisma, withRetry } = require('../prismaClient');
+const formTypes = require('./formTypes');
+const workflowService = require('./workflowService');
+const calendarService = require('./calendarService');
+
+const { STATUSES } = workflowService;
+
+// Statuses of leave that still stands (closed is handled separately)
+const PENDING_STATUSES = [STATUSES.DRAFT, STATUSES.SUBMITTED, STATUSES.MANAGER_APPROVED, STATUSES.HR_APPROVED];
+
+// Approvals that get the staffing warning
+const APPROVE_TRANSITIONS = ['managerApprove', 'hrApprove'];
+
+// Longest period checked day by day
+const MAX_SPAN_DAYS = 366;
+
+const PERCENT_PATTERN = /^(\d{1,3})%$/;
+
+const configPath = () => path.resolve(process.env.STAFFING_CONFIG || path.join(__dirname, '../config/staffing.json'));
+
+// Config problems already reported, so each is logged once
+const reported = new Set();
+const reportOnce = (message) => {
+  if (!reported.has(message)) console.warn(message);
+  reported.add(message);
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const getPeriodDefinitions = () => formTypes.DEFINITIONS.filter(d => d.leavePeriod);
+
+/**
+ * Leave period of application data, or null while a date is missing
+ * @param {Object} definition
+ * @param {Object} data
+ * @returns {{ start: string, end: string }|null}
+ */
+function getPeriod(definition, data) {
+  const start = data[definition.leavePeriod.start];
+  const end = data[definition.leavePeriod.end];
+  if (!formTypes.DATE_PATTERN.test(start || '') || !formTypes.DATE_PATTERN.test(end || '') || end < start) return null;
+  return { start, end };
+}
+
+/**
+ * SQL condition: the application's leave stands, in one of `statuses` or
+ * closed after HR approval. Approval is read from hrApprovedAt, not the HR
+ * signature: HR may sign and then reject.
+ * @param {Array<string>} statuses
+ * @returns {Prisma.Sql}
+ */
+function standsCondition(statuses) {
+  return Prisma.sql`("status" IN (${Prisma.join(statuses)}) OR ("status" = ${STATUSES.CLOSED} AND "hrApprovedAt" IS NOT NULL))`;
+}
+
+/**
+ * Whether an application was approved by HR: HR approved, or closed after
+ * HR approval. The same rule as standsCondition(), for one loaded row.
+ * @param {Object} application - { status, hrApprovedAt }
+ * @returns {boolean}
+ */
+function isApproved(application) {
+  if (application.status === STATUSES.HR_APPROVED) return true;
+  return application.status === STATUSES.CLOSED && Boolean(application.hrApprovedAt);
+}
+
+/**
+ * SQL condition: leave of a definition's type covering at least one day of
+ * a period
+ * @param {Object} definition - With leavePeriod
+ * @param {{ start: string, end: string }} period
+ * @returns {Prisma.Sql}
+ */
+function periodCondition(definition, period) {
+  const { start, end } = definition.leavePeriod;
+  return Prisma.sql`"type" = ${definition.dbType}
+    AND COALESCE("data"->>${start}::text, '') <> ''
+    AND "data"->>${start}::text <= ${period.end}
+    AND "data"->>${end}::text >= ${period.start}`;
+}
+
+// What the pages show of a conflicting application
+function describe(row) {
+  const definition = formTypes.getDefinition(formTypes.toSlug(row.type));
+  return {
+    id: row.id,
+    type: definition.type,
+    displayName: definition.displayName,
+    reference: row.reference || null,
+    statusLabel: workflowService.getStatusLabel(row.status),
+    name: row.data[definition.nameField] || '',
+    employeeNo: row.data[definition.idField] || '',
+    start: row.data[definition.leavePeriod.start],
+    end: row.data[definition.leavePeriod.end]
+  };
+}
+
+/**
+ * Other leave of the same employee overlapping an application's period
+ * @param {string} type - Form type slug
+ * @param {Object} data - Validated form data
+ * @param {string|null} applicationId - Left out (null for a new application)
+ * @param {Object} [tx] - Prisma transaction client to read through
+ * @returns {Promise<Array<Object>>} describe() of each, by start date
+ */
+async function findOverlaps(type, data, applicationId, tx) {
+  const definition = formTypes.getDefinition(type);
+  const period = definition && definition.leavePeriod ? getPeriod(definition, data) : null;
+  const employeeNo = definition ? normalize(data[definition.idField]) : '';
+  if (!period || !employeeNo) return [];
+
+  const perType = getPeriodDefinitions().map(d => Prisma.sql`(
+    ${periodCondition(d, period)}
+    AND LOWER(TRIM("data"->>${d.idField}::text)) = ${employeeNo}
+    AND ${standsCondition(PENDING_STATUSES)}
+  )`);
+  const rows = await withRetry(() => (tx || prisma).$queryRaw`
+    SELECT "id", "type", "status", "reference", "data"
+    FROM "Application"
+    WHERE (${Prisma.join(perType, ' OR ')})
+      AND "id" <> ${applicationId || ''}
+  `);
+  return rows.map(describe).sort((a, b) => a.start.localeCompare(b.start));
+}
+
+// "Overlaps LE-2026-00012 (2026-06-01 to 2026-06-12) of this employee"
+function getOverlapMessage(overlaps) {
+  const list = overlaps.map(o => `${o.reference || o.displayName} (${o.start} to ${o.end})`).join(', ');
+  return `Overlaps other leave of this employee: ${list}`;
+}
+
+/**
+ * Field errors for leave that overlaps other leave of the same employee
+ * @param {string} type - Form type slug
+ * @param {Object} data - Validated form data
+ * @param {Object|null} application - null for a new one
+ * @returns {Promise<Object>} { <leave start field>: message } or {}
+ */
+async function checkData(type, data, application) {
+  const overlaps = await findOverlaps(type, data, application ? application.id : null);
+  if (overlaps.length === 0) return {};
+  return { [formTypes.getDefinition(type).leavePeriod.start]: getOverlapMessage(overlaps) };
+}
+
+/**
+ * Block submitting or HR-approving leave that overlaps other leave
+ * @param {string} type - Form type slug
+ * @param {Object} application - { id, data }
+ * @param {Object} transition - From workflowService.checkTransition()
+ * @param {Object} [tx] - The status change's transaction, holding lockEmployee()
+ * @returns {Promise<string|null>} error message
+ */
+async function checkTransition(type, application, transition, tx) {
+  if (transition.to !== STATUSES.SUBMITTED && transition.to !== STATUSES.HR_APPROVED) return null;
+  const overlaps = await findOverlaps(type, application.data, application.id, tx);
+  return overlaps.length > 0 ? getOverlapMessage(overlaps) : null;
+}
+
+/**
+ * Take a lock on the employee on a form for the rest of a transaction, so
+ * two submits or approvals of their leave are checked one after the other
+ * (the balance and overlaps) instead of both passing
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} type - Form type slug
+ * @param {Object} data - Form data
+ * @returns {Promise<void>}
+ */
+async function lockEmployee(tx, type, data) {
+  const definition = formTypes.getDefinition(type);
+  const employeeNo = definition ? normalize(data[definition.idField]) : '';
+  if (!employeeNo) return;
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`employee:${employeeNo}`}))`;
+}
+
+/**
+ * Site limits from the config file. A missing or unreadable (malformed)
+ * file means no limits; an invalid entry is reported and ignored.
+ * @returns {Promise<{ default: (number|string|null), sites: Object }>} sites: normalized name → limit
+ */
+async function loadLimits() {
+  let content;
+  try {
+    content = await fs.readFile(configPath(), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return { default: null, sites: {} };
+    throw error;
+  }
+
+  // A bad edit must not stop approvals: warn and check nothing until it is fixed
+  let config;
+  try {
+    config = JSON.parse(content);
+  } catch (error) {
+    reportOnce(`⚠️  Staffing limits ignored: ${configPath()} is not valid JSON (${error.message})`);
+    return { default: null, sites: {} };
+  }
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    reportOnce(`⚠️  Staffing limits ignored: ${configPath()} must hold an object with "default" and "sites"`);
+    return { default: null, sites: {} };
+  }
+
+  const valid = (limit, where) => {
+    const percent = PERCENT_PATTERN.exec(typeof limit === 'string' ? limit : '');
+    if ((Number.isInteger(limit) && limit >= 0) || (percent && percent[1] <= 100)) return true;
+    reportOnce(`⚠️  Staffing limit for ${where} ignored: use a number of people or a percentage like "50%"`);
+    return false;
+  };
+
+  const sites = {};
+  Object.entries(config.sites || {}).forEach(([site, limit]) => {
+    if (valid(limit, `"${site}"`)) sites[normalize(site)] = limit;
+  });
+  const fallback = config.default === undefined || config.default === null ? null : config.default;
+  return { default: fallback !== null && valid(fallback, 'default') ? fallback : null, sites };
+}
+
+/**
+ * Most people of a site allowed away on one day, or null when unlimited
+ * @param {string} site
+ * @returns {Promise<number|null>}
+ */
+async function getSiteLimit(site) {
+  const limits = await loadLimits();
+  const limit = Object.prototype.hasOwnProperty.call(limits.sites, normalize(site)) ? limits.sites[normalize(site)] : limits.default;
+  if (limit === null) return null;
+  if (Number.isInteger(limit)) return limit;
+
+  // A share of the site's active employees in the directory
+  const headcount = await withRetry(() => prisma.employee.count({
+    where: { active: true, site: { equals: site.trim(), mode: 'insensitive' } }
+  }));
+  return headcount > 0 ? Math.floor((headcount * parseInt(limit, 10)) / 100) : null;
+}
+
+/**
+ * Whether approving an application puts more people of its site away at
+ * once than the site's limit
+ * @param {string} type - Form type slug
+ * @param {Object} application - { id, data }
+ * @returns {Promise<Object|null>} null when within the limit (or not checked), else
+ *   { site, limit, peak, date, away: describe() of the approved leave away that day }
+ */
+async function checkStaffing(type, application) {
+  const definition = formTypes.getDefinition(type);
+  if (!definition || !definition.siteField) return null;
+  const site = String(application.data[definition.siteField] || '').trim();
+  const period = getPeriod(definition, application.data);
+  if (!site || !period) return null;
+
+  const limit = await getSiteLimit(site);
+  if (limit === null) return null;
+
+  const perType = getPeriodDefinitions().filter(d => d.siteField).map(d => Prisma.sql`(
+    ${periodCondition(d, period)}
+    AND LOWER(TRIM("data"->>${d.siteField}::text)) = ${normalize(site)}
+    AND ${standsCondition([STATUSES.HR_APPROVED])}
+  )`);
+  const rows = await withRetry(() => prisma.$queryRaw`
+    SELECT "id", "type", "status", "reference", "data"
+    FROM "Application"
+    WHERE (${Prisma.join(perType, ' OR ')})
+      AND "id" <> ${application.id}
+  `);
+  const others = rows.map(describe);
+  const self = normalize(application.data[definition.idField]);
+
+  // Working day with the most people away, counting each employee once
+  let peak = { count: 0, date: null, away: [] };
+  for (let i = 0, date = period.start; date <= period.end && i <= MAX_SPAN_DAYS; i++, date = calendarService.addDays(date, 1)) {
+    if (!calendarService.isWorkingDay(date)) continue;
+    const away = others.filter(o => o.start <= date && o.end >= date && normalize(o.employeeNo) !== self);
+    const count = new Set(away.map(o => normalize(o.employeeNo))).size + 1;
+    if (count > peak.count) peak = { count, date, away };
+  }
+
+  if (peak.count <= limit) return null;
+  return { site, limit, peak: peak.count, date: peak.date, away: peak.away };
+}
+
+/**
+ * Staffing warning for the edit page, when the user can approve
+ * @param {string} type - Form type slug
+ * @param {Object} application
+ * @param {Array<Object>} transitions - Transitions the user may take
+ * @returns {Promise<Object|null>} checkStaffing() result
+ */
+function getApprovalWarning(type, application, transitions) {
+  if (!transitions.some(t => APPROVE_TRANSITIONS.includes(t.name))) return Promise.resolve(null);
+  return checkStaffing(type, application);
+}
+
+module.exports = {
+  PENDING_STATUSES,
+  APPROVE_TRANSITIONS,
+  getPeriod,
+  standsCondition,
+  isApproved,
+  periodCondition,
+  findOverlaps,
+  lockEmployee,
+  checkData,
+  checkTransition,
+  getSiteLimit,
+  checkStaffing,
+  getApprovalWarning
+};
@@ -0,0 +1,198 @@
+/**
+ * Stored PDFs for final applications.
+ *
+ * When an application reaches a final status (workflowService.FINAL_STATUSES)
+ * its PDF is rendered once, hashed (SHA-256) and stored as an
+ * ApplicationDocument. From then on downloads serve that copy, checked
+ * against its hash, so the PDF HR filed stays the same after template or
+ * data changes. Amending the application supersedes the document; the next
+ * time it is final a new one is stored for the new revision.
+ */
+
+const crypto = require('crypto');
+const { prisma, withRetry } = require('../prismaClient');
+const pdfService = require('./pdfService');
+const workflowService = require('./workflowService');
+const formTypes = require('./formTypes');
+const documentStorage = require('./documentStorage');
+const verificationService = require('./verificationService');
+const events = require('./events');
+
+// Creations in progress, by application id (a download may race the transition)
+const pending = new Map();
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * The document currently served for an application
+ * @param {string} applicationId
+ * @returns {Promise<Object|null>}
+ */
+function getCurrentDocument(applicationId) {
+  return withRetry(() => prisma.applicationDocument.findFirst({
+    where: { applicationId, supersededAt: null },
+    orderBy: { version: 'desc' }
+  }));
+}
+
+/**
+ * Every stored document of an application, newest first
+ * @param {string} applicationId
+ * @returns {Promise<Array<Object>>}
+ */
+function listDocuments(applicationId) {
+  return withRetry(() => prisma.applicationDocument.findMany({
+    where: { applicationId },
+    orderBy: { version: 'desc' }
+  }));
+}
+
+/**
+ * Render, hash and store the PDF of an application as it is now
+ * @param {string} type - Form type slug
+ * @param {Object} application - From applicationService.findApplication()
+ * @param {Object} [user] - Who triggered it
+ * @returns {Promise<Object>} The ApplicationDocument
+ */
+async function createDocument(type, application, user) {
+  // The PDF belongs to the latest revision, i.e. the data it was rendered from
+  const latest = await withRetry(() => prisma.applicationRevision.aggregate({
+    where: { applicationId: application.id },
+    _max: { version: true }
+  }));
+  const version = latest._max.version || 0;
+
+  const statusLabel = workflowService.getStatusLabel(application.status);
+  const verification = await verificationService.buildVerification(application);
+  const pdfBuffer = await pdfService.generatePDF(type, application.data, {
+    stamp: statusLabel,
+    reference: application.reference,
+    verification
+  });
+  const digest = sha256(pdfBuffer);
+
+  const backend = documentStorage.getDefaultBackend();
+  const storageKey = `${application.id}/v${version}-${digest.slice(0, 16)}.pdf`;
+  let written = false;
+
+  try {
+    // false when the file is already there: a concurrent creation rendered
+    // the same bytes (or an earlier one failed after storing them)
+    written = await backend.put(storageKey, pdfBuffer);
+    const document = await withRetry(() => prisma.applicationDocument.create({
+      data: {
+        applicationId: application.id,
+        version,
+        status: application.status,
+        fileName: `${type} - ${formTypes.getDisplayNameForFile(type, application.data, application.reference || application.id)}.pdf`,
+        sha256: digest,
+        size: pdfBuffer.length,
+        storage: backend.name,
+        storageKey,
+        createdById: user ? user.id : null
+      }
+    }));
+    console.log(`📄 Stored PDF for ${application.id} (v${version}, sha256 ${digest.slice(0, 12)}…)`);
+    events.emit('document.stored', { type, application, document });
+    return document;
+  } catch (error) {
+    // P2002: another process stored this version first, so use its document
+    const winner = error.code === 'P2002'
+      ? await withRetry(() => prisma.applicationDocument.findUnique({
+        where: { applicationId_version: { applicationId: application.id, version } }
+      }))
+      : null;
+
+    // Remove the file we wrote unless that document points to it
+    if (written && !(winner && winner.storage === backend.name && winner.storageKey === storageKey)) {
+      await backend.remove(storageKey).catch((removeError) => {
+        console.error(`⚠️  Could not remove unused stored PDF ${storageKey}:`, removeError.message);
+      });
+    }
+    if (winner) return winner;
+    throw error;
+  }
+}
+
+/**
+ * Current document of a final application, storing one if there is none yet
+ * @param {string} type - Form type slug
+ * @param {Object} application
+ * @param {Object} [user]
+ * @returns {Promise<Object>} The ApplicationDocument
+ */
+async function ensureDocument(type, application, user) {
+  const current = await getCurrentDocument(application.id);
+  if (current) return current;
+
+  if (!pending.has(application.id)) {
+    const creation = createDocument(type, application, user)
+      .finally(() => pending.delete(application.id));
+    pending.set(application.id, creation);
+  }
+  return pending.get(application.id);
+}
+
+/**
+ * Read a stored document and check it against its hash
+ * @param {Object} document - ApplicationDocument
+ * @returns {Promise<Buffer>}
+ */
+async function readDocument(document) {
+  const buffer = await documentStorage.getBackend(document.storage).get(document.storageKey);
+  if (!buffer) {
+    throw new Error(`Stored PDF ${document.id} is missing from ${document.storage} storage`);
+  }
+  if (sha256(buffer) !== document.sha256) {
+    throw new Error(`Stored PDF ${document.id} does not match its SHA-256`);
+  }
+  return buffer;
+}
+
+/**
+ * PDF for a download: the stored copy for final applications, otherwise
+ * rendered now
+ * @param {string} type - Form type slug
+ * @param {Object} application
+ * @param {Object} [options]
+ * @param {string|null} [options.stamp] - Stamp for a freshly rendered PDF (stored copies keep theirs)
+ * @param {Object} [options.user]
+ * @returns {Promise<{ pdfBuffer: Buffer, document: Object|null }>}
+ */
+async function getPDF(type, application, options = {}) {
+  if (workflowService.isFinal(application.status)) {
+    const document = await ensureDocument(type, application, options.user);
+    return { pdfBuffer: await readDocument(document), document };
+  }
+
+  const verification = await verificationService.buildVerification(application);
+  const pdfBuffer = await pdfService.generatePDF(type, application.data, {
+    stamp: options.stamp || null,
+    reference: application.reference,
+    verification
+  });
+  return { pdfBuffer, document: null };
+}
+
+/**
+ * Stop serving an application's stored documents (it is being amended).
+ * Must run inside the same transaction as the status change.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} applicationId
+ * @returns {Promise<void>}
+ */
+async function supersedeDocuments(tx, applicationId) {
+  await tx.applicationDocument.updateMany({
+    where: { applicationId, supersededAt: null },
+    data: { supersededAt: new Date() }
+  });
+}
+
+module.exports = {
+  getCurrentDocument,
+  listDocuments,
+  ensureDocument,
+  readDocument,
+  getPDF,
+  supersedeDocuments
+};
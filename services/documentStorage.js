@@ -0,0 +1,112 @@
+/**
+ * Storage backends for stored PDFs (see documentService.js).
+ *
+ * A backend is { name, put(key, buffer), get(key), remove(key) }. put never
+ * overwrites: it resolves false when the key is already stored. Which one
+ * new files go to is chosen with DOCUMENT_STORAGE:
+ *   database  (default) StoredFile table in Postgres
+ *   local     Files under DOCUMENT_STORAGE_DIR (default ./storage/documents)
+ *
+ * Each ApplicationDocument records the backend it was written to, so files
+ * stay readable after switching.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { prisma, withRetry } = require('../prismaClient');
+
+const databaseStorage = {
+  name: 'database',
+
+  async put(key, buffer) {
+    try {
+      await withRetry(() => prisma.storedFile.create({ data: { key, content: buffer } }));
+      return true;
+    } catch (error) {
+      if (error.code === 'P2002') return false;
+      throw error;
+    }
+  },
+
+  async get(key) {
+    const file = await withRetry(() => prisma.storedFile.findUnique({ where: { key } }));
+    return file ? Buffer.from(file.content) : null;
+  },
+
+  async remove(key) {
+    await withRetry(() => prisma.storedFile.deleteMany({ where: { key } }));
+  }
+};
+
+const localRoot = () => path.resolve(process.env.DOCUMENT_STORAGE_DIR || path.join(__dirname, '../storage/documents'));
+
+// Keys are generated by documentService, but never let one escape the storage directory
+const localPath = (key) => {
+  const root = localRoot();
+  const filePath = path.resolve(root, key);
+  if (!filePath.startsWith(root + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return filePath;
+};
+
+const localStorage = {
+  name: 'local',
+
+  async put(key, buffer) {
+    const filePath = localPath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // "wx": never overwrite a stored file
+    try {
+      await fs.writeFile(filePath, buffer, { flag: 'wx' });
+      return true;
+    } catch (error) {
+      if (error.code === 'EEXIST') return false;
+      throw error;
+    }
+  },
+
+  async get(key) {
+    try {
+      return await fs.readFile(localPath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  },
+
+  async remove(key) {
+    try {
+      await fs.unlink(localPath(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+};
+
+const BACKENDS = {
+  [databaseStorage.name]: databaseStorage,
+  [localStorage.name]: localStorage
+};
+
+/**
+ * Backend by name
+ * @param {string} name
+ * @returns {{ name: string, put: Function, get: Function, remove: Function }}
+ */
+function getBackend(name) {
+  const backend = BACKENDS[name];
+  if (!backend) throw new Error(`Unknown document storage "${name}"`);
+  return backend;
+}
+
+/**
+ * Backend new files are written to (DOCUMENT_STORAGE)
+ * @returns {{ name: string, put: Function, get: Function, remove: Function }}
+ */
+const getDefaultBackend = () => getBackend(process.env.DOCUMENT_STORAGE || databaseStorage.name);
+
+module.exports = {
+  getBackend,
+  getDefaultBackend
+};
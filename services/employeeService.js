@@ -0,0 +1,328 @@
+/**
+ * Employee directory.
+ *
+ * The Employee table is the master list of employees, imported from CSV
+ * (scripts/import-employees.js). Each form definition maps directory
+ * attributes to its own fields with `employeeFields`, e.g. the Re-Joining
+ * form's "wrokId" is the directory's employeeNo. The forms use it to:
+ *
+ *  - autocomplete the ID and name fields and fill in the rest
+ *  - link an application to its employee (matched on the ID field when saved)
+ *  - warn when saved data disagrees with the directory (never blocks a save)
+ */
+
+const { prisma, withRetry } = require('../prismaClient');
+const formTypes = require('./formTypes');
+const accessService = require('./accessService');
+
+// Directory attributes, in CSV column order
+const ATTRIBUTES = {
+  employeeNo: 'Employee ID',
+  name: 'Name',
+  position: 'Position',
+  site: 'Site',
+  mobileNo: 'Mobile Number',
+  passportNo: 'Passport No'
+};
+
+// Only shown to HR and admins (search results and warnings)
+const PRIVATE_ATTRIBUTES = ['passportNo'];
+
+// CSV headers accepted for each attribute (compared lowercase, letters and digits only)
+const HEADER_ALIASES = {
+  employeeNo: ['employeeno', 'employeeid', 'workid', 'id', 'staffno'],
+  name: ['name', 'employeename', 'fullname'],
+  position: ['position', 'designation', 'jobtitle'],
+  site: ['site', 'location'],
+  mobileNo: ['mobileno', 'mobile', 'mobilenumber', 'phone'],
+  passportNo: ['passportno', 'passport', 'passportnumber'],
+  active: ['active']
+};
+
+const MAX_LENGTH = 200;
+const SEARCH_LIMIT = 10;
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+const normalizeValue = (value) => String(value ?? '').trim().replace(/\s+/g, ' ');
+const sameValue = (a, b) => normalizeValue(a).toLowerCase() === normalizeValue(b).toLowerCase();
+
+/**
+ * Form field for each directory attribute of a form type
+ * @param {string} type - Form type slug
+ * @returns {Object} e.g. { employeeNo: 'wrokId', name: 'name', ... }
+ */
+function getEmployeeFields(type) {
+  const definition = formTypes.getDefinition(type);
+  return (definition && definition.employeeFields) || {};
+}
+
+/**
+ * Directory values of an employee, keyed by the form type's field names
+ * @param {string} type - Form type slug
+ * @param {Object} employee
+ * @param {Object} user - Private attributes are left out unless HR or admin
+ * @returns {Object}
+ */
+function getFormValues(type, employee, user) {
+  const values = {};
+  Object.entries(getEmployeeFields(type)).forEach(([attribute, field]) => {
+    if (PRIVATE_ATTRIBUTES.includes(attribute) && !accessService.canSeeEmployeePrivate(user)) return;
+    if (employee[attribute]) values[field] = employee[attribute];
+  });
+  return values;
+}
+
+/**
+ * Active employees whose ID starts with, or name contains, the query
+ * @param {string} query
+ * @returns {Promise<Array<Object>>}
+ */
+async function searchEmployees(query) {
+  const q = normalizeValue(query);
+  if (q.length < 2) return [];
+
+  return withRetry(() => prisma.employee.findMany({
+    where: {
+      active: true,
+      OR: [
+        { employeeNo: { startsWith: q, mode: 'insensitive' } },
+        { name: { contains: q, mode: 'insensitive' } }
+      ]
+    },
+    orderBy: { name: 'asc' },
+    take: SEARCH_LIMIT
+  }));
+}
+
+/**
+ * An employee by their employee number (active or not)
+ * @param {string} employeeNo
+ * @returns {Promise<Object|null>}
+ */
+async function findEmployee(employeeNo) {
+  const value = normalizeValue(employeeNo);
+  if (!value) return null;
+
+  return withRetry(() => prisma.employee.findUnique({ where: { employeeNo: value } }));
+}
+
+/**
+ * The directory record matching an application's ID field, if any
+ * @param {string} type - Form type slug
+ * @param {Object} data - Form data
+ * @returns {Promise<Object|null>}
+ */
+async function findForData(type, data) {
+  const idField = getEmployeeFields(type).employeeNo;
+  const employeeNo = idField ? normalizeValue(data[idField]) : '';
+  if (!employeeNo) return null;
+
+  return withRetry(() => prisma.employee.findUnique({ where: { employeeNo } }));
+}
+
+/**
+ * Where form data disagrees with the directory. Empty fields are not
+ * reported; private values are not repeated in the message.
+ * @param {string} type - Form type slug
+ * @param {Object} data - Form data
+ * @param {Object|null} employee - From findForData()
+ * @returns {Object} warnings keyed by field name
+ */
+function compareWithDirectory(type, data, employee) {
+  const fields = getEmployeeFields(type);
+  const warnings = {};
+  if (!fields.employeeNo || !normalizeValue(data[fields.employeeNo])) return warnings;
+
+  const labels = formTypes.getFieldLabels(type);
+  const idLabel = labels[fields.employeeNo];
+  if (!employee) {
+    warnings[fields.employeeNo] = `${idLabel} ${normalizeValue(data[fields.employeeNo])} is not in the employee directory`;
+    return warnings;
+  }
+  if (!employee.active) {
+    warnings[fields.employeeNo] = `${idLabel} ${employee.employeeNo} is marked inactive in the employee directory`;
+  }
+
+  Object.entries(fields).forEach(([attribute, field]) => {
+    if (attribute === 'employeeNo' || !employee[attribute] || !normalizeValue(data[field])) return;
+    if (sameValue(data[field], employee[attribute])) return;
+
+    warnings[field] = PRIVATE_ATTRIBUTES.includes(attribute)
+      ? `${labels[field]} does not match the employee directory`
+      : `${labels[field]} does not match the employee directory ("${employee[attribute]}")`;
+  });
+
+  return warnings;
+}
+
+/**
+ * Look up the employee for form data and compare
+ * @param {string} type - Form type slug
+ * @param {Object} data - Form data
+ * @returns {Promise<{ employee: Object|null, warnings: Object }>}
+ */
+async function checkData(type, data) {
+  if (!getEmployeeFields(type).employeeNo) return { employee: null, warnings: {} };
+  const employee = await findForData(type, data);
+  return { employee, warnings: compareWithDirectory(type, data, employee) };
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF)
+ * @param {string} text
+ * @returns {Array<string[]>}
+ */
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(value => value.trim() !== ''));
+}
+
+/**
+ * Turn CSV text into employee records. The first row holds the headers;
+ * an "Employee ID" and a "Name" column are required.
+ * @param {string} text
+ * @returns {{ errors: string[], records: Array<Object> }}
+ */
+function parseEmployeeCSV(text) {
+  const [headers, ...rows] = parseCSV(text);
+  const errors = [];
+  if (!headers) return { errors: ['The file is empty'], records: [] };
+
+  const columns = {};
+  headers.forEach((header, index) => {
+    const key = normalizeHeader(header);
+    const attribute = Object.keys(HEADER_ALIASES).find(name => HEADER_ALIASES[name].includes(key));
+    if (attribute && columns[attribute] === undefined) columns[attribute] = index;
+  });
+  ['employeeNo', 'name'].forEach((attribute) => {
+    if (columns[attribute] === undefined) errors.push(`Missing column "${ATTRIBUTES[attribute]}"`);
+  });
+  if (errors.length > 0) return { errors, records: [] };
+
+  const records = [];
+  const seen = new Map();
+  rows.forEach((cells, index) => {
+    const line = index + 2;
+    const record = {};
+    Object.keys(ATTRIBUTES).forEach((attribute) => {
+      record[attribute] = columns[attribute] === undefined ? null : (normalizeValue(cells[columns[attribute]]) || null);
+    });
+    record.active = columns.active === undefined
+      || !/^(no|n|false|0|inactive)$/i.test(normalizeValue(cells[columns.active]));
+
+    if (!record.employeeNo) return errors.push(`Line ${line}: Employee ID is empty`);
+    if (!record.name) return errors.push(`Line ${line}: Name is empty`);
+    const tooLong = Object.keys(ATTRIBUTES).find(attribute => (record[attribute] || '').length > MAX_LENGTH);
+    if (tooLong) return errors.push(`Line ${line}: ${ATTRIBUTES[tooLong]} is longer than ${MAX_LENGTH} characters`);
+    if (seen.has(record.employeeNo)) {
+      return errors.push(`Line ${line}: Employee ID ${record.employeeNo} already appears on line ${seen.get(record.employeeNo)}`);
+    }
+
+    seen.set(record.employeeNo, line);
+    records.push(record);
+  });
+
+  return { errors, records };
+}
+
+/**
+ * Create or update employees by Employee ID
+ * @param {Array<Object>} records - From parseEmployeeCSV()
+ * @param {Object} [options]
+ * @param {boolean} [options.deactivateMissing] - Mark employees not in the records inactive
+ * @param {boolean} [options.dryRun] - Only count what would change
+ * @returns {Promise<{ created: number, updated: number, unchanged: number, deactivated: number }>}
+ */
+async function importEmployees(records, options = {}) {
+  const result = { created: 0, updated: 0, unchanged: 0, deactivated: 0 };
+  const existing = await withRetry(() => prisma.employee.findMany());
+  const byNumber = new Map(existing.map(employee => [employee.employeeNo, employee]));
+  const fields = [...Object.keys(ATTRIBUTES), 'active'];
+
+  const creates = [];
+  const updates = [];
+  records.forEach((record) => {
+    const current = byNumber.get(record.employeeNo);
+    if (!current) {
+      creates.push(record);
+    } else if (fields.some(field => (current[field] ?? null) !== record[field])) {
+      updates.push(record);
+    } else {
+      result.unchanged++;
+    }
+  });
+
+  const listed = new Set(records.map(record => record.employeeNo));
+  const missing = options.deactivateMissing
+    ? existing.filter(employee => employee.active && !listed.has(employee.employeeNo)).map(employee => employee.employeeNo)
+    : [];
+
+  result.created = creates.length;
+  result.updated = updates.length;
+  result.deactivated = missing.length;
+  if (options.dryRun) return result;
+
+  await withRetry(() => prisma.$transaction(async (tx) => {
+    if (creates.length > 0) await tx.employee.createMany({ data: creates });
+    for (const record of updates) {
+      await tx.employee.update({ where: { employeeNo: record.employeeNo }, data: record });
+    }
+    if (missing.length > 0) {
+      await tx.employee.updateMany({ where: { employeeNo: { in: missing } }, data: { active: false } });
+    }
+  }, { timeout: 60000 }));
+
+  console.log(`👥 Employee directory imported: ${result.created} new, ${result.updated} updated, ${result.deactivated} deactivated`);
+  return result;
+}
+
+module.exports = {
+  ATTRIBUTES,
+  PRIVATE_ATTRIBUTES,
+  getEmployeeFields,
+  getFormValues,
+  searchEmployees,
+  findEmployee,
+  findForData,
+  compareWithDirectory,
+  checkData,
+  parseCSV,
+  parseEmployeeCSV,
+  importEmployees
+};
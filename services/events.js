@@ -0,0 +1,52 @@
+/**
+ * Application events.
+ *
+ * Controllers and services emit an event after the change it describes has
+ * been saved; listeners (notifications, …) react to it. Listeners run after
+ * the current request has been handled and their errors are only logged, so
+ * a failing listener never breaks or slows down the change itself.
+ *
+ * Events:
+ *   application.changed       { type, application, action, changes, actor }
+ *                             after every revision (create/update/transition/restore)
+ *   application.transitioned  { type, application, from, to, transition, actor }
+ *   application.exported      { type, application, via, actor }
+ *                             a PDF was downloaded ("download", "api" or "batch")
+ *   signingLink.created       { type, application, link, url, actor }
+ *   document.stored           { type, application, document }
+ */
+
+const { EventEmitter } = require('events');
+
+const emitter = new EventEmitter();
+
+/**
+ * Register a listener. It may be async.
+ * @param {string} name - Event name
+ * @param {Function} listener - (payload) => void|Promise
+ */
+function on(name, listener) {
+  emitter.on(name, (payload) => {
+    setImmediate(async () => {
+      try {
+        await listener(payload);
+      } catch (error) {
+        console.error(`⚠️  Listener for ${name} failed:`, error.message);
+      }
+    });
+  });
+}
+
+/**
+ * Emit an event
+ * @param {string} name
+ * @param {Object} payload
+ */
+function emit(name, payload) {
+  emitter.emit(name, payload);
+}
+
+module.exports = {
+  on,
+  emit
+};
@@ -0,0 +1,142 @@
+/**
+ * Spreadsheet exports of application lists (CSV and XLSX).
+ *
+ * One row per application and one column per form field, in the order and
+ * with the labels of the form definition. Signatures are reduced to
+ * Signed/Unsigned plus the signature date.
+ */
+
+const ExcelJS = require('exceljs');
+const formTypes = require('./formTypes');
+const workflowService = require('./workflowService');
+
+// Values starting with these could run as formulas when opened in a spreadsheet
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const PHONE_LIKE = /^[+-]?[\d\s()-]+$/;
+
+/**
+ * Columns for a form type
+ * @param {string} type - Form type slug
+ * @returns {Array<{ header: string, width: number, date?: boolean, value: Function }>}
+ */
+function getColumns(type) {
+  const definition = formTypes.getDefinition(type);
+  const labels = formTypes.getFieldLabels(type);
+
+  const columns = [
+    { header: 'Application ID', width: 38, value: app => app.id },
+    { header: 'Reference', width: 16, value: app => app.reference || '' },
+    { header: 'Status', width: 18, value: app => workflowService.getStatusLabel(app.status) },
+    { header: 'Created', width: 20, date: true, value: app => new Date(app.createdAt) }
+  ];
+
+  Object.entries(definition.fields).forEach(([key, field]) => {
+    columns.push({
+      header: field.label,
+      width: field.type === 'text' ? 24 : 16,
+      value: (app) => {
+        const value = app.data[key];
+        if (field.type === 'enum') return field.options[value] || value || '';
+        if (field.type === 'integer') return value === undefined || value === '' ? '' : Number(value);
+        return value ?? '';
+      }
+    });
+  });
+
+  definition.signatureSlots.forEach((slot) => {
+    columns.push({
+      header: labels[slot],
+      width: 18,
+      value: (app) => {
+        const signed = app.signed ? app.signed[slot] : Boolean(app.data[slot]);
+        return signed ? 'Signed' : 'Unsigned';
+      }
+    });
+    columns.push({ header: labels[`${slot}Date`], width: 18, value: app => app.data[`${slot}Date`] || '' });
+  });
+
+  return columns;
+}
+
+// Neutralise spreadsheet formulas (but leave phone numbers like "+968 …" alone)
+const safeText = (value) => {
+  const text = String(value);
+  return FORMULA_PREFIX.test(text) && !PHONE_LIKE.test(text) ? `'${text}` : text;
+};
+
+const csvCell = (value) => {
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (typeof value === 'number') text = String(value);
+  else text = safeText(value ?? '');
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text from a header row and value rows (UTF-8 with BOM so Excel
+ * detects the encoding)
+ * @param {string[]} headers
+ * @param {Array<Array<*>>} rows
+ * @returns {Buffer}
+ */
+function buildCSV(headers, rows) {
+  const lines = [headers, ...rows].map(row => row.map(csvCell).join(','));
+  return Buffer.from(`\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+}
+
+/**
+ * Build a CSV export of applications
+ * @param {string} type - Form type slug
+ * @param {Array<Object>} applications - Rows from applicationService.listAllApplications()
+ * @returns {Buffer}
+ */
+function toCSV(type, applications) {
+  const columns = getColumns(type);
+  return buildCSV(
+    columns.map(c => c.header),
+    applications.map(app => columns.map(c => c.value(app)))
+  );
+}
+
+/**
+ * Build an XLSX workbook
+ * @param {string} type - Form type slug
+ * @param {Array<Object>} applications - Rows from applicationService.listAllApplications()
+ * @returns {Promise<Buffer>}
+ */
+async function toXLSX(type, applications) {
+  const columns = getColumns(type);
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'TES Forms';
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet(formTypes.getDisplayName(type).slice(0, 31), {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  sheet.columns = columns.map(c => ({
+    header: c.header,
+    width: c.width,
+    style: c.date ? { numFmt: 'yyyy-mm-dd hh:mm' } : {}
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: columns.length } };
+
+  applications.forEach((app) => {
+    sheet.addRow(columns.map((c) => {
+      const value = c.value(app);
+      if (value instanceof Date || typeof value === 'number') return value;
+      return safeText(value ?? '');
+    }));
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+module.exports = {
+  getColumns,
+  buildCSV,
+  toCSV,
+  toXLSX
+};
@@ -0,0 +1,465 @@
+/**
+ * Form type registry and validation.
+ *
+ * Every form type is described by one definition file in forms/ — adding a
+ * form means adding a definition there plus its form partial
+ * (views/forms/partials) and PDF template (views/pdf). Definitions are
+ * loaded once at startup and checked for obvious mistakes.
+ *
+ * URL slugs use hyphens ("leave-expats"); the database `type` column uses
+ * underscores ("leave_expats").
+ *
+ * Definition format:
+ *   type           URL slug
+ *   dbType         Value stored in Application.type
+ *   displayName    Shown in page titles and lists
+ *   order          Position in menus
+ *   formPartial    views/forms/partials/<formPartial>.ejs
+ *   pdfTemplate    views/pdf/<pdfTemplate>
+ *   referencePrefix Start of its reference numbers ("LE" → "LE-2026-00042"), unique
+ *   nameField      Field holding the employee's name (lists, history, PDF filename)
+ *   idField        Field holding the employee/work ID (lists)
+ *   searchFields   Fields matched by the list search box
+ *   filterFields   Fields offered as extra list filters (enums match exactly, text contains)
+ *   leaveStartField Date field the leave starts on (list date range and sorting)
+ *   leavePeriod    { start, end, days }: dates and working-day count of the
+ *                  leave, filled in from each other and checked against each
+ *                  other in strict mode (see calendarService.js). Leave
+ *                  periods of one employee must not overlap (conflictService.js)
+ *   siteField      Field holding the work site: approving warns when too many
+ *                  of a site would be away at once (needs leavePeriod)
+ *   reportFields   Enum fields whose split over approved leave the reports
+ *                  page shows (needs leave request leaveFields; see reportService.js)
+ *   verifyFields   Fields shown on the public verification page (/verify/:code)
+ *   employeeFields Employee directory attribute → field, for auto-fill and
+ *                  directory checks (employeeNo, name, position, site,
+ *                  mobileNo, passportNo; see employeeService.js)
+ *   leaveFields    Leave ledger fields (see leaveService.js). A leave request
+ *                  maps { type, days, start }; a return from leave maps
+ *                  { days, allowed, extra, start, end } plus the ledger
+ *                  leaveType it counts against
+ *   sourceLeave    { types, copy, lastDay }: the form closes a leave application
+ *                  of one of `types`, copying `copy` (field → its field) and
+ *                  counting extra leave after its `lastDay` field; needs the
+ *                  return-from-leave leaveFields (see rejoiningService.js)
+ *   signatureSlots Signature fields on the form; each also gets a "<slot>Date" field
+ *   fields         { key: { label, type, required, strict, min, options } }
+ *                    type      "text" | "date" | "integer" | "enum"
+ *                    required  Needed even for a draft
+ *                    strict    Needed for PDF export and submission
+ *                    min       Lowest allowed integer (default: none)
+ *                    options   Enum values → labels
+ */
+
+const fs = require('fs');
+const path = require('path');
+const workflowService = require('./workflowService');
+const calendarService = require('./calendarService');
+
+const DEFINITIONS_DIR = path.join(__dirname, '../forms');
+const FIELD_TYPES = ['text', 'date', 'integer', 'enum'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Employee directory attributes a definition can map (employeeFields)
+const EMPLOYEE_ATTRIBUTES = ['employeeNo', 'name', 'position', 'site', 'mobileNo', 'passportNo'];
+
+// leaveFields entries of a leave request, and of a return from leave
+const LEAVE_REQUEST_FIELDS = ['type', 'days', 'start'];
+const LEAVE_RETURN_FIELDS = ['days', 'allowed', 'extra', 'start', 'end'];
+
+// A stored signature: "sig:" + SHA-256 of the PNG (see signatureService.js)
+const SIGNATURE_REF_PATTERN = /^sig:[0-9a-f]{64}$/;
+
+// Validate signature size (limit to 500KB base64)
+const validateSignature = (signature) => {
+  if (!signature) return null;
+  if (typeof signature !== 'string') return 'Invalid signature format';
+
+  // A signature already stored, or a new image as a data URI
+  if (SIGNATURE_REF_PATTERN.test(signature)) return null;
+  if (!signature.startsWith('data:image/')) {
+    return 'Invalid signature format';
+  }
+
+  // Check size (base64 length ≈ file size * 1.33)
+  const maxSize = 500 * 1024; // 500KB
+  if (signature.length > maxSize) {
+    return 'Signature file is too large (max 500KB)';
+  }
+
+  return null;
+};
+
+// Validate and sanitize signature field
+const processSignature = (signature, fieldName, errors) => {
+  const error = validateSignature(signature);
+  if (error) {
+    errors[fieldName] = error;
+    return '';
+  }
+  return signature || '';
+};
+
+/**
+ * Throw if a definition is missing something the app relies on
+ * @param {Object} definition
+ * @param {string} file - Source file, for the error message
+ */
+function checkDefinition(definition, file) {
+  const fail = (message) => {
+    throw new Error(`Invalid form definition ${file}: ${message}`);
+  };
+
+  ['type', 'dbType', 'displayName', 'referencePrefix', 'formPartial', 'pdfTemplate', 'nameField', 'idField'].forEach((key) => {
+    if (!definition[key]) fail(`"${key}" is required`);
+  });
+  if (!/^[A-Z]{2,4}$/.test(definition.referencePrefix)) fail('"referencePrefix" must be 2–4 capital letters');
+  if (!definition.fields || Object.keys(definition.fields).length === 0) fail('"fields" is empty');
+
+  Object.entries(definition.fields).forEach(([key, field]) => {
+    if (!field.label) fail(`field "${key}" has no label`);
+    if (!FIELD_TYPES.includes(field.type)) fail(`field "${key}" has unknown type "${field.type}"`);
+    if (field.type === 'enum' && !field.options) fail(`enum field "${key}" has no options`);
+  });
+
+  [
+    definition.nameField,
+    definition.idField,
+    ...(definition.searchFields || []),
+    ...(definition.filterFields || []),
+    ...(definition.verifyFields || [])
+  ].forEach((key) => {
+    if (!definition.fields[key]) fail(`"${key}" is not one of its fields`);
+  });
+  if (definition.employeeFields) {
+    Object.entries(definition.employeeFields).forEach(([attribute, key]) => {
+      if (!EMPLOYEE_ATTRIBUTES.includes(attribute)) fail(`employeeFields has unknown attribute "${attribute}"`);
+      if (!definition.fields[key]) fail(`employeeFields "${key}" is not one of its fields`);
+    });
+    if (!definition.employeeFields.employeeNo) fail('employeeFields needs "employeeNo"');
+  }
+  if (definition.leaveFields) {
+    const { leaveType, ...leaveFields } = definition.leaveFields;
+    const roles = leaveFields.type ? LEAVE_REQUEST_FIELDS : LEAVE_RETURN_FIELDS;
+    roles.forEach((role) => {
+      if (!leaveFields[role]) fail(`leaveFields needs "${role}"`);
+    });
+    Object.entries(leaveFields).forEach(([role, key]) => {
+      if (!roles.includes(role)) fail(`leaveFields has unknown entry "${role}"`);
+      if (!definition.fields[key]) fail(`leaveFields "${key}" is not one of its fields`);
+    });
+    if (!leaveFields.type && !leaveType) fail('leaveFields needs "leaveType"');
+    if (leaveFields.type && definition.fields[leaveFields.type].type !== 'enum') fail('leaveFields "type" must be an enum field');
+    if (!definition.employeeFields) fail('leaveFields needs employeeFields');
+  }
+  if (definition.leavePeriod) {
+    const { start, end, days } = definition.leavePeriod;
+    [start, end].forEach((key) => {
+      if (definition.fields[key]?.type !== 'date') fail(`leavePeriod "${key}" must be a date field`);
+    });
+    if (definition.fields[days]?.type !== 'integer') fail(`leavePeriod "${days}" must be an integer field`);
+  }
+  if (definition.sourceLeave) {
+    const { types, copy, lastDay } = definition.sourceLeave;
+    if (!Array.isArray(types) || types.length === 0) fail('sourceLeave needs "types"');
+    if (!copy || !lastDay) fail('sourceLeave needs "copy" and "lastDay"');
+    Object.keys(copy).forEach((key) => {
+      if (!definition.fields[key]) fail(`sourceLeave copies to "${key}", which is not one of its fields`);
+    });
+    if (!definition.leaveFields || definition.leaveFields.type) fail('sourceLeave needs return-from-leave leaveFields');
+  }
+  if (definition.siteField) {
+    if (!definition.fields[definition.siteField]) fail(`siteField "${definition.siteField}" is not one of its fields`);
+    if (!definition.leavePeriod) fail('siteField needs leavePeriod');
+  }
+  if (definition.reportFields) {
+    if (!definition.leaveFields || !definition.leaveFields.type) fail('reportFields needs leave request leaveFields');
+    definition.reportFields.forEach((key) => {
+      if (definition.fields[key]?.type !== 'enum') fail(`reportFields "${key}" must be an enum field`);
+    });
+  }
+  if (definition.leaveStartField && definition.fields[definition.leaveStartField]?.type !== 'date') {
+    fail(`leaveStartField "${definition.leaveStartField}" must be a date field`);
+  }
+
+  const partialPath = path.join(__dirname, '../views/forms/partials', `${definition.formPartial}.ejs`);
+  if (!fs.existsSync(partialPath)) fail(`form partial ${partialPath} not found`);
+
+  const pdfPath = path.join(__dirname, '../views/pdf', definition.pdfTemplate);
+  if (!fs.existsSync(pdfPath)) fail(`PDF template ${pdfPath} not found`);
+}
+
+/**
+ * Load every definition in forms/, sorted by `order`
+ * @returns {Array<Object>}
+ */
+function loadDefinitions() {
+  const definitions = fs.readdirSync(DEFINITIONS_DIR)
+    .filter(file => file.endsWith('.js'))
+    .map((file) => {
+      const definition = require(path.join(DEFINITIONS_DIR, file));
+      checkDefinition(definition, file);
+      return {
+        searchFields: [definition.nameField, definition.idField],
+        filterFields: [],
+        leaveStartField: null,
+        verifyFields: [],
+        employeeFields: null,
+        leaveFields: null,
+        leavePeriod: null,
+        siteField: null,
+        reportFields: [],
+        sourceLeave: null,
+        signatureSlots: [],
+        ...definition
+      };
+    });
+
+  // Reference numbers must not collide between types
+  const prefixes = definitions.map(d => d.referencePrefix);
+  const duplicate = prefixes.find((prefix, i) => prefixes.indexOf(prefix) !== i);
+  if (duplicate) throw new Error(`Invalid form definitions: referencePrefix "${duplicate}" is used twice`);
+
+  // Leave applications a form can close must exist and have the fields it reads
+  definitions.filter(d => d.sourceLeave).forEach((definition) => {
+    const { types, copy, lastDay } = definition.sourceLeave;
+    types.forEach((type) => {
+      const source = definitions.find(d => d.type === type);
+      if (!source) throw new Error(`Invalid form definition ${definition.type}: sourceLeave type "${type}" not found`);
+      [...Object.values(copy), lastDay].forEach((key) => {
+        if (!source.fields[key]) throw new Error(`Invalid form definition ${definition.type}: sourceLeave field "${key}" is not a ${type} field`);
+      });
+      if (source.fields[lastDay].type !== 'date') throw new Error(`Invalid form definition ${definition.type}: sourceLeave "lastDay" must be a date field`);
+    });
+  });
+
+  return definitions.sort((a, b) => (a.order || 0) - (b.order || 0));
+}
+
+const DEFINITIONS = loadDefinitions();
+const BY_TYPE = Object.fromEntries(DEFINITIONS.map(d => [d.type, d]));
+const BY_DB_TYPE = Object.fromEntries(DEFINITIONS.map(d => [d.dbType, d]));
+
+// Valid form types
+const VALID_TYPES = DEFINITIONS.map(d => d.type);
+
+// Signature slots shown on each form
+const SIGNATURE_SLOTS = Object.fromEntries(DEFINITIONS.map(d => [d.type, d.signatureSlots]));
+
+/**
+ * Definition for a form type slug
+ * @param {string} type
+ * @returns {Object|undefined}
+ */
+const getDefinition = (type) => BY_TYPE[type];
+
+// Type mapping for database (convert hyphen to underscore)
+const normalizeType = (type) => (BY_TYPE[type] ? BY_TYPE[type].dbType : type);
+
+// Database type back to URL slug ("leave_expats" → "leave-expats")
+const toSlug = (dbType) => (BY_DB_TYPE[dbType] ? BY_DB_TYPE[dbType].type : dbType.replace(/_/g, '-'));
+
+// Display name mapping
+const getDisplayName = (type) => (BY_TYPE[type] ? BY_TYPE[type].displayName : type);
+
+/**
+ * Field labels for a type, including signature fields
+ * @param {string} type
+ * @returns {Object} { fieldKey: label }
+ */
+function getFieldLabels(type) {
+  const definition = BY_TYPE[type];
+  if (!definition) return {};
+
+  const labels = {};
+  Object.entries(definition.fields).forEach(([key, field]) => {
+    labels[key] = field.label;
+  });
+  definition.signatureSlots.forEach((slot) => {
+    labels[slot] = workflowService.SIGNATURE_SLOT_LABELS[slot] || slot;
+    labels[`${slot}Date`] = `${labels[slot]} Date`;
+  });
+  return labels;
+}
+
+/**
+ * Fields matched by the list search box
+ * @param {string} [type] - Form type slug (all types when omitted)
+ * @returns {string[]}
+ */
+function getSearchFields(type) {
+  const definitions = type ? [BY_TYPE[type]].filter(Boolean) : DEFINITIONS;
+  return [...new Set(definitions.flatMap(d => d.searchFields))];
+}
+
+/**
+ * Extra list filters with their field definitions
+ * @param {string} [type] - Form type slug (all types when omitted)
+ * @returns {Array<{ key: string, field: Object }>}
+ */
+function getFilterFields(type) {
+  const definitions = type ? [BY_TYPE[type]].filter(Boolean) : DEFINITIONS;
+  const filters = {};
+  definitions.forEach((definition) => {
+    definition.filterFields.forEach((key) => {
+      if (!filters[key]) filters[key] = { key, field: definition.fields[key] };
+    });
+  });
+  return Object.values(filters);
+}
+
+/**
+ * Validate one field
+ * @param {string} key
+ * @param {Object} field - Field definition
+ * @param {*} raw - Submitted value
+ * @param {boolean} strict
+ * @param {Object} errors - Collects error messages by key
+ * @returns {string|number} Cleaned value
+ */
+function validateField(key, field, raw, strict, errors) {
+  const input = raw === undefined || raw === null ? '' : String(raw).trim();
+  const required = field.required || (strict && field.strict);
+
+  if (field.type === 'integer') {
+    const value = input === '' ? 0 : parseInt(input, 10);
+    if (!Number.isFinite(value)) {
+      errors[key] = `${field.label} must be a whole number`;
+      return 0;
+    }
+    if (required && value <= 0) {
+      errors[key] = `${field.label} is required`;
+    } else if (field.min !== undefined && value < field.min) {
+      errors[key] = `${field.label} must be ${field.min} or more`;
+    }
+    return value;
+  }
+
+  if (input === '') {
+    if (required) errors[key] = `${field.label} is required`;
+    return '';
+  }
+
+  if (field.type === 'date' && !DATE_PATTERN.test(input)) {
+    errors[key] = `${field.label} must be a date (YYYY-MM-DD)`;
+  } else if (field.type === 'enum' && !Object.prototype.hasOwnProperty.call(field.options, input)) {
+    errors[key] = `${field.label} must be one of: ${Object.keys(field.options).join(', ')}`;
+  }
+  return input;
+}
+
+/**
+ * Fill in the end date or the day count of the leave period from the other;
+ * in strict mode, reject a period whose dates and days disagree
+ * @param {Object} definition
+ * @param {Object} data - Validated data, completed in place
+ * @param {boolean} strict
+ * @param {Object} errors
+ */
+function checkLeavePeriod(definition, data, strict, errors) {
+  const { start, end, days } = definition.leavePeriod;
+  if (errors[start] || errors[end] || errors[days] || !data[start]) return;
+
+  const label = key => definition.fields[key].label;
+  if (!data[end]) {
+    if (data[days] > 0) data[end] = calendarService.getLastDay(data[start], data[days]) || '';
+    return;
+  }
+
+  const count = calendarService.countWorkingDays(data[start], data[end]);
+  if (count === null) {
+    if (strict) {
+      errors[end] = data[end] < data[start]
+        ? `${label(end)} must not be before ${label(start)}`
+        : `${label(end)} is too far from ${label(start)}`;
+    }
+    return;
+  }
+  if (data[days] === 0) {
+    data[days] = count;
+  } else if (strict && data[days] !== count) {
+    errors[days] = `${label(days)} must be ${count}: the working days from ${data[start]} to ${data[end]} (weekends and public holidays are not counted)`;
+  }
+}
+
+/**
+ * Validate and sanitize submitted form data
+ * @param {string} type - Form type slug
+ * @param {Object} formData - Raw submitted fields
+ * @param {Object} [options]
+ * @param {boolean} [options.strict] - Require every field (used for export and submit)
+ * @returns {{ errors: Object, validatedData: Object }}
+ */
+function validateFormData(type, formData, options = {}) {
+  const strict = options.strict === true;
+  const errors = {};
+  const validatedData = {};
+  const definition = BY_TYPE[type];
+
+  if (!definition) {
+    return { errors: { type: `Unknown form type: ${type}` }, validatedData };
+  }
+
+  Object.entries(definition.fields).forEach(([key, field]) => {
+    validatedData[key] = validateField(key, field, formData[key], strict, errors);
+  });
+
+  // Signatures (with size validation)
+  definition.signatureSlots.forEach((slot) => {
+    validatedData[slot] = processSignature(formData[slot], slot, errors);
+    validatedData[`${slot}Date`] = formData[`${slot}Date`] || '';
+  });
+
+  if (definition.leavePeriod) checkLeavePeriod(definition, validatedData, strict, errors);
+
+  return { errors, validatedData };
+}
+
+/**
+ * Employee name on an application
+ * @param {string} type - Form type slug
+ * @param {Object} data - Application data
+ * @returns {string}
+ */
+function getApplicantName(type, data) {
+  const definition = BY_TYPE[type];
+  return (definition && data[definition.nameField]) || '';
+}
+
+/**
+ * Name used in the exported PDF filename ("<type> - <name>.pdf")
+ * @param {string} type - Form type slug
+ * @param {Object} data - Application data
+ * @param {string} fallback - Used when the form has no name (the reference, or the id)
+ * @returns {string}
+ */
+function getDisplayNameForFile(type, data, fallback) {
+  let name = String(getApplicantName(type, data));
+  // Fallback to ID if no name
+  if (!name || name.trim() === '') {
+    name = fallback;
+  }
+  // Sanitize filename: remove illegal characters
+  name = name.replace(/[^a-zA-Z0-9 _.-]/g, '').trim();
+  // Limit length
+  if (name.length > 80) name = name.slice(0, 80);
+  return name || fallback;
+}
+
+module.exports = {
+  DATE_PATTERN,
+  SIGNATURE_REF_PATTERN,
+  DEFINITIONS,
+  VALID_TYPES,
+  SIGNATURE_SLOTS,
+  getDefinition,
+  normalizeType,
+  toSlug,
+  getDisplayName,
+  getFieldLabels,
+  getSearchFields,
+  getFilterFields,
+  validateFormData,
+  getApplicantName,
+  getDisplayNameForFile
+};
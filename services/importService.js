@@ -0,0 +1,547 @@
+/**
+ * Import of historical applications from spreadsheets (CSV or XLSX).
+ *
+ * One file holds one form type. The first row (of the first worksheet)
+ * names the columns; every other row is an application. Columns are matched
+ * to form fields by their header — the field's label or key, so a list
+ * export can be imported again — and the matching can be changed before
+ * importing. Two more columns are understood: "Status" (a status key or
+ * label; rows without one get the status chosen for the import) and
+ * "Created" (when the form was filled in; it also picks the year of the
+ * reference number). Dates may be written YYYY-MM-DD or day first
+ * (31/01/2026); enum fields take their key or their label.
+ *
+ * Every row goes through the same checks as a new application on the form
+ * (applicationService.checkNewApplication): field validation, the employee
+ * directory and leave balance (warnings only) and overlapping leave — also
+ * against earlier rows of the same file. A dry run shows the errors of each
+ * row. Importing checks the file again and saves its valid rows in one
+ * transaction, under an ImportBatch, each with an "import" revision.
+ *
+ * Imported HR Approved and Closed rows are approved leave: they deduct
+ * their leave from the ledger like an approval does, and get hrApprovedAt
+ * like an approval (see conflictService.standsCondition), though they carry
+ * no HR signature. Closed therefore means closed after
+ * approval; rejected history is imported as Manager or HR Rejected.
+ * Imports send no notifications or webhooks.
+ *
+ * Rolling a batch back deletes its applications with their revisions and
+ * ledger entries. It is refused once one of them has been changed, stored
+ * as a PDF, sent for signing or closed by a re-joining form from outside
+ * the batch.
+ */
+
+const ExcelJS = require('exceljs');
+const { prisma, withRetry } = require('../prismaClient');
+const formTypes = require('./formTypes');
+const workflowService = require('./workflowService');
+const applicationService = require('./applicationService');
+const auditService = require('./auditService');
+const referenceService = require('./referenceService');
+const employeeService = require('./employeeService');
+const leaveService = require('./leaveService');
+const conflictService = require('./conflictService');
+
+const { STATUSES } = workflowService;
+
+const FORMATS = ['csv', 'xlsx'];
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_ROWS = 2000;
+const LIST_LIMIT = 50;
+const TRANSACTION_TIMEOUT = 5 * 60 * 1000;
+
+// Status given to rows without a Status column: history is done with
+const DEFAULT_STATUS = STATUSES.CLOSED;
+
+// Imported statuses that mean the leave was HR approved
+const APPROVED_STATUSES = [STATUSES.HR_APPROVED, STATUSES.CLOSED];
+
+const BATCH_STATUSES = {
+  COMMITTED: 'committed',
+  ROLLED_BACK: 'rolled_back'
+};
+
+// Columns that are not form fields
+const STATUS_COLUMN = 'status';
+const CREATED_COLUMN = 'createdAt';
+
+// Imported leave that other rows of the file must not overlap
+const STANDING_STATUSES = [...conflictService.PENDING_STATUSES, STATUSES.CLOSED];
+
+const DAY_FIRST_PATTERN = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})(?:[ T].*)?$/;
+const ISO_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T].*)?$/;
+
+const normalizeHeader = (header) => String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * File format from its name
+ * @param {string} fileName
+ * @returns {string|null} "csv" | "xlsx"
+ */
+function getFormat(fileName) {
+  const extension = String(fileName || '').toLowerCase().split('.').pop();
+  return FORMATS.includes(extension) ? extension : null;
+}
+
+/**
+ * File contents from the data URI the import screen posts
+ * @param {string} dataUri
+ * @returns {Buffer|null}
+ */
+function decodeUpload(dataUri) {
+  const match = /^data:[^;,]*;base64,([A-Za-z0-9+/=\s]*)$/.exec(String(dataUri || ''));
+  return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+// Text of an XLSX cell value (dates as YYYY-MM-DD, formulas as their result)
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().replace(/T00:00:00\.000Z$/, '');
+  if (typeof value !== 'object') return String(value);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if (value.text !== undefined) return cellText(value.text);
+  if (value.result !== undefined) return cellText(value.result);
+  return '';
+}
+
+/**
+ * Header and rows of a CSV or XLSX file
+ * @param {Buffer} buffer
+ * @param {string} format - "csv" | "xlsx"
+ * @returns {Promise<{ errors: string[], headers: string[], rows: Array<{ line: number, cells: string[] }> }>}
+ */
+async function readFile(buffer, format) {
+  let table = [];
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(buffer);
+    } catch (error) {
+      return { errors: ['The file could not be read as an Excel workbook (.xlsx)'], headers: [], rows: [] };
+    }
+    const sheet = workbook.worksheets[0];
+    if (sheet) {
+      sheet.eachRow({ includeEmpty: false }, (row, line) => {
+        const cells = Array.from(row.values.slice(1), cellText);
+        if (cells.some(cell => cell.trim() !== '')) table.push({ line, cells });
+      });
+    }
+  } else {
+    table = employeeService.parseCSV(buffer.toString('utf8')).map((cells, index) => ({ line: index + 1, cells }));
+  }
+
+  const [header, ...rows] = table;
+  if (!header) return { errors: ['The file is empty'], headers: [], rows: [] };
+  if (rows.length === 0) return { errors: ['The file has a header row but no applications'], headers: [], rows: [] };
+  if (rows.length > MAX_ROWS) {
+    return { errors: [`The file has ${rows.length} rows; import at most ${MAX_ROWS} at a time`], headers: [], rows: [] };
+  }
+  return { errors: [], headers: header.cells.map(cell => String(cell).trim()), rows };
+}
+
+/**
+ * What columns can be imported into: every field, then Status and Created
+ * @param {string} type - Form type slug
+ * @returns {Array<{ key: string, label: string, required: boolean }>}
+ */
+function getTargets(type) {
+  const definition = formTypes.getDefinition(type);
+  return [
+    ...Object.entries(definition.fields).map(([key, field]) => ({ key, label: field.label, required: Boolean(field.required) })),
+    { key: STATUS_COLUMN, label: 'Status', required: false },
+    { key: CREATED_COLUMN, label: 'Created', required: false }
+  ];
+}
+
+/**
+ * Column → target key, matched on the header (the first column wins when
+ * two have the same header)
+ * @param {string} type - Form type slug
+ * @param {string[]} headers
+ * @returns {string[]} target key per column, '' when ignored
+ */
+function guessMapping(type, headers) {
+  const targets = getTargets(type);
+  const used = new Set();
+  return headers.map((header) => {
+    const name = normalizeHeader(header);
+    const target = name && targets.find(t => normalizeHeader(t.label) === name || normalizeHeader(t.key) === name);
+    if (!target || used.has(target.key)) return '';
+    used.add(target.key);
+    return target.key;
+  });
+}
+
+/**
+ * Column mapping chosen on the import screen (or --map), falling back to
+ * the guess for columns it doesn't mention
+ * @param {string} type - Form type slug
+ * @param {string[]} headers
+ * @param {Array|Object} [input] - Target key per column index; '' ignores the column
+ * @returns {string[]}
+ */
+function parseMapping(type, headers, input) {
+  const guess = guessMapping(type, headers);
+  if (!input || typeof input !== 'object') return guess;
+
+  const keys = getTargets(type).map(t => t.key);
+  return headers.map((header, index) => {
+    const value = input[index];
+    if (value === undefined) return guess[index];
+    return keys.includes(value) ? value : '';
+  });
+}
+
+/**
+ * Problems with a mapping: required fields without a column, or a field
+ * with two
+ * @param {string} type - Form type slug
+ * @param {string[]} mapping
+ * @returns {string[]}
+ */
+function checkMapping(type, mapping) {
+  const errors = [];
+  getTargets(type).forEach((target) => {
+    const count = mapping.filter(key => key === target.key).length;
+    if (count === 0 && target.required) errors.push(`No column for "${target.label}", which is required`);
+    if (count > 1) errors.push(`${count} columns are matched to "${target.label}"`);
+  });
+  return errors;
+}
+
+// YYYY-MM-DD from a date as spreadsheets write it, or the text unchanged
+function toDate(text) {
+  const iso = ISO_PATTERN.exec(text);
+  const dayFirst = DAY_FIRST_PATTERN.exec(text);
+  const parts = iso ? [iso[1], iso[2], iso[3]] : (dayFirst ? [dayFirst[3], dayFirst[2], dayFirst[1]] : null);
+  if (!parts) return text;
+
+  const date = `${parts[0]}-${parts[1].padStart(2, '0')}-${parts[2].padStart(2, '0')}`;
+  return isDate(date) ? date : text;
+}
+
+// A YYYY-MM-DD that is a day of the calendar (not 2025-02-30)
+function isDate(text) {
+  const parsed = new Date(`${text}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(text);
+}
+
+// Cell text as the form would submit it
+function toFormValue(field, raw) {
+  const text = String(raw ?? '').trim();
+  if (text === '') return '';
+  if (field.type === 'date') return toDate(text);
+  if (field.type === 'enum' && !Object.prototype.hasOwnProperty.call(field.options, text)) {
+    const lower = text.toLowerCase();
+    const key = Object.keys(field.options).find(k => k.toLowerCase() === lower || String(field.options[k]).toLowerCase() === lower);
+    return key || text;
+  }
+  return text;
+}
+
+// Status key from a Status cell ('' → the import's status)
+function parseStatus(raw, defaultStatus, errors) {
+  const text = String(raw ?? '').trim();
+  if (text === '') return defaultStatus;
+
+  const lower = text.toLowerCase();
+  const status = Object.keys(workflowService.STATUS_LABELS).find(key =>
+    key === lower.replace(/\s+/g, '_') || workflowService.STATUS_LABELS[key].toLowerCase() === lower);
+  if (!status) {
+    errors[STATUS_COLUMN] = `Status "${text}" is not one of: ${Object.values(workflowService.STATUS_LABELS).join(', ')}`;
+  }
+  return status || defaultStatus;
+}
+
+// Creation date from a Created cell (null → now)
+function parseCreated(raw, errors) {
+  const text = String(raw ?? '').trim();
+  if (text === '') return null;
+
+  const date = toDate(text);
+  if (!formTypes.DATE_PATTERN.test(date) || !isDate(date)) {
+    errors[CREATED_COLUMN] = 'Created must be a date (YYYY-MM-DD or DD/MM/YYYY)';
+    return null;
+  }
+  const createdAt = new Date(`${date}T00:00:00Z`);
+  if (createdAt > new Date()) {
+    errors[CREATED_COLUMN] = 'Created must not be in the future';
+    return null;
+  }
+  return createdAt;
+}
+
+/**
+ * Check every row like a new application on the form
+ * @param {Object} params
+ * @param {string} params.type - Form type slug
+ * @param {Array<{ line: number, cells: string[] }>} params.rows
+ * @param {string[]} params.mapping
+ * @param {Object} params.user - Owner of the imported applications
+ * @param {string} params.defaultStatus
+ * @returns {Promise<Array<Object>>} { line, status, createdAt, errors, warnings, data, employee }
+ */
+async function checkRows({ type, rows, mapping, user, defaultStatus }) {
+  const definition = formTypes.getDefinition(type);
+  const column = key => mapping.indexOf(key);
+  const checked = [];
+
+  for (const row of rows) {
+    const formData = {};
+    const rowErrors = {};
+    mapping.forEach((key, index) => {
+      const field = definition.fields[key];
+      if (!field) return;
+      formData[key] = toFormValue(field, row.cells[index]);
+      // The form's date picker never sends an impossible date; a spreadsheet can
+      if (field.type === 'date' && formData[key] !== '' && !(formTypes.DATE_PATTERN.test(formData[key]) && isDate(formData[key]))) {
+        rowErrors[key] = `${field.label} must be a date (YYYY-MM-DD or DD/MM/YYYY)`;
+      }
+    });
+
+    const status = parseStatus(column(STATUS_COLUMN) >= 0 ? row.cells[column(STATUS_COLUMN)] : '', defaultStatus, rowErrors);
+    const createdAt = parseCreated(column(CREATED_COLUMN) >= 0 ? row.cells[column(CREATED_COLUMN)] : '', rowErrors);
+
+    const { errors, warnings, data, employee } = await applicationService.checkNewApplication({ type, formData, user });
+    Object.assign(errors, rowErrors);
+
+    // Leave must not overlap leave of the same employee further up the file
+    const period = definition.leavePeriod ? conflictService.getPeriod(definition, data) : null;
+    const employeeNo = String(data[definition.idField] || '').trim().toLowerCase();
+    if (period && employeeNo && STANDING_STATUSES.includes(status) && !errors[definition.leavePeriod.start]) {
+      const earlier = checked.find(other => other.period && other.employeeNo === employeeNo
+        && Object.keys(other.errors).length === 0 && STANDING_STATUSES.includes(other.status)
+        && other.period.start <= period.end && other.period.end >= period.start);
+      if (earlier) {
+        errors[definition.leavePeriod.start] = `Overlaps row ${earlier.line} of this file (${earlier.period.start} to ${earlier.period.end})`;
+      }
+    }
+
+    checked.push({ line: row.line, status, createdAt, errors, warnings, data, employee, period, employeeNo });
+  }
+  return checked;
+}
+
+// What the preview shows of a checked row
+function describe(type, row) {
+  const definition = formTypes.getDefinition(type);
+  return {
+    line: row.line,
+    name: row.data[definition.nameField] || '',
+    employeeNo: row.data[definition.idField] || '',
+    period: row.period ? `${row.period.start} to ${row.period.end}` : '',
+    statusLabel: workflowService.getStatusLabel(row.status),
+    created: row.createdAt ? row.createdAt.toISOString().slice(0, 10) : '',
+    valid: Object.keys(row.errors).length === 0,
+    errors: Object.values(row.errors),
+    warnings: Object.values(row.warnings)
+  };
+}
+
+/**
+ * Read and check a file without saving anything (the dry run)
+ * @param {Object} params
+ * @param {string} params.type - Form type slug
+ * @param {string} params.fileName
+ * @param {Buffer} params.buffer
+ * @param {Array|Object} [params.mapping] - See parseMapping()
+ * @param {Object} params.user - Owner of the imported applications (HR or admin)
+ * @param {string} [params.defaultStatus] - For rows without a Status column
+ * @returns {Promise<Object>} { errors: string[], headers, samples, mapping, targets, defaultStatus, rows, summary, checked }
+ *   samples: the first row's cells; rows: describe() of each row; summary: { total, valid, invalid, warnings };
+ *   checked: the rows as importFile() saves them
+ */
+async function previewFile({ type, fileName, buffer, mapping, user, defaultStatus = DEFAULT_STATUS }) {
+  const result = {
+    errors: [],
+    headers: [],
+    samples: [],
+    mapping: [],
+    targets: formTypes.getDefinition(type) ? getTargets(type) : [],
+    defaultStatus: workflowService.isValidStatus(defaultStatus) ? defaultStatus : DEFAULT_STATUS,
+    rows: [],
+    summary: { total: 0, valid: 0, invalid: 0, warnings: 0 },
+    checked: []
+  };
+
+  const format = getFormat(fileName);
+  if (!formTypes.getDefinition(type)) result.errors.push(`Unknown form type: ${type}`);
+  else if (!format) result.errors.push('Choose a .csv or .xlsx file');
+  else if (!buffer || buffer.length === 0) result.errors.push('The file is empty');
+  else if (buffer.length > MAX_FILE_BYTES) result.errors.push(`The file is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB`);
+  if (result.errors.length > 0) return result;
+
+  const file = await readFile(buffer, format);
+  result.headers = file.headers;
+  result.samples = file.rows.length > 0 ? file.rows[0].cells : [];
+  result.mapping = parseMapping(type, file.headers, mapping);
+  result.errors.push(...file.errors, ...checkMapping(type, result.mapping));
+  if (result.errors.length > 0) return result;
+
+  result.checked = await checkRows({ type, rows: file.rows, mapping: result.mapping, user, defaultStatus: result.defaultStatus });
+  result.rows = result.checked.map(row => describe(type, row));
+  result.summary = {
+    total: result.rows.length,
+    valid: result.rows.filter(row => row.valid).length,
+    invalid: result.rows.filter(row => !row.valid).length,
+    warnings: result.rows.filter(row => row.valid && row.warnings.length > 0).length
+  };
+  return result;
+}
+
+/**
+ * Check a file again and save its valid rows as one ImportBatch
+ * @param {Object} params - As previewFile(), plus:
+ * @param {Object} params.actor - From auditService.getActor()
+ * @returns {Promise<Object>} previewFile() result plus batch (null when nothing was saved)
+ */
+async function importFile({ actor, ...params }) {
+  const preview = await previewFile(params);
+  if (preview.errors.length === 0 && preview.summary.valid === 0) {
+    preview.errors.push('No row can be imported');
+  }
+  if (preview.errors.length > 0) return { ...preview, batch: null };
+
+  const { type, fileName, user } = params;
+  const valid = preview.checked.filter(row => Object.keys(row.errors).length === 0);
+
+  const batch = await withRetry(() => prisma.$transaction(async (tx) => {
+    const created = await tx.importBatch.create({
+      data: {
+        type: formTypes.normalizeType(type),
+        fileName: String(fileName).slice(0, 200),
+        rowCount: valid.length,
+        skippedCount: preview.summary.invalid,
+        actorId: actor.actorId,
+        actorName: actor.actorName
+      }
+    });
+
+    for (const row of valid) {
+      const application = await tx.application.create({
+        data: {
+          type: formTypes.normalizeType(type),
+          status: row.status,
+          reference: await referenceService.allocateReference(tx, type, row.createdAt || undefined),
+          ownerId: user.id,
+          employeeId: row.employee ? row.employee.id : null,
+          importBatchId: created.id,
+          hrApprovedAt: APPROVED_STATUSES.includes(row.status) ? new Date() : null,
+          data: row.data,
+          ...(row.createdAt ? { createdAt: row.createdAt } : {})
+        }
+      });
+      await auditService.recordRevision(tx, {
+        application,
+        action: 'import',
+        actor,
+        changes: auditService.diffData({}, row.data),
+        note: `Imported from ${created.fileName}, row ${row.line}`
+      });
+      // Closed history was approved first, so it deducts like an approval
+      const to = APPROVED_STATUSES.includes(row.status) ? STATUSES.HR_APPROVED : row.status;
+      await leaveService.applyTransition(tx, { type, application, from: STATUSES.DRAFT, to, actor });
+    }
+    return created;
+  }, { timeout: TRANSACTION_TIMEOUT }));
+
+  console.log(`📥 Imported ${batch.rowCount} ${type} application(s) from ${batch.fileName} (batch ${batch.id}, ${batch.skippedCount} skipped)`);
+  return { ...preview, batch };
+}
+
+/**
+ * Latest import batches, newest first
+ * @param {number} [limit]
+ * @returns {Promise<Array<Object>>} ImportBatch rows plus displayName and type as a slug
+ */
+async function listBatches(limit = LIST_LIMIT) {
+  const batches = await withRetry(() => prisma.importBatch.findMany({
+    orderBy: { createdAt: 'desc' },
+    take: limit
+  }));
+  return batches.map(batch => ({
+    ...batch,
+    type: formTypes.toSlug(batch.type),
+    displayName: formTypes.getDisplayName(formTypes.toSlug(batch.type))
+  }));
+}
+
+/**
+ * Delete the applications of a batch. The batch and its applications are
+ * locked while they are checked and deleted, so an edit, signature or
+ * stored PDF that arrives meanwhile either is seen by the check or waits
+ * and then finds the application gone.
+ * @param {string} id - ImportBatch id
+ * @param {Object} actor - From auditService.getActor()
+ * @returns {Promise<{ errors: string[], batch: Object|null, deleted: number }>} batch null when not found
+ */
+async function rollbackBatch(id, actor) {
+  const batch = await withRetry(() => prisma.importBatch.findUnique({ where: { id: String(id) } }));
+  if (!batch) return { errors: [], batch: null, deleted: 0 };
+
+  const result = await withRetry(() => prisma.$transaction(async (tx) => {
+    const [locked] = await tx.$queryRaw`
+      SELECT "status" FROM "ImportBatch" WHERE "id" = ${batch.id} FOR UPDATE
+    `;
+    if (!locked || locked.status !== BATCH_STATUSES.COMMITTED) {
+      return { errors: ['This import has already been rolled back'], deleted: 0 };
+    }
+    await tx.$queryRaw`
+      SELECT "id" FROM "Application" WHERE "importBatchId" = ${batch.id} FOR UPDATE
+    `;
+
+    const applications = await tx.application.findMany({
+      where: { importBatchId: batch.id },
+      select: {
+        id: true,
+        reference: true,
+        _count: { select: { revisions: true, documents: true, signingLinks: true } },
+        rejoinings: {
+          where: { OR: [{ importBatchId: null }, { importBatchId: { not: batch.id } }] },
+          select: { id: true }
+        }
+      }
+    });
+    const changed = applications.filter(a => a._count.revisions > 1 || a._count.documents > 0
+      || a._count.signingLinks > 0 || a.rejoinings.length > 0);
+    if (changed.length > 0) {
+      const list = changed.slice(0, 10).map(a => a.reference || a.id).join(', ');
+      const more = changed.length > 10 ? ` and ${changed.length - 10} more` : '';
+      return {
+        errors: [`Can't roll back: ${list}${more} changed since the import (edited, moved on in the workflow, stored as a PDF, sent for signing or closed by a re-joining form)`],
+        deleted: 0
+      };
+    }
+
+    await tx.importBatch.update({
+      where: { id: batch.id },
+      data: { status: BATCH_STATUSES.ROLLED_BACK, rolledBackAt: new Date(), rolledBackBy: actor.actorName }
+    });
+    const removed = await tx.application.deleteMany({ where: { importBatchId: batch.id } });
+    return { errors: [], deleted: removed.count };
+  }, { timeout: TRANSACTION_TIMEOUT }));
+
+  if (result.errors.length === 0) {
+    console.log(`↩️  Rolled back import ${batch.id}: ${result.deleted} application(s) deleted`);
+  }
+  return { ...result, batch };
+}
+
+module.exports = {
+  FORMATS,
+  MAX_FILE_BYTES,
+  MAX_ROWS,
+  DEFAULT_STATUS,
+  BATCH_STATUSES,
+  getFormat,
+  decodeUpload,
+  readFile,
+  getTargets,
+  guessMapping,
+  parseMapping,
+  checkMapping,
+  previewFile,
+  importFile,
+  listBatches,
+  rollbackBatch
+};
@@ -0,0 +1,411 @@
+/**
+ * Leave balance ledger.
+ *
+ * Every change to an employee's leave balance is a row in LeaveLedgerEntry
+ * (never updated): the yearly entitlement per leave type, manual
+ * adjustments by HR, and leave taken. The balance of a leave type in a year
+ * is the sum of its entries. A leave type is "tracked" for an employee once
+ * they have an entitlement for it that year; only tracked types are checked.
+ *
+ * Form definitions opt in with `leaveFields`:
+ *  - leave requests ({ type, days, start }) are flagged while a draft and
+ *    blocked on submit and HR approval when they ask for more than remains.
+ *    HR approval deducts the days; amending an approved application gives
+ *    them back.
+ *  - the re-joining form ({ days, allowed, extra, start, end, leaveType })
+ *    gets its allowed and extra days calculated while a draft: leave already
+ *    approved in that period plus what remains is allowed, the rest is
+ *    extra (a form linked to its leave application counts them from that
+ *    application instead, see rejoiningService.js). HR approval corrects
+ *    the ledger to the days actually allowed.
+ *
+ * Entries of an application are kept in line by posting the difference
+ * between what it should have deducted and what it has, so approving,
+ * amending and approving again never double counts.
+ */
+
+const { Prisma } = require('@prisma/client');
+const { prisma, withRetry } = require('../prismaClient');
+const formTypes = require('./formTypes');
+const workflowService = require('./workflowService');
+
+const ENTRY_KINDS = {
+  entitlement: 'Entitlement',
+  adjustment: 'Adjustment',
+  leave: 'Leave taken'
+};
+
+// Kinds HR can post by hand
+const MANUAL_KINDS = ['entitlement', 'adjustment'];
+
+const MAX_DAYS = 366;
+const MAX_NOTE = 200;
+
+// Every leave type offered by a leave request form, key → label
+const LEAVE_TYPES = {};
+formTypes.DEFINITIONS.forEach((definition) => {
+  const typeField = definition.leaveFields && definition.leaveFields.type;
+  if (!typeField) return;
+  Object.entries(definition.fields[typeField].options).forEach(([key, label]) => {
+    if (!LEAVE_TYPES[key]) LEAVE_TYPES[key] = label;
+  });
+});
+
+const getLeaveTypeLabel = (leaveType) => LEAVE_TYPES[leaveType] || leaveType;
+
+/**
+ * The definition's leaveFields, or null
+ * @param {string} type - Form type slug
+ * @returns {Object|null}
+ */
+function getLeaveFields(type) {
+  const definition = formTypes.getDefinition(type);
+  return (definition && definition.leaveFields) || null;
+}
+
+const toDays = (value) => (Number.isInteger(value) ? value : parseInt(value, 10) || 0);
+
+/**
+ * Ledger year of an application: the year its leave starts, else this year
+ * @param {string} type - Form type slug
+ * @param {Object} data
+ * @returns {number}
+ */
+function getYear(type, data) {
+  const fields = getLeaveFields(type);
+  const start = fields && data[fields.start];
+  return formTypes.DATE_PATTERN.test(start || '') ? parseInt(start.slice(0, 4), 10) : new Date().getFullYear();
+}
+
+/**
+ * Balances of an employee for a year, per leave type
+ * @param {string} employeeId - Employee.id
+ * @param {number} year
+ * @param {Object} [options]
+ * @param {string} [options.excludeApplicationId] - Leave out this application's own entries
+ * @param {Object} [options.tx] - Prisma transaction client to read through
+ * @returns {Promise<Object>} { leaveType: { label, entitlement, adjustments, taken, remaining, tracked } }
+ */
+async function getBalances(employeeId, year, options = {}) {
+  const where = { employeeId, year };
+  if (options.excludeApplicationId) {
+    where.OR = [{ applicationId: null }, { applicationId: { not: options.excludeApplicationId } }];
+  }
+
+  const sums = await withRetry(() => (options.tx || prisma).leaveLedgerEntry.groupBy({
+    by: ['leaveType', 'kind'],
+    where,
+    _sum: { days: true },
+    _count: { _all: true }
+  }));
+
+  const balances = {};
+  sums.forEach((row) => {
+    const balance = balances[row.leaveType] || (balances[row.leaveType] = {
+      label: getLeaveTypeLabel(row.leaveType), entitlement: 0, adjustments: 0, taken: 0, remaining: 0, tracked: false
+    });
+    const days = row._sum.days || 0;
+    if (row.kind === 'entitlement') {
+      balance.entitlement += days;
+      balance.tracked = true;
+    } else if (row.kind === 'adjustment') {
+      balance.adjustments += days;
+    } else {
+      balance.taken -= days;
+    }
+    balance.remaining += days;
+  });
+  return balances;
+}
+
+/**
+ * Days of a leave type already deducted by approved leave requests that
+ * start within a period (for the re-joining form)
+ * @param {string} employeeId
+ * @param {string} leaveType
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {Promise<number>}
+ */
+async function getPeriodLeave(employeeId, leaveType, from, to) {
+  const requestTypes = formTypes.DEFINITIONS.filter(d => d.leaveFields && d.leaveFields.type);
+  if (requestTypes.length === 0) return 0;
+
+  const inPeriod = requestTypes.map(d => Prisma.sql`
+    (a."type" = ${d.dbType} AND a."data"->>${d.leaveFields.start}::text BETWEEN ${from} AND ${to})
+  `);
+  const [row] = await withRetry(() => prisma.$queryRaw`
+    SELECT COALESCE(SUM(e."days"), 0)::int AS "days"
+    FROM "LeaveLedgerEntry" e
+    JOIN "Application" a ON a."id" = e."applicationId"
+    WHERE e."employeeId" = ${employeeId} AND e."leaveType" = ${leaveType} AND e."kind" = 'leave'
+      AND (${Prisma.join(inPeriod, ' OR ')})
+  `);
+  return -row.days;
+}
+
+/**
+ * What an application should have deducted, per leave type and year
+ * @param {string} type - Form type slug
+ * @param {Object} application - { id, employeeId, data }
+ * @param {Object} [options]
+ * @param {number} [options.periodLeave] - Re-joining: days already deducted for the period
+ * @returns {Object} { "<leaveType>:<year>": days } (negative = deducted)
+ */
+function getDeductions(type, application, options = {}) {
+  const fields = getLeaveFields(type);
+  const data = application.data || {};
+  const year = getYear(type, data);
+
+  if (fields.type) {
+    const days = toDays(data[fields.days]);
+    return data[fields.type] && days > 0 ? { [`${data[fields.type]}:${year}`]: -days } : {};
+  }
+
+  // Re-joining: bring the period's total down (or up) to the allowed days
+  const correction = (options.periodLeave || 0) - toDays(data[fields.allowed]);
+  return correction !== 0 ? { [`${fields.leaveType}:${year}`]: correction } : {};
+}
+
+/**
+ * Check form data against the ledger. For a re-joining draft the allowed
+ * and extra days are filled in; for a leave request over the balance a
+ * warning is returned (submitting and approving are blocked separately).
+ * @param {string} type - Form type slug
+ * @param {Object} data - Validated form data
+ * @param {Object|null} employee - From employeeService.checkData()
+ * @param {Object|null} application - { id, status, sourceApplicationId } (null for a new, unlinked one)
+ * @returns {Promise<{ data: Object, warnings: Object, balance: Object|null }>}
+ *   balance: what the form shows, null when there is nothing to show
+ */
+async function checkData(type, data, employee, application) {
+  const fields = getLeaveFields(type);
+  if (!fields || !employee) return { data, warnings: {}, balance: null };
+
+  const year = getYear(type, data);
+  const balances = await getBalances(employee.id, year, { excludeApplicationId: application ? application.id : null });
+  const balance = { year, employeeNo: employee.employeeNo, employeeName: employee.name, types: balances, fields };
+  const warnings = {};
+
+  if (fields.type) {
+    const error = getRequestError(type, data, balances);
+    if (error) warnings[fields.days] = error;
+    return { data, warnings, balance };
+  }
+
+  // Re-joining: calculated while it can still be edited, unless it is linked to its leave application
+  if (application && application.sourceApplicationId) return { data, warnings, balance };
+  const annual = balances[fields.leaveType];
+  const from = data[fields.start];
+  const to = data[fields.end];
+  const isDraft = !application || application.status === workflowService.STATUSES.DRAFT;
+  if (!annual || !annual.tracked || !isDraft || !formTypes.DATE_PATTERN.test(from || '') || !formTypes.DATE_PATTERN.test(to || '')) {
+    return { data, warnings, balance };
+  }
+
+  const periodLeave = await getPeriodLeave(employee.id, fields.leaveType, from, to);
+  const total = toDays(data[fields.days]);
+  const allowed = Math.min(total, Math.max(annual.remaining + periodLeave, 0));
+  balance.rejoining = { periodLeave, allowed, extra: total - allowed };
+
+  return {
+    data: { ...data, [fields.allowed]: allowed, [fields.extra]: total - allowed },
+    warnings,
+    balance
+  };
+}
+
+// Why a leave request does not fit the balance, or null
+function getRequestError(type, data, balances) {
+  const fields = getLeaveFields(type);
+  const balance = balances[data[fields.type]];
+  const days = toDays(data[fields.days]);
+  if (!balance || !balance.tracked || days <= balance.remaining) return null;
+
+  return `${days} days of ${balance.label} requested, but only ${Math.max(balance.remaining, 0)} remain for ${getYear(type, data)}`;
+}
+
+/**
+ * Block submitting or HR-approving a leave request that exceeds the balance
+ * @param {string} type - Form type slug
+ * @param {Object} application - { id, employeeId, data }
+ * @param {Object} transition - From workflowService.checkTransition()
+ * @param {Object} [tx] - The status change's transaction, holding conflictService.lockEmployee()
+ * @returns {Promise<string|null>} error message
+ */
+async function checkTransition(type, application, transition, tx) {
+  const fields = getLeaveFields(type);
+  if (!fields || !fields.type || !application.employeeId) return null;
+  if (transition.to !== workflowService.STATUSES.SUBMITTED && transition.to !== workflowService.STATUSES.HR_APPROVED) return null;
+
+  const balances = await getBalances(application.employeeId, getYear(type, application.data), {
+    excludeApplicationId: application.id,
+    tx
+  });
+  return getRequestError(type, application.data, balances);
+}
+
+/**
+ * Post the ledger entries a status change calls for: HR approval deducts
+ * the leave, leaving a final status (amend) gives it back. Runs inside the
+ * status change's transaction.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} params
+ * @param {string} params.type - Form type slug
+ * @param {Object} params.application - { id, employeeId, data }, after the change
+ * @param {string} params.from
+ * @param {string} params.to
+ * @param {Object} params.actor - From auditService.getActor()
+ * @returns {Promise<void>}
+ */
+async function applyTransition(tx, { type, application, from, to, actor }) {
+  const fields = getLeaveFields(type);
+  if (!fields) return;
+
+  const approving = to === workflowService.STATUSES.HR_APPROVED;
+  const reopening = workflowService.isFinal(from) && !workflowService.isFinal(to);
+  if (!approving && !reopening) return;
+
+  let wanted = {};
+  if (approving && application.employeeId) {
+    const periodLeave = fields.type ? 0 : await getPeriodLeave(
+      application.employeeId, fields.leaveType, application.data[fields.start], application.data[fields.end]
+    );
+    wanted = getDeductions(type, application, { periodLeave });
+  }
+
+  const existing = await tx.leaveLedgerEntry.groupBy({
+    by: ['employeeId', 'leaveType', 'year'],
+    where: { applicationId: application.id },
+    _sum: { days: true }
+  });
+
+  const entries = [];
+  existing.forEach((row) => {
+    const key = `${row.leaveType}:${row.year}`;
+    const target = row.employeeId === application.employeeId ? (wanted[key] || 0) : 0;
+    if (row.employeeId === application.employeeId) delete wanted[key];
+    const days = target - (row._sum.days || 0);
+    if (days !== 0) entries.push({ employeeId: row.employeeId, leaveType: row.leaveType, year: row.year, days });
+  });
+  Object.entries(wanted).forEach(([key, days]) => {
+    const [leaveType, year] = key.split(':');
+    entries.push({ employeeId: application.employeeId, leaveType, year: parseInt(year, 10), days });
+  });
+  if (entries.length === 0) return;
+
+  const reference = application.reference || application.id;
+  await tx.leaveLedgerEntry.createMany({
+    data: entries.map(entry => ({
+      ...entry,
+      kind: 'leave',
+      applicationId: application.id,
+      note: `${approving ? 'Approved' : 'Amended'}: ${formTypes.getDisplayName(type)} ${reference}`,
+      actorId: actor.actorId,
+      actorName: actor.actorName
+    }))
+  });
+  console.log(`🗓️  Leave ledger: ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'} for ${application.id}`);
+}
+
+/**
+ * Ledger entries of an employee for a year, newest first
+ * @param {string} employeeId
+ * @param {number} year
+ * @returns {Promise<Array<Object>>}
+ */
+function listEntries(employeeId, year) {
+  return withRetry(() => prisma.leaveLedgerEntry.findMany({
+    where: { employeeId, year },
+    include: { application: { select: { id: true, type: true, reference: true } } },
+    orderBy: { createdAt: 'desc' }
+  }));
+}
+
+/**
+ * Validate and post an entitlement or adjustment by hand
+ * @param {Object} params
+ * @param {Object} params.employee
+ * @param {Object} params.input - { year, leaveType, kind, days, note }
+ * @param {Object} params.user
+ * @returns {Promise<{ errors: Object, entry: Object|null }>}
+ */
+async function addEntry({ employee, input, user }) {
+  const errors = {};
+  const year = parseInt(input.year, 10);
+  const days = Number(input.days);
+  const note = String(input.note || '').trim();
+
+  if (!Number.isInteger(year) || year < 2000 || year > 2100) errors.year = 'Year must be between 2000 and 2100';
+  if (!LEAVE_TYPES[input.leaveType]) errors.leaveType = 'Choose a leave type';
+  if (!MANUAL_KINDS.includes(input.kind)) errors.kind = 'Choose entitlement or adjustment';
+  if (!Number.isInteger(days) || days === 0 || Math.abs(days) > MAX_DAYS) {
+    errors.days = `Days must be a whole number between -${MAX_DAYS} and ${MAX_DAYS}, not 0`;
+  }
+  if (note.length > MAX_NOTE) errors.note = `Note must be at most ${MAX_NOTE} characters`;
+  if (input.kind === 'adjustment' && !note) errors.note = 'Say why the balance is adjusted';
+  if (Object.keys(errors).length > 0) return { errors, entry: null };
+
+  const entry = await withRetry(() => prisma.leaveLedgerEntry.create({
+    data: {
+      employeeId: employee.id,
+      year,
+      leaveType: input.leaveType,
+      kind: input.kind,
+      days,
+      note: note || null,
+      actorId: user.id,
+      actorName: user.name
+    }
+  }));
+  console.log(`🗓️  Leave ${input.kind} for ${employee.employeeNo}: ${days} ${input.leaveType} (${year})`);
+  return { errors, entry };
+}
+
+/**
+ * Give every active employee without one an entitlement for a year
+ * @param {Object} params
+ * @param {number} params.year
+ * @param {string} params.leaveType
+ * @param {number} params.days
+ * @param {boolean} [params.dryRun]
+ * @returns {Promise<{ granted: number, skipped: number }>}
+ */
+async function grantEntitlements({ year, leaveType, days, dryRun = false }) {
+  const employees = await withRetry(() => prisma.employee.findMany({
+    where: { active: true },
+    select: { id: true, leaveEntries: { where: { year, leaveType, kind: 'entitlement' }, select: { id: true }, take: 1 } }
+  }));
+  const missing = employees.filter(employee => employee.leaveEntries.length === 0);
+
+  if (!dryRun && missing.length > 0) {
+    await withRetry(() => prisma.leaveLedgerEntry.createMany({
+      data: missing.map(employee => ({
+        employeeId: employee.id,
+        year,
+        leaveType,
+        kind: 'entitlement',
+        days,
+        note: `Yearly entitlement ${year}`
+      }))
+    }));
+  }
+  return { granted: missing.length, skipped: employees.length - missing.length };
+}
+
+module.exports = {
+  ENTRY_KINDS,
+  MANUAL_KINDS,
+  LEAVE_TYPES,
+  getLeaveTypeLabel,
+  getLeaveFields,
+  getYear,
+  getBalances,
+  getPeriodLeave,
+  checkData,
+  checkTransition,
+  applyTransition,
+  listEntries,
+  addEntry,
+  grantEntitlements
+};
@@ -0,0 +1,102 @@
+/**
+ * Mail transports for notifications (see notificationService.js).
+ *
+ * A transport is { name, send(message) } where message is a nodemailer
+ * message ({ from, to, subject, html, text }). Which one is used is chosen
+ * with MAIL_TRANSPORT:
+ *   console  (default) Log who would receive what; nothing is sent
+ *   file     Write each message as an .eml file under MAIL_DIR (default ./storage/mail)
+ *   smtp     Send through SMTP_URL, or SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS / SMTP_SECURE
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+
+const consoleTransport = {
+  name: 'console',
+
+  async send(message) {
+    console.log(`📧 Mail (console) to ${[].concat(message.to).join(', ')}: ${message.subject}`);
+  }
+};
+
+// Builds the raw message without sending it
+let streamTransport = null;
+
+const fileTransport = {
+  name: 'file',
+
+  async send(message) {
+    if (!streamTransport) {
+      streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    }
+    const { message: raw } = await streamTransport.sendMail(message);
+    const dir = path.resolve(process.env.MAIL_DIR || path.join(__dirname, '../storage/mail'));
+    const fileName = `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(4).toString('hex')}.eml`;
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, fileName), raw);
+    console.log(`📧 Mail (file) to ${[].concat(message.to).join(', ')}: ${fileName}`);
+  }
+};
+
+let smtpTransport = null;
+
+const smtp = {
+  name: 'smtp',
+
+  async send(message) {
+    if (!smtpTransport) {
+      smtpTransport = nodemailer.createTransport(process.env.SMTP_URL || {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+      });
+    }
+    await smtpTransport.sendMail(message);
+  }
+};
+
+const TRANSPORTS = {
+  [consoleTransport.name]: consoleTransport,
+  [fileTransport.name]: fileTransport,
+  [smtp.name]: smtp
+};
+
+/**
+ * Transport by name
+ * @param {string} name
+ * @returns {{ name: string, send: Function }}
+ */
+function getTransport(name) {
+  const transport = TRANSPORTS[name];
+  if (!transport) throw new Error(`Unknown mail transport "${name}"`);
+  return transport;
+}
+
+// MAIL_TRANSPORT values already warned about, so each is logged once
+const reported = new Set();
+
+/**
+ * Transport messages are sent with (MAIL_TRANSPORT). An unknown name falls
+ * back to the console transport with a warning, so a typo in the setting
+ * cannot stop the server from starting or a change from being saved.
+ * @returns {{ name: string, send: Function }}
+ */
+function getDefaultTransport() {
+  const name = process.env.MAIL_TRANSPORT || consoleTransport.name;
+  if (TRANSPORTS[name]) return TRANSPORTS[name];
+
+  if (!reported.has(name)) {
+    console.warn(`⚠️  Unknown MAIL_TRANSPORT "${name}" (use ${Object.keys(TRANSPORTS).join(', ')}): mail is only logged`);
+    reported.add(name);
+  }
+  return consoleTransport;
+}
+
+module.exports = {
+  getTransport,
+  getDefaultTransport
+};
@@ -0,0 +1,234 @@
+/**
+ * Email notifications.
+ *
+ * Listens to application events (events.js) and mails the people configured
+ * for them. Messages are rendered from views/emails/<notification>.ejs and
+ * sent through the mail transport chosen with MAIL_TRANSPORT
+ * (mailTransport.js).
+ *
+ * Recipients come from a JSON file (NOTIFICATIONS_CONFIG, default
+ * ./config/notifications.json, see config/notifications.example.json). Each
+ * rule lists addresses and, optionally, the notifications, form types and
+ * sites it applies to; a message goes to every address whose rule matches.
+ * The file is read for every notification, so edits apply without a restart.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ejs = require('ejs');
+const events = require('./events');
+const mailTransport = require('./mailTransport');
+const formTypes = require('./formTypes');
+const workflowService = require('./workflowService');
+
+const { STATUSES } = workflowService;
+
+// Notification → subject line
+const NOTIFICATIONS = {
+  submitted: ({ displayName, employeeName }) => `${displayName} submitted by ${employeeName}`,
+  signature_requested: ({ displayName, slotLabel }) => `${slotLabel} requested: ${displayName}`,
+  approved: ({ displayName, statusLabel }) => `${displayName} ${statusLabel.toLowerCase()}`,
+  rejected: ({ displayName, statusLabel }) => `${displayName} ${statusLabel.toLowerCase()}`,
+  pdf_ready: ({ displayName }) => `Final PDF ready: ${displayName}`,
+  overdue_returns: ({ count }) => `${count} employee${count === 1 ? '' : 's'} overdue back from leave`
+};
+
+// Status an application moved to → notification
+const STATUS_NOTIFICATIONS = {
+  [STATUSES.SUBMITTED]: 'submitted',
+  [STATUSES.MANAGER_APPROVED]: 'approved',
+  [STATUSES.HR_APPROVED]: 'approved',
+  [STATUSES.MANAGER_REJECTED]: 'rejected',
+  [STATUSES.HR_REJECTED]: 'rejected'
+};
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+const configPath = () => path.resolve(process.env.NOTIFICATIONS_CONFIG || path.join(__dirname, '../config/notifications.json'));
+
+const baseUrl = () => (process.env.PUBLIC_URL || process.env.RENDER_APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+// Config problems already reported, so each is logged once
+const reported = new Set();
+
+const matches = (list, value) => !Array.isArray(list) || list.length === 0 || list.includes(value);
+
+/**
+ * Recipient rules from the config file. A missing file means nobody is
+ * notified; an invalid one is reported and ignored.
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadRules() {
+  let content;
+  try {
+    content = await fs.readFile(configPath(), 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const config = JSON.parse(content);
+  const rules = Array.isArray(config.rules) ? config.rules : [];
+  return rules.filter((rule, index) => {
+    const unknown = (rule.notifications || []).filter(name => !NOTIFICATIONS[name]);
+    const invalid = [].concat(rule.to || []).filter(address => !EMAIL_PATTERN.test(address));
+    if (unknown.length > 0 || invalid.length > 0) {
+      const message = `⚠️  Notification rule ${index + 1} ignored: ${[...unknown, ...invalid].join(', ')} not valid`;
+      if (!reported.has(message)) console.warn(message);
+      reported.add(message);
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Addresses configured for a notification about an application
+ * @param {string} notification - Key of NOTIFICATIONS
+ * @param {string} type - Form type slug
+ * @param {Object} data - Application data (its "site" field, if any)
+ * @returns {Promise<string[]>}
+ */
+async function getRecipients(notification, type, data) {
+  const site = String((data && data.site) || '').trim().toLowerCase();
+  const rules = await loadRules();
+  const addresses = rules
+    .filter(rule => matches(rule.notifications, notification) && matches(rule.types, type))
+    .filter(rule => !Array.isArray(rule.sites) || rule.sites.length === 0 ||
+      rule.sites.some(s => String(s).trim().toLowerCase() === site))
+    .flatMap(rule => [].concat(rule.to || []))
+    .map(address => address.toLowerCase());
+  return [...new Set(addresses)];
+}
+
+/**
+ * Render and send one notification
+ * @param {string} notification - Key of NOTIFICATIONS
+ * @param {Object} params
+ * @param {string} params.type - Form type slug
+ * @param {Object} params.application
+ * @param {string[]} params.to
+ * @param {Object} [params.locals] - Extra template values
+ * @returns {Promise<void>}
+ */
+async function send(notification, { type, application, to, locals = {} }) {
+  if (to.length === 0) return;
+
+  const values = {
+    displayName: formTypes.getDisplayName(type),
+    reference: application.reference,
+    employeeName: formTypes.getApplicantName(type, application.data) || 'Unnamed employee',
+    site: (application.data && application.data.site) || '',
+    statusLabel: workflowService.getStatusLabel(application.status),
+    url: `${baseUrl()}/forms/${type}/${application.id}/edit`,
+    ...locals
+  };
+  const html = await ejs.renderFile(path.join(__dirname, '../views/emails', `${notification}.ejs`), values);
+  const subject = NOTIFICATIONS[notification](values) + (values.reference ? ` (${values.reference})` : '');
+
+  await mailTransport.getDefaultTransport().send({
+    from: process.env.MAIL_FROM || 'TES Forms <no-reply@localhost>',
+    to,
+    subject,
+    html
+  });
+}
+
+/**
+ * Mail the configured recipients
+ * @param {string} notification - Key of NOTIFICATIONS
+ * @param {Object} params - { type, application, locals }
+ * @returns {Promise<void>}
+ */
+async function notify(notification, { type, application, locals }) {
+  const to = await getRecipients(notification, type, application.data);
+  await send(notification, { type, application, to, locals });
+}
+
+/**
+ * Mail the daily overdue returns reminder (overdueService.js). Every
+ * recipient gets one message listing the overdue leave their rules cover
+ * (rules are matched per leave application's form type and site).
+ * @param {Array<Object>} overdue - From overdueService.listOverdue()
+ * @returns {Promise<Array<{ to: string, count: number }>>} messages sent
+ */
+async function notifyOverdueReturns(overdue) {
+  const byAddress = new Map();
+  for (const item of overdue) {
+    const to = await getRecipients('overdue_returns', item.type, { site: item.site });
+    to.forEach(address => byAddress.set(address, [...(byAddress.get(address) || []), item]));
+  }
+
+  const sent = [];
+  for (const [address, items] of byAddress) {
+    const values = {
+      count: items.length,
+      items: items.map(item => ({ ...item, url: `${baseUrl()}${item.url}` })),
+      reportUrl: `${baseUrl()}/leave/overdue`
+    };
+    const html = await ejs.renderFile(path.join(__dirname, '../views/emails/overdue_returns.ejs'), values);
+    await mailTransport.getDefaultTransport().send({
+      from: process.env.MAIL_FROM || 'TES Forms <no-reply@localhost>',
+      to: [address],
+      subject: NOTIFICATIONS.overdue_returns(values),
+      html
+    });
+    sent.push({ to: address, count: items.length });
+  }
+  return sent;
+}
+
+async function onTransitioned({ type, application, to, transition, actor }) {
+  const notification = STATUS_NOTIFICATIONS[to];
+  if (!notification) return;
+  await notify(notification, {
+    type,
+    application: { ...application, status: to },
+    locals: { transitionLabel: transition.label, actorName: actor.actorName }
+  });
+}
+
+// The signing link itself only goes to the recipient, when it is an email address
+async function onSigningLinkCreated({ type, application, link, url, actor }) {
+  const locals = {
+    slotLabel: workflowService.SIGNATURE_SLOT_LABELS[link.slot],
+    recipient: link.recipient,
+    expiresAt: link.expiresAt,
+    actorName: actor.actorName
+  };
+  const configured = await getRecipients('signature_requested', type, application.data);
+  const recipient = link.recipient && EMAIL_PATTERN.test(link.recipient) ? link.recipient.toLowerCase() : null;
+
+  await send('signature_requested', {
+    type, application, to: configured.filter(address => address !== recipient), locals: { ...locals, signingUrl: null }
+  });
+  if (recipient) {
+    await send('signature_requested', { type, application, to: [recipient], locals: { ...locals, signingUrl: url } });
+  }
+}
+
+async function onDocumentStored({ type, application, document }) {
+  await notify('pdf_ready', {
+    type,
+    application,
+    locals: { version: document.version, fileName: document.fileName }
+  });
+}
+
+/**
+ * Start listening to application events. Call once at startup.
+ */
+function start() {
+  events.on('application.transitioned', onTransitioned);
+  events.on('signingLink.created', onSigningLinkCreated);
+  events.on('document.stored', onDocumentStored);
+  console.log(`📧 Notifications enabled (${mailTransport.getDefaultTransport().name} transport)`);
+}
+
+module.exports = {
+  NOTIFICATIONS,
+  getRecipients,
+  notify,
+  notifyOverdueReturns,
+  start
+};
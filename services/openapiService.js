@@ -0,0 +1,264 @@
+/**
+ * OpenAPI 3 description of the JSON API (/api/v1), served at
+ * /api/v1/openapi.json. Payload schemas are generated from the form
+ * definitions in forms/.
+ */
+
+const workflowService = require('./workflowService');
+const formTypes = require('./formTypes');
+const applicationService = require('./applicationService');
+
+const { VALID_TYPES } = formTypes;
+
+// JSON schema for one field of a form definition
+function fieldSchema(field) {
+  if (field.type === 'integer') {
+    return { type: 'integer', minimum: field.min !== undefined ? field.min : 0, description: field.label };
+  }
+  if (field.type === 'date') {
+    return { type: 'string', format: 'date', description: field.label };
+  }
+  if (field.type === 'enum') {
+    return { type: 'string', enum: Object.keys(field.options), description: field.label };
+  }
+  return { type: 'string', description: field.label };
+}
+
+// "leave-expats" → "LeaveExpatsData"
+const schemaName = (type) =>
+  `${type.split('-').map(part => part.charAt(0).toUpperCase() + part.slice(1)).join('')}Data`;
+
+/**
+ * Payload schema for a form definition; `required` holds the fields needed for a draft
+ * @param {Object} definition
+ * @returns {Object}
+ */
+function payloadSchema(definition) {
+  const properties = {};
+  Object.entries(definition.fields).forEach(([key, field]) => {
+    properties[key] = fieldSchema(field);
+  });
+
+  // Signatures: image data URI, max 500KB (responses always carry data URIs)
+  const labels = formTypes.getFieldLabels(definition.type);
+  definition.signatureSlots.forEach((slot) => {
+    properties[slot] = { type: 'string', description: `${labels[slot]} as a data URI (data:image/png;base64,...). Stored as a compact PNG; responses return that PNG` };
+    properties[`${slot}Date`] = { type: 'string', format: 'date', description: labels[`${slot}Date`] };
+  });
+
+  const required = Object.keys(definition.fields).filter(key => definition.fields[key].required);
+  return { type: 'object', description: definition.displayName, required, properties };
+}
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema } }
+});
+
+const errorResponse = (description) => jsonResponse(description, ref('Error'));
+
+/**
+ * Build the OpenAPI document
+ * @returns {Object}
+ */
+function buildDocument() {
+  const payloadSchemas = {};
+  formTypes.DEFINITIONS.forEach((definition) => {
+    payloadSchemas[schemaName(definition.type)] = payloadSchema(definition);
+  });
+  const anyPayload = { oneOf: VALID_TYPES.map(type => ref(schemaName(type))) };
+
+  const idParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string', format: 'uuid' } };
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'TES Forms API',
+      version: '1.0.0',
+      description: 'Leave and re-joining applications. Requests act as the user the API key belongs to, with that user\'s role.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    paths: {
+      '/applications': {
+        get: {
+          summary: 'List applications',
+          description: 'Signature images are left out of list results; see `signed` instead.',
+          parameters: [
+            { name: 'type', in: 'query', schema: { type: 'string', enum: VALID_TYPES } },
+            { name: 'status', in: 'query', schema: { type: 'string', enum: Object.values(workflowService.STATUSES) } },
+            { name: 'search', in: 'query', description: 'Name, ID or reference contains', schema: { type: 'string' } },
+            { name: 'from', in: 'query', description: 'Created on or after', schema: { type: 'string', format: 'date' } },
+            { name: 'to', in: 'query', description: 'Created on or before', schema: { type: 'string', format: 'date' } },
+            { name: 'leaveFrom', in: 'query', description: 'Leave starts on or after', schema: { type: 'string', format: 'date' } },
+            { name: 'leaveTo', in: 'query', description: 'Leave starts on or before', schema: { type: 'string', format: 'date' } },
+            ...formTypes.getFilterFields().map(({ key, field }) => ({
+              name: key,
+              in: 'query',
+              description: field.type === 'enum' ? `${field.label} equals` : `${field.label} contains`,
+              schema: { type: 'string' }
+            })),
+            { name: 'sort', in: 'query', description: 'name, employeeId and leaveStart need `type`', schema: { type: 'string', enum: applicationService.SORT_KEYS, default: 'createdAt' } },
+            { name: 'dir', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' } },
+            { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+            { name: 'pageSize', in: 'query', schema: { type: 'integer', minimum: 1, maximum: 200, default: 50 } }
+          ],
+          responses: {
+            200: jsonResponse('Applications, newest first unless `sort` is given', {
+              type: 'object',
+              properties: {
+                data: { type: 'array', items: ref('Application') },
+                meta: {
+                  type: 'object',
+                  properties: {
+                    page: { type: 'integer' },
+                    pageSize: { type: 'integer' },
+                    total: { type: 'integer' },
+                    totalPages: { type: 'integer' }
+                  }
+                }
+              }
+            }),
+            400: errorResponse('Invalid filter'),
+            401: errorResponse('Missing or invalid API key')
+          }
+        },
+        post: {
+          summary: 'Create a draft application',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['type', 'data'],
+                  properties: {
+                    type: { type: 'string', enum: VALID_TYPES },
+                    data: anyPayload,
+                    strict: { type: 'boolean', description: 'Require every field, as for PDF export' },
+                    sourceApplicationId: { type: 'string', format: 'uuid', description: 'Re-joining form: the HR approved leave application it closes. Its days are then counted in working days from that application' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            201: jsonResponse('Created', { type: 'object', properties: { data: ref('Application'), warnings: { type: 'object', additionalProperties: { type: 'string' }, description: 'Fields that disagree with the employee directory or exceed the leave balance (saved anyway)' } } }),
+            400: errorResponse('Malformed body'),
+            401: errorResponse('Missing or invalid API key'),
+            422: errorResponse('Field errors in error.fields')
+          }
+        }
+      },
+      '/applications/{id}': {
+        parameters: [idParameter],
+        get: {
+          summary: 'Get an application',
+          responses: {
+            200: jsonResponse('The application', { type: 'object', properties: { data: ref('Application') } }),
+            401: errorResponse('Missing or invalid API key'),
+            404: errorResponse('Not found or not visible to this key')
+          }
+        },
+        patch: {
+          summary: 'Update an application',
+          description: 'Fields in `data` are merged onto the stored data. Workflow and role rules apply as in the browser.',
+          requestBody: {
+            required: true,
+            content: {
+              'application/json': {
+                schema: {
+                  type: 'object',
+                  required: ['data'],
+                  properties: {
+                    data: anyPayload,
+                    strict: { type: 'boolean' }
+                  }
+                }
+              }
+            }
+          },
+          responses: {
+            200: jsonResponse('Updated', { type: 'object', properties: { data: ref('Application'), warnings: { type: 'object', additionalProperties: { type: 'string' }, description: 'Fields that disagree with the employee directory or exceed the leave balance (saved anyway)' } } }),
+            400: errorResponse('Malformed body'),
+            401: errorResponse('Missing or invalid API key'),
+            404: errorResponse('Not found or not visible to this key'),
+            409: errorResponse('Changed by someone else while the update was checked; load it again and retry'),
+            422: errorResponse('Field errors in error.fields')
+          }
+        }
+      },
+      '/applications/{id}/pdf': {
+        parameters: [idParameter],
+        get: {
+          summary: 'Download the application as PDF',
+          description: 'HR Approved and Closed applications return the PDF stored when they became final; its SHA-256 is in the X-Content-SHA256 header.',
+          parameters: [
+            { name: 'stamp', in: 'query', description: 'Set to 0 to leave out the status stamp (ignored for stored PDFs)', schema: { type: 'string', enum: ['0', '1'] } }
+          ],
+          responses: {
+            200: {
+              description: 'PDF file',
+              headers: { 'X-Content-SHA256': { description: 'SHA-256 of a stored PDF', schema: { type: 'string' } } },
+              content: { 'application/pdf': { schema: { type: 'string', format: 'binary' } } }
+            },
+            401: errorResponse('Missing or invalid API key'),
+            404: errorResponse('Not found or not visible to this key'),
+            422: errorResponse('Application is incomplete; missing fields in error.fields')
+          }
+        }
+      }
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'Authorization: Bearer tes_...' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      },
+      schemas: {
+        ...payloadSchemas,
+        Application: {
+          type: 'object',
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            type: { type: 'string', enum: VALID_TYPES },
+            status: { type: 'string', enum: Object.values(workflowService.STATUSES) },
+            statusLabel: { type: 'string' },
+            reference: { type: 'string', nullable: true, example: 'LE-2026-00042' },
+            ownerId: { type: 'string', nullable: true },
+            sourceApplicationId: { type: 'string', nullable: true, description: 'Re-joining form: the leave application it closes' },
+            signed: { type: 'object', additionalProperties: { type: 'boolean' } },
+            data: anyPayload,
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            links: {
+              type: 'object',
+              properties: {
+                self: { type: 'string' },
+                pdf: { type: 'string' },
+                html: { type: 'string' }
+              }
+            }
+          }
+        },
+        Error: {
+          type: 'object',
+          properties: {
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: { type: 'string', example: 'validation_failed' },
+                message: { type: 'string' },
+                fields: { type: 'object', additionalProperties: { type: 'string' } }
+              }
+            }
+          }
+        }
+      }
+    }
+  };
+}
+
+module.exports = { buildDocument };
@@ -0,0 +1,201 @@
+/**
+ * Overdue returns from leave.
+ *
+ * Leave is overdue when it is HR approved, its last day has passed and its
+ * employee has no re-joining form for it yet (see
+ * rejoiningService.rejoinedCondition). HR see the list, with the days
+ * overdue, on /leave/overdue.
+ *
+ * A daily job (node-cron, OVERDUE_REMINDER_SCHEDULE, default 06:00) mails
+ * the list as the "overdue_returns" notification to the HR contacts
+ * configured for it in config/notifications.json (see
+ * notificationService.js). Every run is logged as a JobRun. There is one
+ * run per day, so restarts and several app instances don't send the
+ * reminder twice; a failed run can be repeated the same day with
+ * scripts/check-overdue-returns.js. So can a run left "running" for longer
+ * than STALE_RUN_MS, whose process died (a deploy or restart mid-run).
+ */
+
+const cron = require('node-cron');
+const { Prisma } = require('@prisma/client');
+const { prisma, withRetry } = require('../prismaClient');
+const formTypes = require('./formTypes');
+const workflowService = require('./workflowService');
+const calendarService = require('./calendarService');
+const rejoiningService = require('./rejoiningService');
+const notificationService = require('./notificationService');
+
+const JOB = 'overdue-returns';
+const DEFAULT_SCHEDULE = '0 6 * * *'; // every day at 06:00
+const REPORT_LIMIT = 500;
+const MAX_ERROR = 500;
+const STALE_RUN_MS = 30 * 60 * 1000; // a run still "running" after 30 minutes has died
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Today as YYYY-MM-DD
+const getToday = () => new Date().toISOString().slice(0, 10);
+
+// Leave forms that a re-joining form closes
+const getReturnDefinitions = () => formTypes.DEFINITIONS.filter(d => d.leavePeriod && rejoiningService.getRejoiningType(d.type));
+
+// What the report and the reminder show of overdue leave
+function describe(row, today) {
+  const type = formTypes.toSlug(row.type);
+  const definition = formTypes.getDefinition(type);
+  const data = row.data || {};
+  const lastDay = data[definition.leavePeriod.end];
+  return {
+    id: row.id,
+    type,
+    displayName: definition.displayName,
+    reference: row.reference || null,
+    name: data[definition.nameField] || '',
+    employeeNo: data[definition.idField] || '',
+    site: (definition.siteField && data[definition.siteField]) || '',
+    start: data[definition.leavePeriod.start],
+    lastDay,
+    returning: calendarService.addDays(lastDay, 1),
+    daysOverdue: Math.round((Date.parse(today) - Date.parse(lastDay)) / DAY_MS),
+    url: `/forms/${type}/${row.id}/edit`,
+    rejoinUrl: rejoiningService.getCreateUrl(rejoiningService.getRejoiningType(type), row.id)
+  };
+}
+
+/**
+ * Overdue leave, longest overdue first
+ * @param {Object} [params]
+ * @param {string} [params.today] - YYYY-MM-DD, defaults to today
+ * @returns {Promise<Array<Object>>} { id, type, displayName, reference, name, employeeNo, site,
+ *   start, lastDay, returning, daysOverdue, url, rejoinUrl }
+ */
+async function listOverdue({ today = getToday() } = {}) {
+  const perType = getReturnDefinitions().map(d => Prisma.sql`(
+    "type" = ${d.dbType}
+    AND COALESCE("data"->>${d.leavePeriod.end}::text, '') <> ''
+    AND "data"->>${d.leavePeriod.end}::text < ${today}
+    AND NOT ${rejoiningService.rejoinedCondition(d)}
+  )`);
+  if (perType.length === 0) return [];
+
+  const rows = await withRetry(() => prisma.$queryRaw`
+    SELECT "id", "type", "status", "reference", "data"
+    FROM "Application"
+    WHERE "status" = ${workflowService.STATUSES.HR_APPROVED}
+      AND (${Prisma.join(perType, ' OR ')})
+    ORDER BY "createdAt" ASC
+    LIMIT ${REPORT_LIMIT}
+  `);
+  return rows
+    .map(row => describe(row, today))
+    .sort((a, b) => b.daysOverdue - a.daysOverdue || a.name.localeCompare(b.name));
+}
+
+/**
+ * Take the day's run: create its JobRun, or take over a failed one or one
+ * whose process died while running
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Promise<Object|null>} the JobRun, null when the day's run is done or in progress
+ */
+async function claimRun(today) {
+  try {
+    return await withRetry(() => prisma.jobRun.create({ data: { job: JOB, runDate: today } }));
+  } catch (error) {
+    if (error.code !== 'P2002') throw error;
+  }
+
+  const retried = await withRetry(() => prisma.jobRun.updateMany({
+    where: {
+      job: JOB,
+      runDate: today,
+      OR: [
+        { status: 'failed' },
+        { status: 'running', startedAt: { lt: new Date(Date.now() - STALE_RUN_MS) } }
+      ]
+    },
+    data: { status: 'running', summary: Prisma.DbNull, error: null, startedAt: new Date(), finishedAt: null }
+  }));
+  if (retried.count === 0) return null;
+  return withRetry(() => prisma.jobRun.findUnique({ where: { job_runDate: { job: JOB, runDate: today } } }));
+}
+
+/**
+ * The day's run: find overdue leave and mail the reminders
+ * @param {Object} [params]
+ * @param {string} [params.today] - YYYY-MM-DD, defaults to today
+ * @returns {Promise<Object|null>} the finished JobRun, null when the day's run was already taken
+ */
+async function runReminders({ today = getToday() } = {}) {
+  const run = await claimRun(today);
+  if (!run) return null;
+
+  try {
+    const overdue = await listOverdue({ today });
+    const messages = await notificationService.notifyOverdueReturns(overdue);
+    const finished = await withRetry(() => prisma.jobRun.update({
+      where: { id: run.id },
+      data: {
+        status: 'succeeded',
+        summary: { overdue: overdue.length, reminders: messages },
+        finishedAt: new Date()
+      }
+    }));
+    console.log(`⏰ Overdue returns: ${overdue.length} overdue, ${messages.length} reminder(s) sent`);
+    return finished;
+  } catch (error) {
+    await withRetry(() => prisma.jobRun.update({
+      where: { id: run.id },
+      data: { status: 'failed', error: String(error.message || error).slice(0, MAX_ERROR), finishedAt: new Date() }
+    }));
+    throw error;
+  }
+}
+
+/**
+ * Latest runs, newest first
+ * @param {number} [limit]
+ * @returns {Promise<Array<Object>>} JobRun rows
+ */
+function listRuns(limit = 14) {
+  return withRetry(() => prisma.jobRun.findMany({
+    where: { job: JOB },
+    orderBy: { startedAt: 'desc' },
+    take: limit
+  }));
+}
+
+/**
+ * When the job runs: OVERDUE_REMINDER_SCHEDULE, or 06:00 daily when unset
+ * or not a valid cron expression
+ * @returns {string}
+ */
+function getSchedule() {
+  const schedule = process.env.OVERDUE_REMINDER_SCHEDULE;
+  if (!schedule) return DEFAULT_SCHEDULE;
+  if (cron.validate(schedule)) return schedule;
+  console.warn(`⚠️  OVERDUE_REMINDER_SCHEDULE "${schedule}" is not a cron expression — using "${DEFAULT_SCHEDULE}"`);
+  return DEFAULT_SCHEDULE;
+}
+
+/**
+ * Schedule the daily run. Call once at startup.
+ */
+function start() {
+  const schedule = getSchedule();
+  cron.schedule(schedule, async () => {
+    try {
+      await runReminders();
+    } catch (error) {
+      console.error('⚠️  Overdue returns reminders failed:', error.message);
+    }
+  });
+  console.log(`⏰ Overdue returns reminders scheduled (${schedule})`);
+}
+
+module.exports = {
+  JOB,
+  listOverdue,
+  runReminders,
+  listRuns,
+  getSchedule,
+  start
+};
@@ -4,6 +4,8 @@ const path = require('path');
 const fs = require('fs').promises;
 const { existsSync } = require('fs');
 const { execSync } = require('child_process');
+const formTypes = require('./formTypes');
+const signatureService = require('./signatureService');
 
 /**
  * Find Chrome executable (for Render deployment)
@@ -90,25 +92,210 @@ async function imageToBase64(imagePath) {
   }
 }
 
+// Render queue: how many PDFs render at once, and how long anything may take
+const MAX_CONCURRENT = Math.max(parseInt(process.env.PDF_CONCURRENCY, 10) || 2, 1);
+const MAX_QUEUE_LENGTH = 50;
+const QUEUE_TIMEOUT_MS = 60 * 1000;
+const RENDER_TIMEOUT_MS = 30 * 1000;
+const SHUTDOWN_GRACE_MS = 10 * 1000;
+// Pages are reused, but recycled now and then so Chrome memory does not creep up
+const MAX_PAGE_USES = 50;
+
+let executablePath;
+let browserPromise = null;
+let idlePages = [];
+let active = 0;
+const waiting = [];
+let shuttingDown = false;
+
+/**
+ * Chrome executable, looked up once (the lookup may shell out to `find`)
+ * @returns {string|null}
+ */
+function getChromeExecutable() {
+  if (executablePath === undefined) {
+    executablePath = findChromeExecutable();
+  }
+  return executablePath;
+}
+
+/**
+ * The shared browser, launched on first use and relaunched if Chrome exits
+ * @returns {Promise<import('puppeteer').Browser>}
+ */
+function getBrowser() {
+  if (browserPromise) return browserPromise;
+  if (shuttingDown) return Promise.reject(new Error('PDF service is shutting down'));
+
+  const chromePath = getChromeExecutable();
+  if (!chromePath) {
+    // Look again next time, the build may still be installing Chrome
+    executablePath = undefined;
+    const errorMsg = 'Chrome executable not found. Puppeteer installation may have failed during build.';
+    console.error('❌', errorMsg);
+    return Promise.reject(new Error(errorMsg));
+  }
+
+  console.log('🚀 Launching Puppeteer with Chrome at:', chromePath);
+
+  browserPromise = puppeteer.launch({
+    headless: true,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-gpu',
+      '--font-render-hinting=none'
+    ],
+    executablePath: chromePath
+  }).then((browser) => {
+    console.log('✅ Browser launched successfully');
+    browser.on('disconnected', () => {
+      if (!shuttingDown) console.warn('⚠️  Chrome disconnected — it will be relaunched on the next PDF');
+      browserPromise = null;
+      idlePages = [];
+    });
+    return browser;
+  }).catch((error) => {
+    browserPromise = null;
+    throw error;
+  });
+
+  return browserPromise;
+}
+
+/**
+ * Wait for a free render slot
+ * @returns {Promise<void>}
+ */
+function acquireSlot() {
+  if (shuttingDown) return Promise.reject(new Error('PDF service is shutting down'));
+  if (active < MAX_CONCURRENT) {
+    active++;
+    return Promise.resolve();
+  }
+  if (waiting.length >= MAX_QUEUE_LENGTH) {
+    return Promise.reject(new Error('Too many PDFs queued, please try again shortly'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const entry = { resolve, reject };
+    entry.timer = setTimeout(() => {
+      waiting.splice(waiting.indexOf(entry), 1);
+      reject(new Error('Timed out waiting for a free PDF renderer'));
+    }, QUEUE_TIMEOUT_MS);
+    waiting.push(entry);
+  });
+}
+
+// Hand the slot to the next waiting render, or free it
+function releaseSlot() {
+  const next = waiting.shift();
+  if (next) {
+    clearTimeout(next.timer);
+    next.resolve();
+  } else {
+    active--;
+  }
+}
+
+/**
+ * A page from the idle pool, or a new one
+ * @returns {Promise<{ page: import('puppeteer').Page, uses: number }>}
+ */
+async function takePage() {
+  const browser = await getBrowser();
+  while (idlePages.length > 0) {
+    const entry = idlePages.pop();
+    if (!entry.page.isClosed()) return entry;
+  }
+  return { page: await browser.newPage(), uses: 0 };
+}
+
+// Put a page back in the idle pool, or close it once it has been used enough
+async function returnPage(entry) {
+  entry.uses++;
+  if (entry.uses >= MAX_PAGE_USES || !browserPromise) {
+    await entry.page.close().catch(() => {});
+    return;
+  }
+  idlePages.push(entry);
+}
+
+// Reject if `promise` takes longer than `ms`
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Render HTML to an A4 PDF on a pooled page
+ * @param {string} html
+ * @returns {Promise<Buffer>}
+ */
+async function renderHTML(html) {
+  await acquireSlot();
+  let entry = null;
+
+  try {
+    entry = await takePage();
+    const { page } = entry;
+
+    const pdfBuffer = await withTimeout((async () => {
+      // Set content and wait for everything to load
+      await page.setContent(html, {
+        waitUntil: ['load', 'domcontentloaded', 'networkidle0']
+      });
+
+      // Wait a bit more for fonts to render
+      await page.evaluateHandle('document.fonts.ready');
+      await page.emulateMediaType('print');
+
+      // Generate PDF with A4 format
+      return page.pdf({
+        format: 'A4',
+        printBackground: true,
+        preferCSSPageSize: true,
+        margin: {
+          top: '0mm',
+          right: '0mm',
+          bottom: '0mm',
+          left: '0mm'
+        }
+      });
+    })(), RENDER_TIMEOUT_MS, `PDF rendering timed out after ${RENDER_TIMEOUT_MS / 1000}s`);
+
+    await returnPage(entry);
+    entry = null;
+    return pdfBuffer;
+  } finally {
+    // A page that failed or timed out may be stuck — don't reuse it
+    if (entry) await entry.page.close().catch(() => {});
+    releaseSlot();
+  }
+}
+
 /**
  * Generate PDF from EJS template
- * @param {string} type - Form type (rejoining, leave-expats, leave-omani)
- * @param {Object} data - Form data to populate template
+ * @param {string} type - Form type slug (see forms/)
+ * @param {Object} data - Form data to populate template (signature references are loaded)
+ * @param {Object} [options]
+ * @param {string|null} [options.stamp] - Status label to stamp on the page (e.g. "HR Approved")
+ * @param {string|null} [options.reference] - Application reference number for the header
+ * @param {Object|null} [options.verification] - Reference and QR code, from verificationService.buildVerification()
  * @returns {Promise<Buffer>} PDF buffer
  */
-async function generatePDF(type, data) {
+async function generatePDF(type, data, options = {}) {
   try {
-    // Map type to template filename
-    const templateMap = {
-      'rejoining': 'rejoining.ejs',
-      'leave-expats': 'leave_expats.ejs',
-      'leave-omani': 'leave_omani.ejs'
-    };
-
-    const templateFile = templateMap[type];
-    if (!templateFile) {
+    // Template comes from the form definition
+    const definition = formTypes.getDefinition(type);
+    if (!definition) {
       throw new Error(`Invalid form type: ${type}`);
     }
+    const templateFile = definition.pdfTemplate;
 
     // Convert logo to base64
     const logoPath = path.join(__dirname, '../public/images/Picture.png');
@@ -116,58 +303,15 @@ async function generatePDF(type, data) {
 
     // Render EJS template to HTML with logo as base64
     const templatePath = path.join(__dirname, '../views/pdf', templateFile);
-    let html = await ejs.renderFile(templatePath, { data, logoBase64 });
-
-    // Find Chrome executable
-    const executablePath = findChromeExecutable();
-    if (!executablePath) {
-      const errorMsg = 'Chrome executable not found. Puppeteer installation may have failed during build.';
-      console.error('❌', errorMsg);
-      throw new Error(errorMsg);
-    }
-
-    console.log('🚀 Launching Puppeteer with Chrome at:', executablePath);
-
-    // Launch Puppeteer with cache configuration
-    const browser = await puppeteer.launch({
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-gpu',
-        '--font-render-hinting=none'
-      ],
-      executablePath
-    });
-
-    console.log('✅ Browser launched successfully');
-
-    const page = await browser.newPage();
-    
-    // Set content and wait for everything to load
-    await page.setContent(html, {
-      waitUntil: ['load', 'domcontentloaded', 'networkidle0']
-    });
-    
-    // Wait a bit more for fonts to render
-    await page.evaluateHandle('document.fonts.ready');
-    await page.emulateMediaType('print');
-
-    // Generate PDF with A4 format
-    const pdfBuffer = await page.pdf({
-      format: 'A4',
-      printBackground: true,
-      preferCSSPageSize: true,
-      margin: {
-        top: '0mm',
-        right: '0mm',
-        bottom: '0mm',
-        left: '0mm'
-      }
+    const html = await ejs.renderFile(templatePath, {
+      data: await signatureService.expandSignatures(type, data),
+      logoBase64,
+      stamp: options.stamp || null,
+      reference: options.reference || null,
+      verification: options.verification || null
     });
 
-    await browser.close();
+    const pdfBuffer = await renderHTML(html);
 
     console.log('✅ PDF generated successfully, size:', pdfBuffer.length, 'bytes');
     return pdfBuffer;
@@ -181,6 +325,35 @@ async function generatePDF(type, data) {
   }
 }
 
+/**
+ * Stop accepting PDFs, let running renders finish (up to SHUTDOWN_GRACE_MS)
+ * and close Chrome. Called on SIGTERM.
+ * @returns {Promise<void>}
+ */
+async function shutdown() {
+  shuttingDown = true;
+  waiting.splice(0).forEach((entry) => {
+    clearTimeout(entry.timer);
+    entry.reject(new Error('PDF service is shutting down'));
+  });
+
+  const deadline = Date.now() + SHUTDOWN_GRACE_MS;
+  while (active > 0 && Date.now() < deadline) {
+    await new Promise(r => setTimeout(r, 200));
+  }
+
+  if (!browserPromise) return;
+  try {
+    const browser = await browserPromise;
+    await browser.close();
+    console.log('🛑 Chrome closed');
+  } catch (error) {
+    console.warn('⚠️  Could not close Chrome cleanly:', error.message);
+  }
+  browserPromise = null;
+}
+
 module.exports = {
-  generatePDF
+  generatePDF,
+  shutdown
 };
@@ -0,0 +1,86 @@
+/**
+ * Human-readable reference numbers ("LE-2026-00042").
+ *
+ * Each form type has its own sequence per calendar year (UTC), kept in the
+ * ReferenceSequence table. A number is taken with a single upsert inside the
+ * transaction that creates the application: the row stays locked until that
+ * transaction ends, so concurrent creates never share a number and a rolled
+ * back create gives its number back.
+ */
+
+const formTypes = require('./formTypes');
+
+const NUMBER_DIGITS = 5;
+
+/**
+ * Format a reference
+ * @param {string} prefix - Definition's referencePrefix ("LE")
+ * @param {number} year
+ * @param {number} number
+ * @returns {string} e.g. "LE-2026-00042"
+ */
+function formatReference(prefix, year, number) {
+  return `${prefix}-${year}-${String(number).padStart(NUMBER_DIGITS, '0')}`;
+}
+
+/**
+ * Take the next reference for a form type. Must run inside the transaction
+ * that creates the application.
+ * @param {Object} tx - Prisma transaction client
+ * @param {string} type - Form type slug
+ * @param {Date} [date] - Creation date (its UTC year picks the sequence)
+ * @returns {Promise<string>}
+ */
+async function allocateReference(tx, type, date = new Date()) {
+  const definition = formTypes.getDefinition(type);
+  const year = date.getUTCFullYear();
+
+  const [{ lastValue }] = await tx.$queryRaw`
+    INSERT INTO "ReferenceSequence" ("type", "year", "lastValue")
+    VALUES (${definition.dbType}, ${year}, 1)
+    ON CONFLICT ("type", "year") DO UPDATE SET "lastValue" = "ReferenceSequence"."lastValue" + 1
+    RETURNING "lastValue"
+  `;
+  return formatReference(definition.referencePrefix, year, lastValue);
+}
+
+/**
+ * SQL that numbers applications created before references existed, in
+ * creation order, continuing each type's sequence. Safe to re-run: it only
+ * touches rows without a reference. Used by scripts/init-database.js.
+ * @returns {string}
+ */
+function getBackfillSQL() {
+  // Definition constants, not user input — quoted anyway
+  const quote = (value) => `'${String(value).replace(/'/g, "''")}'`;
+  const prefixes = formTypes.DEFINITIONS.map(d => `WHEN ${quote(d.dbType)} THEN ${quote(d.referencePrefix)}`).join(' ');
+  const types = formTypes.DEFINITIONS.map(d => quote(d.dbType)).join(', ');
+
+  return `
+    WITH "numbered" AS (
+      SELECT a."id", a."type", EXTRACT(YEAR FROM a."createdAt")::int AS "year",
+             CASE a."type" ${prefixes} END AS "prefix",
+             COALESCE(s."lastValue", 0) + ROW_NUMBER() OVER (
+               PARTITION BY a."type", EXTRACT(YEAR FROM a."createdAt") ORDER BY a."createdAt", a."id"
+             ) AS "number"
+      FROM "Application" a
+      LEFT JOIN "ReferenceSequence" s ON s."type" = a."type" AND s."year" = EXTRACT(YEAR FROM a."createdAt")::int
+      WHERE a."reference" IS NULL AND a."type" IN (${types})
+    ),
+    "updated" AS (
+      UPDATE "Application" a
+      SET "reference" = n."prefix" || '-' || n."year" || '-' || LPAD(n."number"::text, ${NUMBER_DIGITS}, '0')
+      FROM "numbered" n
+      WHERE a."id" = n."id"
+    )
+    INSERT INTO "ReferenceSequence" ("type", "year", "lastValue")
+    SELECT "type", "year", MAX("number") FROM "numbered" GROUP BY "type", "year"
+    ON CONFLICT ("type", "year") DO UPDATE SET "lastValue" = GREATEST("ReferenceSequence"."lastValue", EXCLUDED."lastValue")
+  `;
+}
+
+module.exports = {
+  formatReference,
+  allocateReference,
+  getBackfillSQL
+};
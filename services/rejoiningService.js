@@ -0,0 +1,276 @@
+/**
+ * Re-joining forms linked to the leave application they close.
+ *
+ * A form definition with `sourceLeave` (the re-joining form) is created
+ * from an open leave application: one that is HR approved and has no
+ * re-joining form yet. The link is Application.sourceApplicationId. The
+ * new form copies the employee and leave details from it, and while it is
+ * a draft its days are counted in working days (see calendarService.js):
+ *
+ *   total   = leaving date → the day before joining
+ *   extra   = the day after the approved last day → the day before joining
+ *   allowed = total − extra
+ *
+ * The leave application page shows whether its employee has re-joined.
+ * Leave whose employee is back counts as re-joined when a form is linked to
+ * it or when the employee filled one in without the link
+ * (rejoinedCondition).
+ */
+
+const { Prisma } = require('@prisma/client');
+const { prisma, withRetry } = require('../prismaClient');
+const formTypes = require('./formTypes');
+const workflowService = require('./workflowService');
+const accessService = require('./accessService');
+const calendarService = require('./calendarService');
+
+// Leave applications offered when creating a re-joining form
+const PICKER_LIMIT = 20;
+
+// Escape LIKE wildcards in user input
+const escapeLike = (value) => value.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * The definition's sourceLeave, or null
+ * @param {string} type - Form type slug
+ * @returns {Object|null}
+ */
+function getSourceLeave(type) {
+  const definition = formTypes.getDefinition(type);
+  return (definition && definition.sourceLeave) || null;
+}
+
+/**
+ * The form type that closes a leave application type, or null
+ * @param {string} type - Leave application type slug
+ * @returns {string|null}
+ */
+function getRejoiningType(type) {
+  const definition = formTypes.DEFINITIONS.find(d => d.sourceLeave && d.sourceLeave.types.includes(type));
+  return definition ? definition.type : null;
+}
+
+/**
+ * Link that starts the re-joining form of an open leave application
+ * @param {string} type - Re-joining form type slug
+ * @param {string} sourceId - Leave application id
+ * @returns {string}
+ */
+function getCreateUrl(type, sourceId) {
+  return `/forms/${type}/new?source=${sourceId}`;
+}
+
+/**
+ * SQL condition: a leave application (of a type some form closes) has a
+ * re-joining form — one linked to it, or one of the same employee (form ID
+ * field) returning on or after the leave started that wasn't rejected.
+ * Imported leave that had ended before the day of its import counts as
+ * returned: it is history, and its re-joining forms are on paper.
+ * @param {Object} definition - Leave application definition, with leavePeriod
+ * @returns {Prisma.Sql}
+ */
+function rejoinedCondition(definition) {
+  const rejoining = formTypes.getDefinition(getRejoiningType(definition.type));
+  const { start, end } = rejoining.leaveFields;
+  const { STATUSES } = workflowService;
+  return Prisma.sql`(EXISTS (
+    SELECT 1 FROM "Application" r
+    WHERE r."sourceApplicationId" = "Application"."id"
+      OR (r."type" = ${rejoining.dbType}
+        AND r."status" NOT IN (${STATUSES.MANAGER_REJECTED}, ${STATUSES.HR_REJECTED})
+        AND COALESCE(TRIM(r."data"->>${rejoining.idField}::text), '') <> ''
+        AND LOWER(TRIM(r."data"->>${rejoining.idField}::text)) = LOWER(TRIM("Application"."data"->>${definition.idField}::text))
+        AND COALESCE(NULLIF(r."data"->>${end}::text, ''), r."data"->>${start}::text) >= "Application"."data"->>${definition.leavePeriod.start}::text)
+  ) OR EXISTS (
+    SELECT 1 FROM "ImportBatch" b
+    WHERE b."id" = "Application"."importBatchId"
+      AND "Application"."data"->>${definition.leavePeriod.end}::text < TO_CHAR(b."createdAt", 'YYYY-MM-DD')
+  ))`;
+}
+
+/**
+ * What the pages show of a leave application
+ * @param {string} type - Re-joining form type slug
+ * @param {Object} source - Leave application
+ * @returns {Object} { id, type, displayName, reference, statusLabel, name, employeeNo, start, lastDay, url }
+ */
+function summarize(type, source) {
+  const sourceType = formTypes.toSlug(source.type);
+  const definition = formTypes.getDefinition(sourceType);
+  const data = source.data || {};
+  return {
+    id: source.id,
+    type: sourceType,
+    displayName: definition.displayName,
+    reference: source.reference || null,
+    statusLabel: workflowService.getStatusLabel(source.status),
+    name: data[definition.nameField] || '',
+    employeeNo: data[definition.idField] || '',
+    start: (definition.leaveStartField && data[definition.leaveStartField]) || '',
+    lastDay: data[getSourceLeave(type).lastDay] || '',
+    url: `/forms/${sourceType}/${source.id}/edit`
+  };
+}
+
+/**
+ * Open leave applications the user can see, newest first
+ * @param {Object} params
+ * @param {string} params.type - Re-joining form type slug
+ * @param {Object} params.user
+ * @param {string} [params.search] - Name, ID or reference contains
+ * @returns {Promise<Array<Object>>} summarize() of each
+ */
+async function listOpenLeave({ type, user, search }) {
+  const sourceLeave = getSourceLeave(type);
+  if (!sourceLeave) return [];
+
+  const conditions = [
+    accessService.getListScope(user),
+    Prisma.sql`"type" IN (${Prisma.join(sourceLeave.types.map(formTypes.normalizeType))})`,
+    Prisma.sql`"status" = ${workflowService.STATUSES.HR_APPROVED}`,
+    Prisma.sql`NOT EXISTS (SELECT 1 FROM "Application" r WHERE r."sourceApplicationId" = "Application"."id")`
+  ];
+
+  if (search && search.trim()) {
+    const pattern = `%${escapeLike(search.trim())}%`;
+    const fields = [...new Set(sourceLeave.types.flatMap(sourceType => formTypes.getSearchFields(sourceType)))];
+    const matches = [
+      Prisma.sql`"reference" ILIKE ${pattern}`,
+      ...fields.map(field => Prisma.sql`"data"->>${field}::text ILIKE ${pattern}`)
+    ];
+    conditions.push(Prisma.sql`(${Prisma.join(matches, ' OR ')})`);
+  }
+
+  const rows = await withRetry(() => prisma.$queryRaw`
+    SELECT "id", "type", "status", "reference", "data"
+    FROM "Application"
+    WHERE ${Prisma.join(conditions, ' AND ')}
+    ORDER BY "createdAt" DESC
+    LIMIT ${PICKER_LIMIT}
+  `);
+  return rows.map(row => summarize(type, row));
+}
+
+/**
+ * A leave application a new re-joining form may be linked to: one of the
+ * source types, HR approved, visible to the user and not re-joined yet
+ * @param {string} type - Re-joining form type slug
+ * @param {string} id - Leave application id
+ * @param {Object} user
+ * @returns {Promise<Object|null>}
+ */
+async function findOpenLeave(type, id, user) {
+  const sourceLeave = getSourceLeave(type);
+  if (!sourceLeave || typeof id !== 'string' || !id) return null;
+
+  const source = await withRetry(() => prisma.application.findUnique({
+    where: { id },
+    include: {
+      owner: { select: accessService.OWNER_SELECT },
+      rejoinings: { select: { id: true }, take: 1 }
+    }
+  }));
+  if (!source || !sourceLeave.types.includes(formTypes.toSlug(source.type))) return null;
+  if (source.status !== workflowService.STATUSES.HR_APPROVED || source.rejoinings.length > 0) return null;
+  return accessService.canView(user, source) ? source : null;
+}
+
+/**
+ * The leave application a re-joining form is linked to, or null
+ * @param {Object} application - { sourceApplicationId }
+ * @returns {Promise<Object|null>}
+ */
+function findSource(application) {
+  if (!application.sourceApplicationId) return Promise.resolve(null);
+  return withRetry(() => prisma.application.findUnique({ where: { id: application.sourceApplicationId } }));
+}
+
+/**
+ * Form data for a new re-joining form copied from a leave application.
+ * Enum values are copied as their labels.
+ * @param {string} type - Re-joining form type slug
+ * @param {Object} source - Leave application
+ * @returns {Object}
+ */
+function prefill(type, source) {
+  const sourceDefinition = formTypes.getDefinition(formTypes.toSlug(source.type));
+  const data = {};
+  Object.entries(getSourceLeave(type).copy).forEach(([key, sourceKey]) => {
+    const field = sourceDefinition.fields[sourceKey];
+    const value = source.data[sourceKey];
+    if (value === undefined || value === null || value === '') return;
+    data[key] = field.type === 'enum' ? (field.options[value] || value) : value;
+  });
+  return data;
+}
+
+/**
+ * Count the total, allowed and extra days of a linked re-joining form in
+ * working days. Data is returned unchanged until the dates are filled in.
+ * @param {string} type - Re-joining form type slug
+ * @param {Object} data - Validated form data
+ * @param {Object} source - Leave application
+ * @returns {Object} data
+ */
+function calculate(type, data, source) {
+  const fields = formTypes.getDefinition(type).leaveFields;
+  const leaving = data[fields.start];
+  const joining = data[fields.end];
+  const dayBefore = calendarService.addDays(joining, -1);
+  const total = calendarService.countWorkingDays(leaving, dayBefore);
+  if (total === null) return data;
+
+  // Back on or before the day after the last approved day: nothing extra
+  const lastDay = source.data[getSourceLeave(type).lastDay];
+  const extra = Math.min(calendarService.countWorkingDays(calendarService.addDays(lastDay, 1), dayBefore) || 0, total);
+
+  return { ...data, [fields.days]: total, [fields.allowed]: total - extra, [fields.extra]: extra };
+}
+
+/**
+ * Re-joining state of a leave application, for its page
+ * @param {Object} application - Leave application
+ * @param {Object} user
+ * @returns {Promise<Object|null>} null for types no form closes, else
+ *   { rejoiningType, rejoining: { id, reference, status, statusLabel, joining, extra, url } | null, createUrl }
+ */
+async function getStatus(application, user) {
+  const type = getRejoiningType(formTypes.toSlug(application.type));
+  if (!type) return null;
+
+  const rejoining = await withRetry(() => prisma.application.findFirst({
+    where: { sourceApplicationId: application.id },
+    include: { owner: { select: accessService.OWNER_SELECT } },
+    orderBy: { createdAt: 'asc' }
+  }));
+
+  const fields = formTypes.getDefinition(type).leaveFields;
+  const open = !rejoining && application.status === workflowService.STATUSES.HR_APPROVED;
+  return {
+    rejoiningType: formTypes.getDisplayName(type),
+    rejoining: rejoining ? {
+      id: rejoining.id,
+      reference: rejoining.reference || null,
+      status: rejoining.status,
+      statusLabel: workflowService.getStatusLabel(rejoining.status),
+      joining: rejoining.data[fields.end] || '',
+      extra: rejoining.data[fields.extra],
+      url: accessService.canView(user, rejoining) ? `/forms/${type}/${rejoining.id}/edit` : null
+    } : null,
+    createUrl: open ? getCreateUrl(type, application.id) : null
+  };
+}
+
+module.exports = {
+  getSourceLeave,
+  getRejoiningType,
+  getCreateUrl,
+  rejoinedCondition,
+  summarize,
+  listOpenLeave,
+  findOpenLeave,
+  findSource,
+  prefill,
+  calculate,
+  getStatus
+};
@@ -0,0 +1,407 @@
+/**
+ * Leave reports.
+ *
+ * Aggregates over approved leave (HR approved, or closed after HR
+ * approval), computed in Postgres from the JSONB form data and limited to
+ * what the user can see (accessService.getListScope):
+ *
+ *   by-type    leave days per leave type
+ *   by-site    leave days per site and leave type
+ *   by-month   leave days per month and leave type
+ *   options    split of each definition's reportFields (the expats' payment
+ *              and ticket choices)
+ *   rejoining  extra leave taken when re-joining, per leave type
+ *
+ * Leave counts in full towards the month its first day falls in; re-joining
+ * forms count by their date of joining. Days are the form's leave days
+ * (working days, see calendarService.js). With a site filter, re-joining
+ * forms count when the leave application they close is of that site.
+ *
+ * Each report is a table (columns, rows and a footer row) plus the charts
+ * drawn from it, so the page and the CSV download show the same figures.
+ */
+
+const { Prisma } = require('@prisma/client');
+const { prisma, withRetry } = require('../prismaClient');
+const formTypes = require('./formTypes');
+const workflowService = require('./workflowService');
+const accessService = require('./accessService');
+const calendarService = require('./calendarService');
+const conflictService = require('./conflictService');
+const leaveService = require('./leaveService');
+
+const APPROVED = [workflowService.STATUSES.HR_APPROVED];
+
+const REPORTS = ['by-type', 'by-site', 'by-month', 'options', 'rejoining'];
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Longest period a report covers
+const MAX_SPAN_DAYS = 3 * 366;
+
+// Empty months are listed for periods up to this long
+const MAX_LISTED_MONTHS = 36;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Today as YYYY-MM-DD
+const getToday = () => new Date().toISOString().slice(0, 10);
+
+// "2026-04" → "Apr 2026"
+const formatMonth = (month) => `${MONTH_NAMES[Number(month.slice(5, 7)) - 1]} ${month.slice(0, 4)}`;
+
+// Leave request forms: a leave type, days and period
+const getLeaveDefinitions = () => formTypes.DEFINITIONS.filter(d => d.leavePeriod && d.leaveFields && d.leaveFields.type);
+
+// SQL: a form field as an integer, NULL when it isn't one
+const intValue = (key) => Prisma.sql`CASE WHEN "data"->>${key}::text ~ '^-?[0-9]+$' THEN ("data"->>${key}::text)::int END`;
+
+// SQL: a form field's site matches the filter
+const siteCondition = (definition, site) => {
+  if (!site) return Prisma.sql`TRUE`;
+  if (!definition.siteField) return Prisma.sql`FALSE`;
+  return Prisma.sql`LOWER(TRIM("data"->>${definition.siteField}::text)) = ${normalize(site)}`;
+};
+
+// First and last day of the quarter `offset` quarters from the one `date` is in
+function getQuarter(date, offset) {
+  const index = Number(date.slice(0, 4)) * 4 + Math.floor((Number(date.slice(5, 7)) - 1) / 3) + offset;
+  const year = Math.floor(index / 4);
+  const firstMonth = (index % 4) * 3 + 1;
+  const from = `${year}-${String(firstMonth).padStart(2, '0')}-01`;
+  const next = firstMonth === 10 ? `${year + 1}-01-01` : `${year}-${String(firstMonth + 3).padStart(2, '0')}-01`;
+  return { from, to: calendarService.addDays(next, -1), label: `Q${(index % 4) + 1} ${year}` };
+}
+
+/**
+ * Quick picks for the period
+ * @returns {Array<{ label: string, from: string, to: string }>}
+ */
+function getPresets() {
+  const today = getToday();
+  const year = Number(today.slice(0, 4));
+  return [
+    { ...getQuarter(today, 0), label: 'This quarter' },
+    { ...getQuarter(today, -1), label: 'Last quarter' },
+    { label: 'This year', from: `${year}-01-01`, to: `${year}-12-31` },
+    { label: 'Last year', from: `${year - 1}-01-01`, to: `${year - 1}-12-31` }
+  ];
+}
+
+/**
+ * Period and site from the query string. The period defaults to this
+ * quarter and must be at most three years long.
+ * @param {Object} query - { from, to, site }
+ * @returns {{ errors: Object, from: string, to: string, site: string, label: string }}
+ */
+function parseFilters(query) {
+  const errors = {};
+  const quarter = getQuarter(getToday(), 0);
+  const date = (value) => (typeof value === 'string' && calendarService.addDays(value, 0)) || null;
+  const site = typeof query.site === 'string' ? query.site.trim().slice(0, 100) : '';
+
+  let from = quarter.from;
+  let to = quarter.to;
+  if (query.from || query.to) {
+    from = date(query.from);
+    to = date(query.to);
+    if (!from || !to) {
+      errors.period = 'Enter both dates as YYYY-MM-DD';
+    } else if (to < from) {
+      errors.period = 'The end date is before the start date';
+    } else if (calendarService.addDays(from, MAX_SPAN_DAYS) < to) {
+      errors.period = 'Reports cover at most three years';
+    }
+    if (errors.period) {
+      from = quarter.from;
+      to = quarter.to;
+    }
+  }
+
+  const preset = getPresets().find(p => p.from === from && p.to === to);
+  return { errors, from, to, site, label: preset ? preset.label : `${from} to ${to}` };
+}
+
+// Months from `from` to `to`, as YYYY-MM
+function listMonths(from, to) {
+  const months = [];
+  for (let month = from.slice(0, 7); month <= to.slice(0, 7) && months.length < MAX_LISTED_MONTHS + 1;
+    month = calendarService.addDays(`${month}-28`, 7).slice(0, 7)) {
+    months.push(month);
+  }
+  return months.length > MAX_LISTED_MONTHS ? [] : months;
+}
+
+/**
+ * Approved leave grouped by leave type, site and month
+ * @param {Object} user
+ * @param {Object} filters - From parseFilters()
+ * @returns {Promise<Array<{ leaveType: string, site: string, month: string, applications: number, days: number }>>}
+ */
+async function groupLeave(user, filters) {
+  const perType = getLeaveDefinitions().map((d) => {
+    const start = d.leavePeriod.start;
+    const site = d.siteField ? Prisma.sql`TRIM(COALESCE("data"->>${d.siteField}::text, ''))` : Prisma.sql`''`;
+    return Prisma.sql`
+      SELECT "data"->>${d.leaveFields.type}::text AS "leaveType",
+        ${site} AS "site",
+        LEFT("data"->>${start}::text, 7) AS "month",
+        ${intValue(d.leaveFields.days)} AS "days"
+      FROM "Application"
+      WHERE "type" = ${d.dbType}
+        AND ${accessService.getListScope(user)}
+        AND ${conflictService.standsCondition(APPROVED)}
+        AND "data"->>${start}::text BETWEEN ${filters.from} AND ${filters.to}
+        AND ${siteCondition(d, filters.site)}
+    `;
+  });
+  if (perType.length === 0) return [];
+
+  return withRetry(() => prisma.$queryRaw`
+    SELECT "leaveType", MIN("site") AS "site", "month",
+      COUNT(*)::int AS "applications", COALESCE(SUM("days"), 0)::int AS "days"
+    FROM (${Prisma.join(perType, ' UNION ALL ')}) AS "leave"
+    GROUP BY "leaveType", LOWER("site"), "month"
+  `);
+}
+
+/**
+ * Approved leave grouped by each reportFields option
+ * @param {Object} user
+ * @param {Object} filters - From parseFilters()
+ * @returns {Promise<Array<{ type: string, field: string, value: string, applications: number, days: number }>>}
+ */
+async function groupOptions(user, filters) {
+  const perField = getLeaveDefinitions().flatMap(d => d.reportFields.map(field => Prisma.sql`
+    SELECT ${d.type}::text AS "type", ${field}::text AS "field",
+      COALESCE("data"->>${field}::text, '') AS "value",
+      COUNT(*)::int AS "applications",
+      COALESCE(SUM(${intValue(d.leaveFields.days)}), 0)::int AS "days"
+    FROM "Application"
+    WHERE "type" = ${d.dbType}
+      AND ${accessService.getListScope(user)}
+      AND ${conflictService.standsCondition(APPROVED)}
+      AND "data"->>${d.leavePeriod.start}::text BETWEEN ${filters.from} AND ${filters.to}
+      AND ${siteCondition(d, filters.site)}
+    GROUP BY 3
+  `));
+  if (perField.length === 0) return [];
+  return withRetry(() => prisma.$queryRaw`${Prisma.join(perField, ' UNION ALL ')}`);
+}
+
+// The re-joining form's field holding the leave type (copied from the leave application), or null
+function getRejoiningLeaveTypeField(definition) {
+  return Object.keys(definition.sourceLeave.copy).find(key => definition.sourceLeave.types.some((type) => {
+    const source = formTypes.getDefinition(type);
+    return source && source.leaveFields && source.leaveFields.type === definition.sourceLeave.copy[key];
+  })) || null;
+}
+
+/**
+ * Approved re-joining forms grouped by leave type, with their extra leave
+ * @param {Object} user
+ * @param {Object} filters - From parseFilters()
+ * @returns {Promise<Array<{ leaveType: string, forms: number, late: number, extraDays: number }>>}
+ */
+async function groupRejoining(user, filters) {
+  const perType = formTypes.DEFINITIONS.filter(d => d.sourceLeave).map((d) => {
+    const typeField = getRejoiningLeaveTypeField(d);
+    const leaveType = typeField ? Prisma.sql`TRIM(COALESCE("data"->>${typeField}::text, ''))` : Prisma.sql`''`;
+    const sources = d.sourceLeave.types.map(formTypes.getDefinition);
+    const site = filters.site ? Prisma.sql`EXISTS (
+      SELECT 1 FROM "Application" s
+      WHERE s."id" = "Application"."sourceApplicationId"
+        AND (${Prisma.join(sources.map(source => (source.siteField
+          ? Prisma.sql`(s."type" = ${source.dbType} AND LOWER(TRIM(s."data"->>${source.siteField}::text)) = ${normalize(filters.site)})`
+          : Prisma.sql`FALSE`)), ' OR ')})
+    )` : Prisma.sql`TRUE`;
+    return Prisma.sql`
+      SELECT ${leaveType} AS "leaveType", ${intValue(d.leaveFields.extra)} AS "extra"
+      FROM "Application"
+      WHERE "type" = ${d.dbType}
+        AND ${accessService.getListScope(user)}
+        AND ${conflictService.standsCondition(APPROVED)}
+        AND "data"->>${d.leaveFields.end}::text BETWEEN ${filters.from} AND ${filters.to}
+        AND ${site}
+    `;
+  });
+  if (perType.length === 0) return [];
+
+  return withRetry(() => prisma.$queryRaw`
+    SELECT MIN("leaveType") AS "leaveType", COUNT(*)::int AS "forms",
+      COUNT(*) FILTER (WHERE "extra" > 0)::int AS "late",
+      COALESCE(SUM("extra"), 0)::int AS "extraDays"
+    FROM (${Prisma.join(perType, ' UNION ALL ')}) AS "rejoining"
+    GROUP BY LOWER("leaveType")
+  `);
+}
+
+const sum = (rows, key) => rows.reduce((total, row) => total + row[key], 0);
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0);
+
+const average = (total, count) => (count > 0 ? Math.round((total / count) * 10) / 10 : 0);
+
+// Leave types found, in LEAVE_TYPES order, then unknown ones
+function getLeaveTypes(groups) {
+  const found = new Set(groups.map(g => g.leaveType));
+  const known = Object.keys(leaveService.LEAVE_TYPES).filter(key => found.has(key));
+  return [...known, ...[...found].filter(key => !leaveService.LEAVE_TYPES[key]).sort()];
+}
+
+// Days per leave type of some groups, as one row's cells
+const daysPerType = (groups, leaveTypes) => leaveTypes.map(leaveType => sum(groups.filter(g => g.leaveType === leaveType), 'days'));
+
+// Stacked bars of days per leave type
+const stackedChart = (labels, rows, leaveTypes) => ({
+  type: 'bar',
+  stacked: true,
+  labels,
+  datasets: leaveTypes.map((leaveType, i) => ({
+    label: leaveService.getLeaveTypeLabel(leaveType),
+    data: rows.map(row => row[i + 1])
+  }))
+});
+
+function buildByType(groups) {
+  const leaveTypes = getLeaveTypes(groups);
+  const rows = leaveTypes.map((leaveType) => {
+    const ofType = groups.filter(g => g.leaveType === leaveType);
+    return [leaveService.getLeaveTypeLabel(leaveType) || '(none)', sum(ofType, 'applications'), sum(ofType, 'days')];
+  });
+  return {
+    key: 'by-type',
+    title: 'Leave days by type',
+    columns: ['Leave type', 'Applications', 'Days'],
+    rows,
+    footer: ['Total', sum(groups, 'applications'), sum(groups, 'days')],
+    charts: [{ type: 'bar', labels: rows.map(row => row[0]), datasets: [{ label: 'Days', data: rows.map(row => row[2]) }] }]
+  };
+}
+
+function buildBySite(groups) {
+  const leaveTypes = getLeaveTypes(groups);
+  const sites = new Map();
+  groups.forEach((group) => {
+    const key = normalize(group.site);
+    if (!sites.has(key)) sites.set(key, { name: group.site || '(no site)', groups: [] });
+    sites.get(key).groups.push(group);
+  });
+
+  const rows = [...sites.values()]
+    .map(site => [site.name, ...daysPerType(site.groups, leaveTypes), sum(site.groups, 'days'), sum(site.groups, 'applications')])
+    .sort((a, b) => b[leaveTypes.length + 1] - a[leaveTypes.length + 1] || a[0].localeCompare(b[0]));
+  return {
+    key: 'by-site',
+    title: 'Leave days by site',
+    columns: ['Site', ...leaveTypes.map(leaveService.getLeaveTypeLabel), 'Total days', 'Applications'],
+    rows,
+    footer: ['Total', ...daysPerType(groups, leaveTypes), sum(groups, 'days'), sum(groups, 'applications')],
+    charts: [stackedChart(rows.map(row => row[0]), rows, leaveTypes)]
+  };
+}
+
+function buildByMonth(groups, filters) {
+  const leaveTypes = getLeaveTypes(groups);
+  const listed = listMonths(filters.from, filters.to);
+  const months = listed.length > 0 ? listed : [...new Set(groups.map(g => g.month))].sort();
+
+  const rows = months.map((month) => {
+    const ofMonth = groups.filter(g => g.month === month);
+    return [formatMonth(month), ...daysPerType(ofMonth, leaveTypes), sum(ofMonth, 'days')];
+  });
+  return {
+    key: 'by-month',
+    title: 'Leave days by month',
+    columns: ['Month', ...leaveTypes.map(leaveService.getLeaveTypeLabel), 'Total days'],
+    rows,
+    footer: ['Total', ...daysPerType(groups, leaveTypes), sum(groups, 'days')],
+    charts: [stackedChart(rows.map(row => row[0]), rows, leaveTypes)]
+  };
+}
+
+function buildOptions(options) {
+  const rows = [];
+  const charts = [];
+  getLeaveDefinitions().forEach((definition) => {
+    definition.reportFields.forEach((key) => {
+      const field = definition.fields[key];
+      const ofField = options.filter(o => o.type === definition.type && o.field === key);
+      const total = sum(ofField, 'applications');
+      const values = [...Object.keys(field.options), ...ofField.map(o => o.value).filter(v => !field.options[v])];
+      const fieldRows = values.map((value) => {
+        const option = ofField.find(o => o.value === value) || { applications: 0, days: 0 };
+        return [definition.displayName, field.label, field.options[value] || value || '(not filled in)',
+          option.applications, percent(option.applications, total), option.days];
+      });
+      rows.push(...fieldRows);
+      charts.push({ type: 'doughnut', title: field.label, labels: fieldRows.map(row => row[2]), datasets: [{ label: 'Applications', data: fieldRows.map(row => row[3]) }] });
+    });
+  });
+  return {
+    key: 'options',
+    title: 'Payment and ticket options',
+    columns: ['Form', 'Field', 'Option', 'Applications', 'Share (%)', 'Days'],
+    rows,
+    footer: null,
+    charts
+  };
+}
+
+function buildRejoining(rejoining) {
+  const rows = rejoining
+    .map(group => [group.leaveType || '(none)', group.forms, group.late, group.extraDays, average(group.extraDays, group.forms)])
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+  const forms = sum(rejoining, 'forms');
+  const extraDays = sum(rejoining, 'extraDays');
+  return {
+    key: 'rejoining',
+    title: 'Extra leave on re-joining',
+    columns: ['Leave type', 'Re-joining forms', 'Back late', 'Extra days', 'Average extra days'],
+    rows,
+    footer: ['All', forms, sum(rejoining, 'late'), extraDays, average(extraDays, forms)],
+    charts: [{ type: 'bar', labels: rows.map(row => row[0]), datasets: [{ label: 'Average extra days', data: rows.map(row => row[4]) }] }]
+  };
+}
+
+/**
+ * Every report for a period
+ * @param {Object} user
+ * @param {Object} filters - From parseFilters()
+ * @returns {Promise<Array<Object>>} { key, title, columns, rows, footer, charts } in REPORTS order
+ */
+async function getReports(user, filters) {
+  const groups = await groupLeave(user, filters);
+  return [
+    buildByType(groups),
+    buildBySite(groups),
+    buildByMonth(groups, filters),
+    buildOptions(await groupOptions(user, filters)),
+    buildRejoining(await groupRejoining(user, filters))
+  ];
+}
+
+/**
+ * One report for a period
+ * @param {string} key - One of REPORTS
+ * @param {Object} user
+ * @param {Object} filters - From parseFilters()
+ * @returns {Promise<Object|null>} null for an unknown report
+ */
+async function getReport(key, user, filters) {
+  if (!REPORTS.includes(key)) return null;
+  if (key === 'options') return buildOptions(await groupOptions(user, filters));
+  if (key === 'rejoining') return buildRejoining(await groupRejoining(user, filters));
+
+  const groups = await groupLeave(user, filters);
+  if (key === 'by-type') return buildByType(groups);
+  return key === 'by-site' ? buildBySite(groups) : buildByMonth(groups, filters);
+}
+
+module.exports = {
+  REPORTS,
+  getPresets,
+  parseFilters,
+  getReports,
+  getReport
+};
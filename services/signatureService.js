@@ -0,0 +1,265 @@
+/**
+ * Signature images.
+ *
+ * Signatures are not kept inside Application.data. A new signature arrives
+ * as a data URI; it is decoded, its real format is checked from the file
+ * contents (not the declared MIME type), and it is re-encoded with sharp as
+ * a small PNG: whitespace cropped, scaled down to at most 600×200 and
+ * palette-compressed. The PNG is stored once in the Signature table under
+ * its SHA-256, and the form data only holds "sig:<sha256>". The same image
+ * signed twice is stored once.
+ *
+ * Writing is split in two so nothing is stored for a rejected change:
+ * prepareSignatures() turns data URIs into references (and reports errors),
+ * saveSignatures() writes the new images inside the caller's transaction.
+ *
+ * PDFs and API responses get data URIs back through expandSignatures(); the
+ * HTML pages load /signatures/<sha256>.png, served only to users who can open
+ * an application signed with it (see isVisibleTo()).
+ */
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { Prisma } = require('@prisma/client');
+const { prisma, withRetry } = require('../prismaClient');
+const formTypes = require('./formTypes');
+const accessService = require('./accessService');
+
+const { SIGNATURE_REF_PATTERN } = formTypes;
+const REF_PREFIX = 'sig:';
+
+const MAX_WIDTH = 600;
+const MAX_HEIGHT = 200;
+const PADDING = 4;
+const MAX_INPUT_PIXELS = 4000 * 4000;
+
+// Decoded images, by id (content-addressed, so they never go stale)
+const cache = new Map();
+const CACHE_SIZE = 200;
+
+const DATA_URI_PATTERN = /^data:[\w/+.-]+;base64,([A-Za-z0-9+/=\s]+)$/;
+
+// Formats accepted as input, recognised by their first bytes
+const FORMATS = [
+  { name: 'PNG', test: b => b.length > 8 && b.readUInt32BE(0) === 0x89504e47 },
+  { name: 'JPEG', test: b => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { name: 'WebP', test: b => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP' },
+  { name: 'GIF', test: b => b.length > 6 && b.toString('ascii', 0, 4) === 'GIF8' }
+];
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Whether a value is a stored signature reference
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isReference = (value) => typeof value === 'string' && SIGNATURE_REF_PATTERN.test(value);
+
+const idOf = (reference) => reference.slice(REF_PREFIX.length);
+
+/**
+ * Image source for a signature value on an HTML page
+ * @param {string} value - Reference, data URI (not saved yet) or empty
+ * @returns {string}
+ */
+function getImageSrc(value) {
+  if (isReference(value)) return `/signatures/${idOf(value)}.png`;
+  if (typeof value === 'string' && value.startsWith('data:image/')) return value;
+  return '';
+}
+
+// Whether an image has any visible, non-white pixel
+async function hasInk(image) {
+  const pixels = await sharp(image).toColourspace('srgb').ensureAlpha().raw().toBuffer();
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i + 3] > 0 && (pixels[i] < 245 || pixels[i + 1] < 245 || pixels[i + 2] < 245)) return true;
+  }
+  return false;
+}
+
+/**
+ * Decode, check and re-encode an uploaded signature
+ * @param {string} dataUri
+ * @returns {Promise<{ error: string|null, id: string|null, original: string|null, image: Object|null }>}
+ *   original is the SHA-256 of the decoded upload, image the PNG to store
+ */
+async function processImage(dataUri) {
+  const match = DATA_URI_PATTERN.exec(dataUri);
+  if (!match) return { error: 'Invalid signature format', id: null, original: null, image: null };
+
+  const input = Buffer.from(match[1], 'base64');
+  if (!FORMATS.some(format => format.test(input))) {
+    return { error: 'Signature must be a PNG, JPEG, WebP or GIF image', id: null, original: null, image: null };
+  }
+
+  let content;
+  let info;
+  try {
+    ({ data: content, info } = await sharp(input, { limitInputPixels: MAX_INPUT_PIXELS, animated: false })
+      .ensureAlpha()
+      .trim({ threshold: 10 })
+      .resize(MAX_WIDTH - 2 * PADDING, MAX_HEIGHT - 2 * PADDING, { fit: 'inside', withoutEnlargement: true })
+      .extend({ top: PADDING, bottom: PADDING, left: PADDING, right: PADDING, background: { r: 255, g: 255, b: 255, alpha: 0 } })
+      .png({ palette: true, compressionLevel: 9, effort: 10 })
+      .toBuffer({ resolveWithObject: true }));
+  } catch (error) {
+    // trim() fails on an image that is all background
+    const message = /trim|bounding box/i.test(error.message) ? 'Signature is empty' : 'Signature image could not be read';
+    return { error: message, id: null, original: null, image: null };
+  }
+
+  if (!(await hasInk(content))) {
+    return { error: 'Signature is empty', id: null, original: null, image: null };
+  }
+
+  const id = sha256(content);
+  return {
+    error: null,
+    id,
+    original: sha256(input),
+    image: { id, content, width: info.width, height: info.height, size: content.length }
+  };
+}
+
+/**
+ * Replace the data URIs in an application's signature slots with
+ * references. Nothing is written; pass the result to saveSignatures().
+ * An upload that is byte-for-byte a stored signature (e.g. an API client
+ * sending back what it read) keeps that signature's reference.
+ * @param {string} type - Form type slug
+ * @param {Object} data - Validated form data
+ * @returns {Promise<{ errors: Object, data: Object, images: Array<Object> }>}
+ */
+async function prepareSignatures(type, data) {
+  const errors = {};
+  const prepared = { ...data };
+  const images = [];
+  const slots = formTypes.SIGNATURE_SLOTS[type] || [];
+
+  const processed = {};
+  for (const slot of slots) {
+    const value = data[slot];
+    if (value && !isReference(value)) {
+      processed[slot] = await processImage(value);
+      if (processed[slot].error) errors[slot] = processed[slot].error;
+    }
+  }
+
+  // Stored signatures referenced by the form, or matching an upload exactly
+  const candidates = new Set();
+  slots.forEach((slot) => {
+    if (isReference(data[slot])) candidates.add(idOf(data[slot]));
+    if (processed[slot] && !processed[slot].error) candidates.add(processed[slot].original);
+  });
+  const existing = candidates.size === 0 ? [] : await withRetry(() => prisma.signature.findMany({
+    where: { id: { in: [...candidates] } },
+    select: { id: true }
+  }));
+  const known = new Set(existing.map(row => row.id));
+
+  slots.forEach((slot) => {
+    const value = data[slot];
+    if (isReference(value)) {
+      if (!known.has(idOf(value))) errors[slot] = 'Signature not found, please sign again';
+      return;
+    }
+    const result = processed[slot];
+    if (!result || result.error) return;
+
+    if (known.has(result.original)) {
+      prepared[slot] = `${REF_PREFIX}${result.original}`;
+    } else {
+      prepared[slot] = `${REF_PREFIX}${result.id}`;
+      if (!images.some(image => image.id === result.id)) images.push(result.image);
+    }
+  });
+
+  return { errors, data: prepared, images };
+}
+
+/**
+ * Store the images from prepareSignatures(). Already stored ones are skipped.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Array<Object>} images
+ * @returns {Promise<void>}
+ */
+async function saveSignatures(tx, images) {
+  if (images.length === 0) return;
+  await tx.signature.createMany({ data: images, skipDuplicates: true });
+}
+
+/**
+ * A stored signature
+ * @param {string} id - SHA-256
+ * @returns {Promise<Object|null>}
+ */
+function getSignature(id) {
+  return withRetry(() => prisma.signature.findUnique({ where: { id } }));
+}
+
+/**
+ * Whether the user may see a stored signature: one of the applications they
+ * can open holds it in a signature slot, now or in an earlier revision (the
+ * history page shows those)
+ * @param {string} id - SHA-256
+ * @param {Object} user - Logged-in user
+ * @returns {Promise<boolean>}
+ */
+async function isVisibleTo(id, user) {
+  const reference = `${REF_PREFIX}${id}`;
+  const slots = [...new Set(Object.values(formTypes.SIGNATURE_SLOTS).flat())];
+  const holds = (data) => Prisma.join(slots.map(slot => Prisma.sql`${data}->>${slot}::text = ${reference}`), ' OR ');
+
+  const rows = await withRetry(() => prisma.$queryRaw`
+    SELECT 1 FROM "Application"
+    WHERE ${accessService.getListScope(user)}
+      AND (
+        ${holds(Prisma.sql`"Application"."data"`)}
+        OR EXISTS (
+          SELECT 1 FROM "ApplicationRevision" r
+          WHERE r."applicationId" = "Application"."id" AND (${holds(Prisma.sql`r."data"`)})
+        )
+      )
+    LIMIT 1
+  `);
+  return rows.length > 0;
+}
+
+/**
+ * Replace references with data URIs (for PDFs and API responses).
+ * Missing images come back empty.
+ * @param {string} type - Form type slug
+ * @param {Object} data
+ * @returns {Promise<Object>}
+ */
+async function expandSignatures(type, data) {
+  const slots = (formTypes.SIGNATURE_SLOTS[type] || []).filter(slot => isReference(data[slot]));
+  if (slots.length === 0) return data;
+
+  const missing = slots.map(slot => idOf(data[slot])).filter(id => !cache.has(id));
+  if (missing.length > 0) {
+    const rows = await withRetry(() => prisma.signature.findMany({ where: { id: { in: missing } } }));
+    rows.forEach((row) => {
+      if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+      cache.set(row.id, `data:image/png;base64,${Buffer.from(row.content).toString('base64')}`);
+    });
+  }
+
+  const expanded = { ...data };
+  slots.forEach((slot) => {
+    expanded[slot] = cache.get(idOf(data[slot])) || '';
+  });
+  return expanded;
+}
+
+module.exports = {
+  isReference,
+  getImageSrc,
+  processImage,
+  prepareSignatures,
+  saveSignatures,
+  isVisibleTo,
+  getSignature,
+  expandSignatures
+};
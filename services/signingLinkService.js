@@ -0,0 +1,293 @@
+/**
+ * Remote signing links.
+ *
+ * A signing link lets someone sign one slot (manager or HR signature) of one
+ * application from their own device, without sharing the edit session. The
+ * recipient sees a read-only summary of the form and only their signature
+ * canvas and date.
+ *
+ * Links are single-use and expire. Like API keys, the token is random and
+ * only its SHA-256 is stored, so it is shown once when the link is created.
+ * Signing records the signer's name, the time and IP on the link and writes
+ * a revision as usual.
+ */
+
+const crypto = require('crypto');
+const { prisma, withRetry } = require('../prismaClient');
+const workflowService = require('./workflowService');
+const formTypes = require('./formTypes');
+const auditService = require('./auditService');
+const signatureService = require('./signatureService');
+const events = require('./events');
+
+// Slots that can be signed through a link
+const LINK_SLOTS = ['managerSignature', 'hrSignature'];
+
+// Offered expiry times, in hours
+const EXPIRY_OPTIONS = { 24: '24 hours', 72: '3 days', 168: '7 days' };
+const DEFAULT_EXPIRY_HOURS = 72;
+
+const MAX_SIGNER_NAME = 100;
+
+// The owner must not sign their own approval through a link they sent
+const SELF_SIGNED_ERROR = 'This signing link was created by the employee who owns the application, so it cannot be used.';
+
+const isCreatedByOwner = (link, application) =>
+  Boolean(link.createdById) && link.createdById === application.ownerId;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Slots of a form type that can be signed through a link
+ * @param {string} type - Form type slug
+ * @returns {string[]}
+ */
+function getLinkSlots(type) {
+  return (formTypes.SIGNATURE_SLOTS[type] || []).filter(slot => LINK_SLOTS.includes(slot));
+}
+
+/**
+ * Why a slot cannot be signed right now, or null if it can
+ * @param {Object} application - { status, data }
+ * @param {string} slot
+ * @returns {string|null}
+ */
+function checkSlotOpen(application, slot) {
+  const status = workflowService.SIGNATURE_SLOT_STATUS[slot];
+  if (application.status !== status) {
+    return `The ${workflowService.SIGNATURE_SLOT_LABELS[slot].toLowerCase()} can only be added while the application is ${workflowService.getStatusLabel(status)}`;
+  }
+  if (application.data && application.data[slot]) {
+    return `The ${workflowService.SIGNATURE_SLOT_LABELS[slot].toLowerCase()} has already been added`;
+  }
+  return null;
+}
+
+/**
+ * Links of an application, newest first
+ * @param {string} applicationId
+ * @returns {Promise<Array<Object>>}
+ */
+function listLinks(applicationId) {
+  return withRetry(() => prisma.signingLink.findMany({
+    where: { applicationId },
+    orderBy: { createdAt: 'desc' },
+    take: 20
+  }));
+}
+
+/**
+ * Create a link. Earlier unused links for the same slot are revoked, so
+ * only the newest one works.
+ * @param {Object} params
+ * @param {string} params.type - Form type slug
+ * @param {Object} params.application
+ * @param {string} params.slot
+ * @param {string} [params.recipient] - Who it is for (free text, shown in the app only)
+ * @param {number} [params.hours] - One of EXPIRY_OPTIONS
+ * @param {Object} params.user - Who creates it
+ * @returns {Promise<{ error: string|null, link: Object|null, token: string|null }>}
+ */
+async function createLink({ type, application, slot, recipient, hours, user }) {
+  if (!getLinkSlots(type).includes(slot)) {
+    return { error: 'This signature cannot be signed through a link', link: null, token: null };
+  }
+  const closed = checkSlotOpen(application, slot);
+  if (closed) return { error: closed, link: null, token: null };
+
+  const expiryHours = EXPIRY_OPTIONS[hours] ? Number(hours) : DEFAULT_EXPIRY_HOURS;
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  const link = await withRetry(() => prisma.$transaction(async (tx) => {
+    await tx.signingLink.updateMany({
+      where: { applicationId: application.id, slot, usedAt: null, revokedAt: null },
+      data: { revokedAt: now }
+    });
+    return tx.signingLink.create({
+      data: {
+        applicationId: application.id,
+        slot,
+        tokenHash: hashToken(token),
+        recipient: String(recipient || '').trim().slice(0, MAX_SIGNER_NAME) || null,
+        createdById: user.id,
+        expiresAt: new Date(now.getTime() + expiryHours * 60 * 60 * 1000)
+      }
+    });
+  }));
+
+  console.log(`🔗 Signing link created for ${application.id} (${slot}, ${expiryHours}h)`);
+  return { error: null, link, token };
+}
+
+/**
+ * Revoke an unused link
+ * @param {string} applicationId
+ * @param {string} linkId
+ * @returns {Promise<boolean>} false if there was nothing to revoke
+ */
+async function revokeLink(applicationId, linkId) {
+  const { count } = await withRetry(() => prisma.signingLink.updateMany({
+    where: { id: linkId, applicationId, usedAt: null, revokedAt: null },
+    data: { revokedAt: new Date() }
+  }));
+  return count > 0;
+}
+
+/**
+ * Whether a link can still be used
+ * @param {Object} link
+ * @returns {'active'|'used'|'revoked'|'expired'}
+ */
+function getLinkState(link) {
+  if (link.usedAt) return 'used';
+  if (link.revokedAt) return 'revoked';
+  if (link.expiresAt <= new Date()) return 'expired';
+  return 'active';
+}
+
+/**
+ * Look up a link by its token, with its application
+ * @param {string} token
+ * @returns {Promise<{ link: Object|null, error: string|null }>}
+ */
+async function findByToken(token) {
+  if (!token || typeof token !== 'string' || token.length > 100) {
+    return { link: null, error: 'This signing link is not valid.' };
+  }
+
+  const link = await withRetry(() => prisma.signingLink.findUnique({
+    where: { tokenHash: hashToken(token) },
+    include: { application: true }
+  }));
+  if (!link) return { link: null, error: 'This signing link is not valid.' };
+
+  const state = getLinkState(link);
+  if (state === 'used') return { link, error: 'This signing link has already been used.' };
+  if (state === 'revoked') return { link, error: 'This signing link has been withdrawn. Ask for a new one.' };
+  if (state === 'expired') return { link, error: 'This signing link has expired. Ask for a new one.' };
+
+  const closed = checkSlotOpen(link.application, link.slot);
+  if (closed) return { link, error: `${closed}, so this link can no longer be used.` };
+  if (isCreatedByOwner(link, link.application)) return { link, error: SELF_SIGNED_ERROR };
+
+  return { link, error: null };
+}
+
+/**
+ * Read-only summary of the application for the signing page: every form
+ * field, and which signatures are present (not the images)
+ * @param {Object} application
+ * @returns {Object}
+ */
+function getSummary(application) {
+  const type = formTypes.toSlug(application.type);
+  const definition = formTypes.getDefinition(type);
+  const data = application.data || {};
+
+  return {
+    displayName: definition.displayName,
+    reference: application.reference,
+    statusLabel: workflowService.getStatusLabel(application.status),
+    fields: Object.entries(definition.fields).map(([key, field]) => ({
+      label: field.label,
+      value: field.type === 'enum' ? (field.options[data[key]] || data[key] || '') : (data[key] ?? '')
+    })),
+    signatures: definition.signatureSlots.map(slot => ({
+      label: workflowService.SIGNATURE_SLOT_LABELS[slot],
+      signed: Boolean(data[slot]),
+      date: data[`${slot}Date`] || ''
+    }))
+  };
+}
+
+/**
+ * Sign through a link. The link is used up in the same transaction that
+ * saves the signature, so it works exactly once.
+ * @param {Object} params
+ * @param {string} params.token
+ * @param {string} params.signerName
+ * @param {Object} params.fields - Submitted form; only the link's slot and
+ *   its date are read (signature image data URI, YYYY-MM-DD default today)
+ * @param {string|null} params.ip
+ * @returns {Promise<{ error: string|null, errors: Object, link: Object|null }>}
+ */
+async function signWithLink({ token, signerName, fields, ip }) {
+  const { link, error } = await findByToken(token);
+  if (error) return { error, errors: {}, link };
+
+  const { slot } = link;
+  const dateKey = `${slot}Date`;
+  const type = formTypes.toSlug(link.application.type);
+  const name = String(signerName || '').trim();
+  const signature = typeof fields[slot] === 'string' ? fields[slot] : '';
+  const signedOn = String(fields[dateKey] || '').trim() || new Date().toISOString().slice(0, 10);
+
+  const errors = {};
+  if (!name) errors.signerName = 'Your name is required';
+  else if (name.length > MAX_SIGNER_NAME) errors.signerName = `Name must be at most ${MAX_SIGNER_NAME} characters`;
+  if (!signature) errors[slot] = 'Please sign before submitting';
+  if (!formTypes.DATE_PATTERN.test(signedOn)) errors[dateKey] = 'Date must be a date (YYYY-MM-DD)';
+  if (signature) {
+    const checked = formTypes.validateFormData(type, { ...link.application.data, [slot]: signature });
+    if (checked.errors[slot]) errors[slot] = checked.errors[slot];
+  }
+  const signatures = Object.keys(errors).length > 0
+    ? null
+    : await signatureService.prepareSignatures(type, { [slot]: signature });
+  if (signatures && signatures.errors[slot]) errors[slot] = signatures.errors[slot];
+  if (Object.keys(errors).length > 0) return { error: null, errors, link };
+
+  const actor = { actorId: null, actorName: `${name} (signing link)`, ip };
+  const now = new Date();
+
+  const result = await withRetry(() => prisma.$transaction(async (tx) => {
+    // Lock the application so a concurrent edit or status change waits
+    const [current] = await tx.$queryRaw`
+      SELECT "id", "status", "data", "ownerId" FROM "Application" WHERE "id" = ${link.applicationId} FOR UPDATE
+    `;
+    const closed = current ? checkSlotOpen(current, slot) : 'The application no longer exists';
+    if (closed) return { error: `${closed}, so this link can no longer be used.` };
+    if (isCreatedByOwner(link, current)) return { error: SELF_SIGNED_ERROR };
+
+    const used = await tx.signingLink.updateMany({
+      where: { id: link.id, usedAt: null, revokedAt: null, expiresAt: { gt: now } },
+      data: { usedAt: now, signerName: name, signerIp: ip }
+    });
+    if (used.count === 0) return { error: 'This signing link has already been used.' };
+
+    await signatureService.saveSignatures(tx, signatures.images);
+    const data = { ...current.data, [slot]: signatures.data[slot], [dateKey]: signedOn };
+    const changes = auditService.diffData(current.data, data);
+    const saved = await tx.application.update({ where: { id: current.id }, data: { data } });
+    await auditService.recordRevision(tx, {
+      application: saved,
+      action: 'update',
+      actor,
+      changes,
+      note: `Signed through a signing link by ${name}`
+    });
+    return { error: null, application: saved, changes };
+  }));
+
+  if (!result.error) {
+    console.log(`✍️  ${slot} signed through a signing link for ${link.applicationId}`);
+    events.emit('application.changed', { type, application: result.application, action: 'update', changes: result.changes, actor });
+  }
+  return { error: result.error, errors: {}, link };
+}
+
+module.exports = {
+  LINK_SLOTS,
+  EXPIRY_OPTIONS,
+  DEFAULT_EXPIRY_HOURS,
+  getLinkSlots,
+  checkSlotOpen,
+  getLinkState,
+  getSummary,
+  listLinks,
+  createLink,
+  revokeLink,
+  findByToken,
+  signWithLink
+};
@@ -0,0 +1,449 @@
+/**
+ * Team leave calendar: who is away when.
+ *
+ * Plots the leave of every form type with `leavePeriod` (the leave
+ * application forms) over a month or a week, as far as the user can see
+ * them (accessService.getListScope). Submitted and manager approved leave
+ * is shown as pending, HR approved leave (and leave closed after HR
+ * approval) as approved; drafts and rejected leave are left out. Leave can
+ * be filtered by site, position and leave type.
+ *
+ * An employee is due back once the last day of their HR approved leave has
+ * passed; until they have a re-joining form for it (see
+ * rejoiningService.rejoinedCondition) the calendar highlights them.
+ *
+ * Approved leave is also published as an iCalendar feed, per site or for
+ * all sites. Feed URLs carry a token signed with CALENDAR_FEED_SECRET
+ * (SESSION_SECRET when not set), so calendar apps can subscribe without
+ * signing in; the feed shows what the user who copied the URL can see.
+ * Changing the secret revokes every feed URL.
+ */
+
+const crypto = require('crypto');
+const { Prisma } = require('@prisma/client');
+const { prisma, withRetry } = require('../prismaClient');
+const formTypes = require('./formTypes');
+const workflowService = require('./workflowService');
+const accessService = require('./accessService');
+const calendarService = require('./calendarService');
+const conflictService = require('./conflictService');
+const rejoiningService = require('./rejoiningService');
+const leaveService = require('./leaveService');
+
+const { STATUSES } = workflowService;
+
+const VIEWS = ['month', 'week'];
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+// Leave shown on the calendar: pending and approved
+const SHOWN_STATUSES = [STATUSES.SUBMITTED, STATUSES.MANAGER_APPROVED, STATUSES.HR_APPROVED];
+
+// Most leave applications loaded for one calendar page or feed
+const PAGE_LIMIT = 1000;
+
+// Employees listed as due back
+const DUE_BACK_LIMIT = 100;
+
+// Feed window around today
+const FEED_DAYS_BACK = 90;
+const FEED_DAYS_AHEAD = 365;
+
+const baseUrl = () => (process.env.PUBLIC_URL || process.env.RENDER_APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+const feedSecret = () => process.env.CALENDAR_FEED_SECRET || process.env.SESSION_SECRET || null;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Today as YYYY-MM-DD
+const getToday = () => new Date().toISOString().slice(0, 10);
+
+// 0 = Sunday; weeks start on Sunday (the weekend is Friday–Saturday)
+const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// "2026-06-07" → "7 Jun 2026"
+const formatDay = (date) => `${Number(date.slice(8))} ${MONTH_NAMES[Number(date.slice(5, 7)) - 1].slice(0, 3)} ${date.slice(0, 4)}`;
+
+const getPeriodDefinitions = () => formTypes.DEFINITIONS.filter(d => d.leavePeriod);
+
+const getPositionField = (definition) => (definition.employeeFields && definition.employeeFields.position) || null;
+
+const getLeaveTypeField = (definition) => (definition.leaveFields && definition.leaveFields.type) || null;
+
+/**
+ * The days a calendar page shows, whole weeks around the month or week of a date
+ * @param {string} [view] - "month" (default) or "week"
+ * @param {string} [date] - YYYY-MM-DD, today when missing or invalid
+ * @returns {Object} { view, date, first, last, start, end, prev, next, title }:
+ *   first–last is the month or week, start–end the whole weeks shown,
+ *   prev/next a date in the previous/next month or week
+ */
+function getRange(view, date) {
+  const mode = VIEWS.includes(view) ? view : 'month';
+  const anchor = calendarService.addDays(date, 0) || getToday();
+
+  if (mode === 'week') {
+    const start = calendarService.addDays(anchor, -dayOfWeek(anchor));
+    const end = calendarService.addDays(start, 6);
+    return {
+      view: mode,
+      date: anchor,
+      first: start,
+      last: end,
+      start,
+      end,
+      prev: calendarService.addDays(start, -7),
+      next: calendarService.addDays(start, 7),
+      title: `${formatDay(start)} – ${formatDay(end)}`
+    };
+  }
+
+  const first = `${anchor.slice(0, 7)}-01`;
+  const next = `${calendarService.addDays(first, 31).slice(0, 7)}-01`;
+  const last = calendarService.addDays(next, -1);
+  return {
+    view: mode,
+    date: anchor,
+    first,
+    last,
+    start: calendarService.addDays(first, -dayOfWeek(first)),
+    end: calendarService.addDays(last, 6 - dayOfWeek(last)),
+    prev: `${calendarService.addDays(first, -1).slice(0, 7)}-01`,
+    next,
+    title: `${MONTH_NAMES[Number(first.slice(5, 7)) - 1]} ${first.slice(0, 4)}`
+  };
+}
+
+/**
+ * Filters from the query string; unknown leave types are dropped
+ * @param {Object} query
+ * @returns {{ site: string, position: string, leaveType: string }}
+ */
+function parseFilters(query) {
+  const text = (value) => (typeof value === 'string' ? value.trim().slice(0, 100) : '');
+  const leaveType = text(query.leaveType);
+  return {
+    site: text(query.site),
+    position: text(query.position),
+    leaveType: leaveService.LEAVE_TYPES[leaveType] ? leaveType : ''
+  };
+}
+
+// SQL: a definition's leave matches the filters (a filter on a field the form lacks matches nothing)
+function filterCondition(definition, filters) {
+  const conditions = [];
+  const matchText = (key, value) => {
+    if (!value) return;
+    conditions.push(key ? Prisma.sql`LOWER(TRIM("data"->>${key}::text)) = ${normalize(value)}` : Prisma.sql`FALSE`);
+  };
+  matchText(definition.siteField, filters.site);
+  matchText(getPositionField(definition), filters.position);
+  if (filters.leaveType) {
+    const key = getLeaveTypeField(definition);
+    conditions.push(key ? Prisma.sql`"data"->>${key}::text = ${filters.leaveType}` : Prisma.sql`FALSE`);
+  }
+  return conditions.length > 0 ? Prisma.join(conditions, ' AND ') : Prisma.sql`TRUE`;
+}
+
+// What the calendar shows of a leave application
+function describe(row, today) {
+  const type = formTypes.toSlug(row.type);
+  const definition = formTypes.getDefinition(type);
+  const data = row.data || {};
+  const leaveTypeField = getLeaveTypeField(definition);
+  const positionField = getPositionField(definition);
+  const end = data[definition.leavePeriod.end];
+  const rejoiningType = rejoiningService.getRejoiningType(type);
+  const dueBack = Boolean(rejoiningType) && row.status === STATUSES.HR_APPROVED && !row.rejoined && end < today;
+
+  return {
+    id: row.id,
+    type,
+    displayName: definition.displayName,
+    reference: row.reference || null,
+    status: row.status,
+    statusLabel: workflowService.getStatusLabel(row.status),
+    approved: row.status === STATUSES.HR_APPROVED || row.status === STATUSES.CLOSED,
+    name: data[definition.nameField] || '',
+    employeeNo: data[definition.idField] || '',
+    site: (definition.siteField && data[definition.siteField]) || '',
+    position: (positionField && data[positionField]) || '',
+    leaveType: leaveTypeField ? leaveService.getLeaveTypeLabel(data[leaveTypeField]) || '' : '',
+    start: data[definition.leavePeriod.start],
+    end,
+    returning: calendarService.addDays(end, 1),
+    updatedAt: row.updatedAt,
+    url: `/forms/${type}/${row.id}/edit`,
+    dueBack,
+    rejoinUrl: dueBack ? rejoiningService.getCreateUrl(rejoiningType, row.id) : null
+  };
+}
+
+const byStartThenName = (a, b) => a.start.localeCompare(b.start) || a.name.localeCompare(b.name);
+
+// Application rows with whether the employee has a re-joining form for them
+async function queryLeave(user, perType, orderBy, limit) {
+  if (perType.length === 0) return [];
+  const rejoined = getPeriodDefinitions()
+    .filter(d => rejoiningService.getRejoiningType(d.type))
+    .map(d => Prisma.sql`("type" = ${d.dbType} AND ${rejoiningService.rejoinedCondition(d)})`);
+  return withRetry(() => prisma.$queryRaw`
+    SELECT "id", "type", "status", "reference", "data", "updatedAt",
+      (${rejoined.length > 0 ? Prisma.join(rejoined, ' OR ') : Prisma.sql`FALSE`}) AS "rejoined"
+    FROM "Application"
+    WHERE ${accessService.getListScope(user)}
+      AND (${Prisma.join(perType, ' OR ')})
+    ORDER BY ${orderBy}
+    LIMIT ${limit}
+  `);
+}
+
+/**
+ * Leave the user can see covering at least one day of a period
+ * @param {Object} params
+ * @param {Object} params.user
+ * @param {{ start: string, end: string }} params.period
+ * @param {Object} [params.filters] - From parseFilters()
+ * @param {boolean} [params.approvedOnly] - Leave out pending leave
+ * @returns {Promise<Array<Object>>} describe() of each, by start date and name
+ */
+async function listLeave({ user, period, filters = {}, approvedOnly = false }) {
+  const statuses = approvedOnly ? [STATUSES.HR_APPROVED] : SHOWN_STATUSES;
+  const perType = getPeriodDefinitions().map(d => Prisma.sql`(
+    ${conflictService.periodCondition(d, period)}
+    AND ${conflictService.standsCondition(statuses)}
+    AND ${filterCondition(d, filters)}
+  )`);
+  const rows = await queryLeave(user, perType, Prisma.sql`"createdAt" ASC`, PAGE_LIMIT);
+  const today = getToday();
+  return rows.map(row => describe(row, today)).sort(byStartThenName);
+}
+
+/**
+ * HR approved leave whose last day has passed and whose employee has no
+ * re-joining form for it yet, longest overdue first
+ * @param {Object} params
+ * @param {Object} params.user
+ * @param {Object} [params.filters] - From parseFilters()
+ * @returns {Promise<Array<Object>>} describe() of each
+ */
+async function listDueBack({ user, filters = {} }) {
+  const today = getToday();
+  const perType = getPeriodDefinitions()
+    .filter(d => rejoiningService.getRejoiningType(d.type))
+    .map(d => Prisma.sql`(
+      "type" = ${d.dbType}
+      AND "status" = ${STATUSES.HR_APPROVED}
+      AND COALESCE("data"->>${d.leavePeriod.end}::text, '') <> ''
+      AND "data"->>${d.leavePeriod.end}::text < ${today}
+      AND NOT ${rejoiningService.rejoinedCondition(d)}
+      AND ${filterCondition(d, filters)}
+    )`);
+  const rows = await queryLeave(user, perType, Prisma.sql`"updatedAt" ASC`, DUE_BACK_LIMIT);
+  return rows.map(row => describe(row, today)).sort((a, b) => a.end.localeCompare(b.end) || a.name.localeCompare(b.name));
+}
+
+// Distinct values of one field across the leave forms the user can see, sorted
+async function listValues(user, getField) {
+  const perType = getPeriodDefinitions()
+    .filter(d => getField(d))
+    .map(d => Prisma.sql`
+      SELECT TRIM("data"->>${getField(d)}::text) AS "value"
+      FROM "Application"
+      WHERE "type" = ${d.dbType} AND ${accessService.getListScope(user)}
+    `);
+  if (perType.length === 0) return [];
+
+  const rows = await withRetry(() => prisma.$queryRaw`${Prisma.join(perType, ' UNION ')}`);
+  const values = new Map();
+  rows.forEach(({ value }) => {
+    if (value && !values.has(normalize(value))) values.set(normalize(value), value);
+  });
+  return [...values.values()].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Values offered by the filters
+ * @param {Object} user
+ * @returns {Promise<{ sites: string[], positions: string[], leaveTypes: Object }>}
+ */
+async function getFilterOptions(user) {
+  return {
+    sites: await listValues(user, d => d.siteField),
+    positions: await listValues(user, getPositionField),
+    leaveTypes: leaveService.LEAVE_TYPES
+  };
+}
+
+/**
+ * Day cells of a calendar page
+ * @param {Object} range - From getRange()
+ * @param {Array<Object>} entries - From listLeave()
+ * @returns {Array<Object>} { date, day, weekday, inRange, today, working, holiday, entries }
+ */
+function getDays(range, entries) {
+  const today = getToday();
+  const days = [];
+  for (let date = range.start; date <= range.end; date = calendarService.addDays(date, 1)) {
+    days.push({
+      date,
+      day: Number(date.slice(8)),
+      weekday: calendarService.DAY_NAMES[dayOfWeek(date)],
+      inRange: date >= range.first && date <= range.last,
+      today: date === today,
+      working: calendarService.isWorkingDay(date),
+      holiday: calendarService.getHoliday(date),
+      entries: entries.filter(e => e.start <= date && e.end >= date)
+    });
+  }
+  return days;
+}
+
+/**
+ * Approved leave covering today
+ * @param {Object} user
+ * @param {Object} [filters] - From parseFilters()
+ * @returns {Promise<Array<Object>>} describe() of each
+ */
+function listAwayToday(user, filters) {
+  const today = getToday();
+  return listLeave({ user, period: { start: today, end: today }, filters, approvedOnly: true });
+}
+
+// iCalendar text value
+const escapeText = (value) => String(value).replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+
+// Lines are at most 75 octets; longer ones continue on lines starting with a space
+function foldLine(line) {
+  const lines = [];
+  let current = '';
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (lines.length === 0 ? 75 : 74)) {
+      lines.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  lines.push(current);
+  return lines.join('\r\n ');
+}
+
+// Date → 20260601T093000Z
+const formatStamp = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * iCalendar document of leave, one all-day event per application
+ * @param {Object} params
+ * @param {string} params.name - Calendar name
+ * @param {Array<Object>} params.entries - From listLeave()
+ * @returns {string}
+ */
+function buildIcs({ name, entries }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Al Tayer Engineering Services//TES Forms Leave//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`
+  ];
+
+  entries.forEach((entry) => {
+    const details = [
+      entry.reference ? `${entry.reference} · ${entry.statusLabel}` : entry.statusLabel,
+      entry.leaveType && `Leave type: ${entry.leaveType}`,
+      entry.site && `Site: ${entry.site}`,
+      entry.position && `Position: ${entry.position}`,
+      `Returning: ${entry.returning}`
+    ].filter(Boolean);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${entry.id}@tes-forms`,
+      `DTSTAMP:${formatStamp(entry.updatedAt || Date.now())}`,
+      `DTSTART;VALUE=DATE:${entry.start.replace(/-/g, '')}`,
+      // All-day events end on the day after
+      `DTEND;VALUE=DATE:${entry.returning.replace(/-/g, '')}`,
+      `SUMMARY:${escapeText(`${entry.name} (${entry.employeeNo})${entry.leaveType ? ` – ${entry.leaveType}` : ''}`)}`,
+      `DESCRIPTION:${escapeText(details.join('\n'))}`,
+      `URL:${baseUrl()}${entry.url}`,
+      'STATUS:CONFIRMED',
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    );
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * The feed's calendar: approved leave from three months back to a year ahead
+ * @param {Object} user
+ * @param {string} site - '' for all sites
+ * @returns {Promise<string>} iCalendar document
+ */
+async function getFeed(user, site) {
+  const today = getToday();
+  const entries = await listLeave({
+    user,
+    period: { start: calendarService.addDays(today, -FEED_DAYS_BACK), end: calendarService.addDays(today, FEED_DAYS_AHEAD) },
+    filters: { site },
+    approvedOnly: true
+  });
+  return buildIcs({ name: site ? `Leave – ${site}` : 'Leave – all sites', entries });
+}
+
+// HMAC of a user's feed of a site
+function signFeed(userId, site) {
+  return crypto.createHmac('sha256', feedSecret()).update(`calendar:${userId}:${normalize(site)}`).digest('base64url');
+}
+
+/**
+ * Subscription URL of a user's feed, or null when no secret is configured
+ * @param {Object} user
+ * @param {string} site - '' for all sites
+ * @returns {string|null}
+ */
+function getFeedUrl(user, site) {
+  if (!feedSecret()) return null;
+  const query = new URLSearchParams({ site: site || '', token: signFeed(user.id, site) });
+  return `${baseUrl()}/calendar/feed/${user.id}.ics?${query}`;
+}
+
+/**
+ * The user a feed URL belongs to, when its token is valid and the user is active
+ * @param {string} userId
+ * @param {string} site
+ * @param {string} token
+ * @returns {Promise<Object|null>}
+ */
+async function findFeedUser(userId, site, token) {
+  if (!feedSecret() || typeof token !== 'string' || !token) return null;
+  const expected = Buffer.from(signFeed(userId, site));
+  const actual = Buffer.from(token);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  const user = await withRetry(() => prisma.user.findUnique({
+    where: { id: userId },
+    select: { id: true, username: true, name: true, role: true, managerId: true, active: true }
+  }));
+  return user && user.active ? user : null;
+}
+
+module.exports = {
+  VIEWS,
+  PAGE_LIMIT,
+  getRange,
+  parseFilters,
+  listLeave,
+  listDueBack,
+  listAwayToday,
+  getFilterOptions,
+  getDays,
+  buildIcs,
+  getFeed,
+  getFeedUrl,
+  findFeedUser
+};
@@ -0,0 +1,192 @@
+/**
+ * Verification of printed PDFs.
+ *
+ * Every application gets a short public verification code (verifyCode, e.g.
+ * "K7QM2-9XDP3"), assigned the first time a PDF is produced. The PDF carries
+ * the code and a QR code linking to /verify/:code, a public page that
+ * shows enough to check a paper copy against the system — type, reference
+ * number, employee name, key dates (the definition's verifyFields), approval
+ * status and the stored PDF hashes — but never signatures or ID documents.
+ * Only HR approved applications (or ones closed after HR approval) are
+ * shown as approved; one closed after a rejection is not.
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const { prisma, withRetry } = require('../prismaClient');
+const workflowService = require('./workflowService');
+const formTypes = require('./formTypes');
+const conflictService = require('./conflictService');
+
+// Crockford base32: no I, L, O or U, so codes survive being read out or typed
+const CODE_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const CODE_LENGTH = 10;
+
+/**
+ * Random code, formatted "XXXXX-XXXXX"
+ * @returns {string}
+ */
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const chars = Array.from(bytes, b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+}
+
+/**
+ * Canonical form of a typed or scanned code, or null if it cannot be one
+ * @param {string} input
+ * @returns {string|null}
+ */
+function normalizeCode(input) {
+  const chars = String(input || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+  if (chars.length !== CODE_LENGTH || [...chars].some(c => !CODE_ALPHABET.includes(c))) return null;
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+}
+
+/**
+ * The application's code, assigning one if it has none yet
+ * @param {Object} application - { id, verifyCode }
+ * @returns {Promise<string>}
+ */
+async function ensureCode(application) {
+  if (application.verifyCode) return application.verifyCode;
+
+  for (let attempt = 1; attempt <= 5; attempt++) {
+    const code = generateCode();
+    try {
+      // Raw update so assigning a code does not bump updatedAt
+      await withRetry(() => prisma.$executeRaw`
+        UPDATE "Application" SET "verifyCode" = ${code}
+        WHERE "id" = ${application.id} AND "verifyCode" IS NULL
+      `);
+    } catch (error) {
+      // Unique violation: the random code is taken, try another
+      if (/unique|duplicate key/i.test(error.message)) continue;
+      throw error;
+    }
+
+    // Re-read: another request may have assigned one first
+    const saved = await withRetry(() => prisma.application.findUnique({
+      where: { id: application.id },
+      select: { verifyCode: true }
+    }));
+    if (saved && saved.verifyCode) {
+      application.verifyCode = saved.verifyCode;
+      return saved.verifyCode;
+    }
+  }
+
+  throw new Error(`Could not assign a verification code to ${application.id}`);
+}
+
+/**
+ * Public URL of the verification page
+ * @param {string} code
+ * @returns {string}
+ */
+function getVerificationUrl(code) {
+  const base = process.env.PUBLIC_URL || process.env.RENDER_APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return `${base.replace(/\/+$/, '')}/verify/${code}`;
+}
+
+/**
+ * What a PDF needs to print the verification code and QR code
+ * @param {Object} application
+ * @returns {Promise<{ code: string, url: string, qrDataUri: string }>}
+ */
+async function buildVerification(application) {
+  const code = await ensureCode(application);
+  const url = getVerificationUrl(code);
+  const qrDataUri = await QRCode.toDataURL(url, { errorCorrectionLevel: 'M', margin: 0, width: 240 });
+  return { code, url, qrDataUri };
+}
+
+/**
+ * Application for a code, with its stored PDFs
+ * @param {string} input - Code as typed or scanned
+ * @returns {Promise<Object|null>}
+ */
+async function findByCode(input) {
+  const code = normalizeCode(input);
+  if (!code) return null;
+
+  return withRetry(() => prisma.application.findUnique({
+    where: { verifyCode: code },
+    select: {
+      id: true,
+      type: true,
+      status: true,
+      reference: true,
+      data: true,
+      verifyCode: true,
+      hrApprovedAt: true,
+      createdAt: true,
+      updatedAt: true,
+      documents: {
+        orderBy: { version: 'desc' },
+        select: { version: true, status: true, sha256: true, createdAt: true, supersededAt: true }
+      }
+    }
+  }));
+}
+
+/**
+ * The details the public page may show
+ * @param {Object} application - From findByCode()
+ * @returns {Object}
+ */
+function getPublicDetails(application) {
+  const type = formTypes.toSlug(application.type);
+  const definition = formTypes.getDefinition(type);
+  const labels = formTypes.getFieldLabels(type);
+  const data = application.data || {};
+
+  const fields = definition.verifyFields.map((key) => {
+    const field = definition.fields[key];
+    const value = data[key];
+    return {
+      label: field.label,
+      value: field.type === 'enum' ? (field.options[value] || value || '') : (value ?? '')
+    };
+  });
+
+  const signatures = definition.signatureSlots.map(slot => ({
+    label: labels[slot],
+    signed: Boolean(data[slot]),
+    date: data[`${slot}Date`] || ''
+  }));
+
+  return {
+    code: application.verifyCode,
+    reference: application.reference,
+    displayName: definition.displayName,
+    employeeName: formTypes.getApplicantName(type, data),
+    fields,
+    status: application.status,
+    statusLabel: workflowService.getStatusLabel(application.status),
+    approved: conflictService.isApproved(application),
+    signatures,
+    documents: application.documents.map(doc => ({
+      version: doc.version,
+      statusLabel: workflowService.getStatusLabel(doc.status),
+      sha256: doc.sha256,
+      createdAt: doc.createdAt,
+      current: !doc.supersededAt
+    })),
+    updatedAt: application.updatedAt
+  };
+}
+
+module.exports = {
+  generateCode,
+  normalizeCode,
+  ensureCode,
+  getVerificationUrl,
+  buildVerification,
+  findByCode,
+  getPublicDetails
+};
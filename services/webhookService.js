@@ -0,0 +1,351 @@
+/**
+ * Outgoing webhooks.
+ *
+ * Admins register endpoints (/admin/webhooks) for some of WEBHOOK_EVENTS.
+ * When one of those happens (see events.js) a WebhookDelivery is stored for
+ * every active endpoint and POSTed right away. Failed deliveries are retried
+ * with exponential backoff by a job that runs every minute, up to
+ * MAX_ATTEMPTS; each delivery keeps its attempt count, last response and
+ * error, and can be sent again by hand.
+ *
+ * Requests are signed with the endpoint's secret:
+ *   X-TES-Signature: sha256=<hex HMAC-SHA256 of "<X-TES-Timestamp>.<body>">
+ * Receivers should recompute it, compare in constant time and reject old
+ * timestamps. The body's "id" identifies the event, so a receiver can ignore
+ * a delivery it has already processed.
+ */
+
+const crypto = require('crypto');
+const cron = require('node-cron');
+const { prisma, withRetry } = require('../prismaClient');
+const events = require('./events');
+const applicationService = require('./applicationService');
+
+const WEBHOOK_EVENTS = {
+  'application.created': 'Application created',
+  'application.updated': 'Application updated (edits, status changes, restores)',
+  'application.signed': 'Signature added',
+  'application.exported': 'PDF exported'
+};
+
+const MAX_ATTEMPTS = 8;
+const RETRY_BASE_MS = 60 * 1000; // 1, 2, 4 … 64 minutes between attempts
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const CLAIM_MS = 2 * 60 * 1000; // an attempt in progress holds its delivery this long
+const MAX_NAME = 100;
+const MAX_ERROR = 500;
+
+/**
+ * When to try again after a failed attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {Date|null} null when there are no attempts left
+ */
+function getNextAttempt(attempts) {
+  if (attempts >= MAX_ATTEMPTS) return null;
+  return new Date(Date.now() + RETRY_BASE_MS * 2 ** (attempts - 1));
+}
+
+/**
+ * Signature header value for a request body
+ * @param {string} secret
+ * @param {string} timestamp - Unix seconds
+ * @param {string} body
+ * @returns {string}
+ */
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+/**
+ * Check an endpoint form
+ * @param {Object} input - { name, url, events }
+ * @returns {{ errors: Object, values: Object }}
+ */
+function validateWebhook(input) {
+  const errors = {};
+  const name = String(input.name || '').trim();
+  const url = String(input.url || '').trim();
+  const selected = [].concat(input.events || []).filter(event => WEBHOOK_EVENTS[event]);
+
+  if (!name) errors.name = 'Name is required';
+  else if (name.length > MAX_NAME) errors.name = `Name must be at most ${MAX_NAME} characters`;
+
+  let parsed = null;
+  try {
+    parsed = new URL(url);
+  } catch (_) { /* reported below */ }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    errors.url = 'URL must start with https:// (or http://)';
+  }
+
+  if (selected.length === 0) errors.events = 'Choose at least one event';
+
+  return { errors, values: { name, url, events: selected } };
+}
+
+/**
+ * All endpoints, with their latest delivery
+ * @returns {Promise<Array<Object>>}
+ */
+function listWebhooks() {
+  return withRetry(() => prisma.webhook.findMany({
+    orderBy: { createdAt: 'asc' },
+    include: { deliveries: { orderBy: { createdAt: 'desc' }, take: 1 } }
+  }));
+}
+
+/**
+ * One endpoint
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+function getWebhook(id) {
+  return withRetry(() => prisma.webhook.findUnique({ where: { id } }));
+}
+
+/**
+ * Newest deliveries of an endpoint
+ * @param {string} webhookId
+ * @param {number} [take]
+ * @returns {Promise<Array<Object>>}
+ */
+function listDeliveries(webhookId, take = 50) {
+  return withRetry(() => prisma.webhookDelivery.findMany({
+    where: { webhookId },
+    orderBy: { createdAt: 'desc' },
+    take
+  }));
+}
+
+/**
+ * Register an endpoint. The secret is generated here.
+ * @param {Object} input - { name, url, events }
+ * @param {Object} user - Admin creating it
+ * @returns {Promise<{ errors: Object, values: Object, webhook: Object|null }>}
+ */
+async function createWebhook(input, user) {
+  const { errors, values } = validateWebhook(input);
+  if (Object.keys(errors).length > 0) return { errors, values, webhook: null };
+
+  const webhook = await withRetry(() => prisma.webhook.create({
+    data: {
+      ...values,
+      secret: `whsec_${crypto.randomBytes(24).toString('base64url')}`,
+      createdById: user.id
+    }
+  }));
+  console.log(`🪝 Webhook "${webhook.name}" registered for ${webhook.events.join(', ')}`);
+  return { errors, values, webhook };
+}
+
+/**
+ * Change an endpoint's name, URL, events and whether it is active
+ * @param {string} id
+ * @param {Object} input - { name, url, events, active }
+ * @returns {Promise<{ errors: Object, values: Object, webhook: Object|null }>}
+ */
+async function updateWebhook(id, input) {
+  const { errors, values } = validateWebhook(input);
+  if (Object.keys(errors).length > 0) return { errors, values, webhook: null };
+
+  const webhook = await withRetry(() => prisma.webhook.update({
+    where: { id },
+    data: { ...values, active: input.active === 'on' || input.active === true }
+  }));
+  return { errors, values, webhook };
+}
+
+/**
+ * Remove an endpoint and its delivery log
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+async function deleteWebhook(id) {
+  await withRetry(() => prisma.webhook.delete({ where: { id } }));
+}
+
+/**
+ * POST a delivery once and record the outcome
+ * @param {Object} delivery - WebhookDelivery with its webhook
+ * @returns {Promise<Object>} The updated delivery
+ */
+async function attempt(delivery) {
+  const { webhook } = delivery;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const attempts = delivery.attempts + 1;
+
+  let responseStatus = null;
+  let error = null;
+  try {
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TES-Forms-Webhooks/1',
+        'X-TES-Event': delivery.event,
+        'X-TES-Delivery': delivery.id,
+        'X-TES-Timestamp': timestamp,
+        'X-TES-Signature': sign(webhook.secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+    responseStatus = response.status;
+    if (!response.ok) error = `HTTP ${response.status}`;
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s` : err.message;
+  }
+
+  const now = new Date();
+  const nextAttemptAt = error ? getNextAttempt(attempts) : null;
+  let status = 'pending';
+  if (!error) status = 'delivered';
+  else if (!nextAttemptAt) status = 'failed';
+
+  if (error) {
+    console.warn(`⚠️  Webhook ${delivery.event} to ${webhook.url} failed (attempt ${attempts}): ${error}`);
+  }
+
+  return withRetry(() => prisma.webhookDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status,
+      attempts,
+      lastAttemptAt: now,
+      nextAttemptAt,
+      responseStatus,
+      error: error ? error.slice(0, MAX_ERROR) : null,
+      deliveredAt: error ? null : now
+    }
+  }));
+}
+
+/**
+ * Store and send an event to every active endpoint that wants it
+ * @param {string} event - Key of WEBHOOK_EVENTS
+ * @param {Object} data - Event details
+ * @returns {Promise<void>}
+ */
+async function dispatch(event, data) {
+  const webhooks = await withRetry(() => prisma.webhook.findMany({
+    where: { active: true, events: { has: event } }
+  }));
+  if (webhooks.length === 0) return;
+
+  const payload = { id: crypto.randomUUID(), event, createdAt: new Date().toISOString(), data };
+  for (const webhook of webhooks) {
+    const delivery = await withRetry(() => prisma.webhookDelivery.create({
+      data: { webhookId: webhook.id, event, payload, nextAttemptAt: new Date(Date.now() + CLAIM_MS) }
+    }));
+    await attempt({ ...delivery, webhook });
+  }
+}
+
+/**
+ * Send a delivery again as a new delivery with the same payload
+ * @param {string} webhookId
+ * @param {string} deliveryId
+ * @returns {Promise<Object|null>} The new delivery, or null if not found
+ */
+async function redeliver(webhookId, deliveryId) {
+  const original = await withRetry(() => prisma.webhookDelivery.findFirst({
+    where: { id: deliveryId, webhookId },
+    include: { webhook: true }
+  }));
+  if (!original) return null;
+
+  const delivery = await withRetry(() => prisma.webhookDelivery.create({
+    data: { webhookId, event: original.event, payload: original.payload, nextAttemptAt: new Date(Date.now() + CLAIM_MS) }
+  }));
+  return attempt({ ...delivery, webhook: original.webhook });
+}
+
+/**
+ * Retry deliveries whose next attempt is due (including ones whose first
+ * attempt never ran, e.g. after a restart). Each one is claimed first, so
+ * two app instances never send the same attempt.
+ * @returns {Promise<number>} Deliveries attempted
+ */
+async function retryDue() {
+  const now = new Date();
+  const due = await withRetry(() => prisma.webhookDelivery.findMany({
+    where: { status: 'pending', nextAttemptAt: { lte: now } },
+    include: { webhook: true },
+    orderBy: { nextAttemptAt: 'asc' },
+    take: 50
+  }));
+
+  let attempted = 0;
+  for (const delivery of due) {
+    const claimed = await withRetry(() => prisma.webhookDelivery.updateMany({
+      where: { id: delivery.id, status: 'pending', nextAttemptAt: delivery.nextAttemptAt },
+      data: { nextAttemptAt: new Date(now.getTime() + CLAIM_MS) }
+    }));
+    if (claimed.count === 0) continue;
+
+    if (!delivery.webhook.active) {
+      await withRetry(() => prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: { status: 'failed', nextAttemptAt: null, error: 'Webhook disabled' }
+      }));
+      continue;
+    }
+    await attempt(delivery);
+    attempted++;
+  }
+  return attempted;
+}
+
+// What receivers get about an application (no signature images)
+const describeApplication = (application) => applicationService.serializeApplication(application);
+
+const describeActor = (actor) => ({ id: actor.actorId, name: actor.actorName });
+
+async function onChanged({ application, action, changes, actor }) {
+  const data = { application: describeApplication(application), action, changes, actor: describeActor(actor) };
+  await dispatch(action === 'create' ? 'application.created' : 'application.updated', data);
+
+  const signed = changes.filter(change => change.signature && change.change !== 'removed').map(change => change.field);
+  if (signed.length > 0) {
+    await dispatch('application.signed', { application: describeApplication(application), signatures: signed, actor: describeActor(actor) });
+  }
+}
+
+async function onExported({ application, via, actor }) {
+  await dispatch('application.exported', { application: describeApplication(application), format: 'pdf', via, actor: describeActor(actor) });
+}
+
+/**
+ * Start listening to application events and retrying failed deliveries.
+ * Call once at startup.
+ */
+function start() {
+  events.on('application.changed', onChanged);
+  events.on('application.exported', onExported);
+
+  cron.schedule('* * * * *', async () => {
+    try {
+      await retryDue();
+    } catch (error) {
+      console.error('⚠️  Webhook retries failed:', error.message);
+    }
+  });
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  getNextAttempt,
+  sign,
+  listWebhooks,
+  getWebhook,
+  listDeliveries,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  redeliver,
+  retryDue,
+  start
+};
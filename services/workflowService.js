@@ -0,0 +1,246 @@
+/**
+ * Application approval workflow.
+ *
+ *   Draft → Submitted → Manager Approved / Rejected → HR Approved / Rejected → Closed
+ *
+ * HR Approved and Closed are final: the PDF is stored at that point (see
+ * documentService.js). Changing a final application means amending it, which
+ * returns it to Draft and clears the approvals so it goes through the
+ * workflow again and gets a new stored PDF. Rejecting (and returning a
+ * rejected application to Draft) clears the manager and HR signatures too,
+ * so a resubmitted form is signed again.
+ *
+ * The status lives on Application.status. Every change of status goes through
+ * a named transition, and each signature slot can only be filled while the
+ * application is in the status that slot belongs to.
+ */
+
+const STATUSES = {
+  DRAFT: 'draft',
+  SUBMITTED: 'submitted',
+  MANAGER_APPROVED: 'manager_approved',
+  MANAGER_REJECTED: 'manager_rejected',
+  HR_APPROVED: 'hr_approved',
+  HR_REJECTED: 'hr_rejected',
+  CLOSED: 'closed'
+};
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  submitted: 'Submitted',
+  manager_approved: 'Manager Approved',
+  manager_rejected: 'Manager Rejected',
+  hr_approved: 'HR Approved',
+  hr_rejected: 'HR Rejected',
+  closed: 'Closed'
+};
+
+// Named transitions. `requiresSignature` is only enforced for form types that have that slot.
+const TRANSITIONS = {
+  submit: {
+    label: 'Submit for Approval',
+    from: ['draft'],
+    to: 'submitted',
+    requiresSignature: 'employeeSignature',
+    requiresComplete: true
+  },
+  managerApprove: {
+    label: 'Manager Approve',
+    from: ['submitted'],
+    to: 'manager_approved',
+    requiresSignature: 'managerSignature'
+  },
+  managerReject: {
+    label: 'Manager Reject',
+    from: ['submitted'],
+    to: 'manager_rejected',
+    clearsSignatures: ['managerSignature', 'hrSignature']
+  },
+  hrApprove: {
+    label: 'HR Approve',
+    from: ['manager_approved'],
+    to: 'hr_approved',
+    requiresSignature: 'hrSignature'
+  },
+  hrReject: {
+    label: 'HR Reject',
+    from: ['manager_approved'],
+    to: 'hr_rejected',
+    clearsSignatures: ['managerSignature', 'hrSignature']
+  },
+  reopen: {
+    label: 'Return to Draft',
+    from: ['manager_rejected', 'hr_rejected'],
+    to: 'draft',
+    clearsSignatures: ['managerSignature', 'hrSignature']
+  },
+  close: {
+    label: 'Close',
+    from: ['hr_approved', 'manager_rejected', 'hr_rejected'],
+    to: 'closed'
+  },
+  amend: {
+    label: 'Amend (New Revision)',
+    from: ['hr_approved', 'closed'],
+    to: 'draft',
+    clearsSignatures: ['managerSignature', 'hrSignature']
+  }
+};
+
+// Final statuses: the PDF is stored and only an amendment can change the data
+const FINAL_STATUSES = ['hr_approved', 'closed'];
+
+// Status in which each signature slot (and its date) may be added or changed
+const SIGNATURE_SLOT_STATUS = {
+  employeeSignature: 'draft',
+  managerSignature: 'submitted',
+  hrSignature: 'manager_approved'
+};
+
+const SIGNATURE_SLOT_LABELS = {
+  employeeSignature: 'Employee signature',
+  managerSignature: 'Manager signature',
+  hrSignature: 'HR signature'
+};
+
+/**
+ * Check whether a status value is one of the known statuses
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isValidStatus(status) {
+  return Object.prototype.hasOwnProperty.call(STATUS_LABELS, status);
+}
+
+/**
+ * Human-readable label for a status
+ * @param {string} status
+ * @returns {string}
+ */
+function getStatusLabel(status) {
+  return STATUS_LABELS[status] || status;
+}
+
+/**
+ * Whether the application is final (its PDF is stored)
+ * @param {string} status
+ * @returns {boolean}
+ */
+function isFinal(status) {
+  return FINAL_STATUSES.includes(status);
+}
+
+/**
+ * Transitions that can be taken from the given status
+ * @param {string} status - Current status
+ * @returns {Array<{name: string, label: string, to: string}>}
+ */
+function getAvailableTransitions(status) {
+  return Object.entries(TRANSITIONS)
+    .filter(([, transition]) => transition.from.includes(status))
+    .map(([name, transition]) => ({ name, label: transition.label, to: transition.to }));
+}
+
+/**
+ * Validate a transition against the current status and data.
+ * @param {string} name - Transition name (e.g. "submit")
+ * @param {Object} application - Application record ({ status, data })
+ * @param {Object} options
+ * @param {string[]} options.signatureSlots - Signature slots the form type has
+ * @returns {{ error: string|null, transition: Object|null }}
+ */
+function checkTransition(name, application, options = {}) {
+  const transition = TRANSITIONS[name];
+  if (!transition) {
+    return { error: 'Unknown action', transition: null };
+  }
+
+  if (!transition.from.includes(application.status)) {
+    return {
+      error: `Cannot ${transition.label.toLowerCase()} an application that is ${getStatusLabel(application.status)}`,
+      transition: null
+    };
+  }
+
+  const slots = options.signatureSlots || [];
+  const slot = transition.requiresSignature;
+  if (slot && slots.includes(slot) && !(application.data && application.data[slot])) {
+    return { error: `${SIGNATURE_SLOT_LABELS[slot]} is required to ${transition.label.toLowerCase()}`, transition: null };
+  }
+
+  return { error: null, transition };
+}
+
+/**
+ * Compare submitted data with the stored data and report fields the current
+ * status does not allow to change.
+ *
+ * Form fields are only editable while the application is a draft. Each
+ * signature slot (and its date) is only editable in its own status.
+ *
+ * @param {string} status - Current application status
+ * @param {Object} before - Stored data
+ * @param {Object} after - Validated incoming data
+ * @returns {Object} errors keyed by field name
+ */
+function checkEdit(status, before, after) {
+  const errors = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach((key) => {
+    const oldValue = before?.[key] ?? '';
+    const newValue = after?.[key] ?? '';
+    if (String(oldValue) === String(newValue)) return;
+
+    const slot = getSignatureSlotForField(key);
+    if (slot) {
+      if (status !== SIGNATURE_SLOT_STATUS[slot]) {
+        errors[key] = `${SIGNATURE_SLOT_LABELS[slot]} can only be changed while the application is ${getStatusLabel(SIGNATURE_SLOT_STATUS[slot])}`;
+      }
+      return;
+    }
+
+    if (status !== STATUSES.DRAFT) {
+      errors[key] = `This field cannot be changed once the application is ${getStatusLabel(status)}`;
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Map a data key to the signature slot it belongs to, if any
+ * (e.g. "managerSignatureDate" → "managerSignature")
+ * @param {string} key
+ * @returns {string|null}
+ */
+function getSignatureSlotForField(key) {
+  const slot = key.endsWith('Date') ? key.slice(0, -4) : key;
+  return Object.prototype.hasOwnProperty.call(SIGNATURE_SLOT_STATUS, slot) ? slot : null;
+}
+
+/**
+ * Signature slots that may currently be filled in
+ * @param {string} status
+ * @returns {string[]}
+ */
+function getEditableSignatureSlots(status) {
+  return Object.keys(SIGNATURE_SLOT_STATUS).filter(slot => SIGNATURE_SLOT_STATUS[slot] === status);
+}
+
+module.exports = {
+  STATUSES,
+  STATUS_LABELS,
+  TRANSITIONS,
+  FINAL_STATUSES,
+  SIGNATURE_SLOT_STATUS,
+  SIGNATURE_SLOT_LABELS,
+  isValidStatus,
+  getStatusLabel,
+  isFinal,
+  getAvailableTransitions,
+  checkTransition,
+  checkEdit,
+  getSignatureSlotForField,
+  getEditableSignatureSlots
+};